@@ -0,0 +1,65 @@
+// Default access control settings of a guild
+function getDefaultAccessSettings() {
+    return {
+        adminRoleId: null,
+        auditChannelId: null,
+        blockedUsers: {},
+        allowedRoles: [],
+        deniedRoles: [],
+        roleRateLimits: {},
+        allowedModels: []
+    };
+}
+
+// Function to check whether a member may use the bot in a guild.
+// Blocked users and members with a denied role are refused; when allowed roles
+// are configured, members need at least one of them.
+function checkAccess(settings, userId, roleIds = []) {
+    const blocked = settings.blockedUsers?.[userId];
+    if (blocked) {
+        return {
+            allowed: false,
+            message: `🚫 You have been blocked from using the bot in this server${blocked.reason ? `: ${blocked.reason}` : '.'}`
+        };
+    }
+
+    if (roleIds.some(roleId => settings.deniedRoles?.includes(roleId))) {
+        return { allowed: false, message: '🚫 One of your roles is not allowed to use the bot in this server.' };
+    }
+
+    if (settings.allowedRoles?.length && !roleIds.some(roleId => settings.allowedRoles.includes(roleId))) {
+        return { allowed: false, message: '🚫 You need an allowed role to use the bot in this server.' };
+    }
+
+    return { allowed: true };
+}
+
+// Function to resolve a member's rate limit: the most generous limit among
+// their roles, or the default when none of their roles has one
+function resolveRateLimit(settings, roleIds, defaults) {
+    const limits = roleIds
+        .map(roleId => settings.roleRateLimits?.[roleId])
+        .filter(Boolean);
+
+    if (limits.length === 0) {
+        return defaults;
+    }
+
+    return {
+        ...defaults,
+        messages: Math.max(...limits.map(limit => limit.messages ?? defaults.messages)),
+        cooldown: Math.min(...limits.map(limit => limit.cooldown ?? defaults.cooldown))
+    };
+}
+
+// Function to check whether a model may be used in a guild by non-admins
+function isModelAllowed(settings, model) {
+    return !settings.allowedModels?.length || settings.allowedModels.includes(model);
+}
+
+module.exports = {
+    getDefaultAccessSettings,
+    checkAccess,
+    resolveRateLimit,
+    isModelAllowed
+};
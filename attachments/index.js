@@ -0,0 +1,147 @@
+const axios = require('axios');
+const path = require('path');
+
+// Extensions of text-like files that are read into the prompt
+const TEXT_EXTENSIONS = new Set([
+    '.txt', '.md', '.markdown', '.rst', '.log', '.json', '.jsonl', '.csv', '.tsv',
+    '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf', '.env', '.html', '.css', '.scss',
+    '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.vue', '.svelte', '.py', '.rb', '.php',
+    '.go', '.rs', '.java', '.kt', '.scala', '.swift', '.c', '.h', '.cpp', '.hpp', '.cs',
+    '.sh', '.bash', '.ps1', '.sql', '.lua', '.r', '.dart', '.ex', '.exs', '.hs', '.pl'
+]);
+const TEXT_CONTENT_TYPE_PATTERN = /^(text\/|application\/(json|xml|x-yaml|yaml|javascript|x-sh|sql|toml)$)/;
+
+// Image formats vision models generally accept
+const IMAGE_CONTENT_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+const IMAGE_EXTENSIONS = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+// How long to wait for Discord's CDN when downloading an attachment
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+function getExtension(name) {
+    return path.extname(name || '').toLowerCase();
+}
+
+function getContentType(attachment) {
+    return (attachment.contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isImageAttachment(attachment) {
+    return IMAGE_CONTENT_TYPES.has(getContentType(attachment)) || getExtension(attachment.name) in IMAGE_EXTENSIONS;
+}
+
+function isTextAttachment(attachment) {
+    return TEXT_CONTENT_TYPE_PATTERN.test(getContentType(attachment)) || TEXT_EXTENSIONS.has(getExtension(attachment.name));
+}
+
+// Function to format a byte count for notices
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`
+        : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Function to sort the attachments of a message into text documents, images and unsupported files
+function classifyAttachments(attachments) {
+    const documents = [];
+    const images = [];
+    const unsupported = [];
+
+    attachments.forEach(attachment => {
+        if (isImageAttachment(attachment)) {
+            images.push(attachment);
+        } else if (isTextAttachment(attachment)) {
+            documents.push(attachment);
+        } else {
+            unsupported.push(attachment);
+        }
+    });
+
+    return { documents, images, unsupported };
+}
+
+// Function to check the /models metadata of a model for image input support.
+// Backends advertise it in different ways, so several common shapes are accepted.
+function supportsVision(model) {
+    if (!model) return false;
+
+    const capabilities = model.capabilities;
+    const inputModalities = model.architecture?.input_modalities || model.modalities?.input || model.input_modalities || model.modalities;
+    return model.vision === true ||
+        model.supports_vision === true ||
+        capabilities?.vision === true ||
+        (Array.isArray(capabilities) && capabilities.includes('vision')) ||
+        (Array.isArray(inputModalities) && inputModalities.includes('image'));
+}
+
+// Function to download a text attachment. Files over `maxBytes` are skipped and
+// content over `maxChars` is cut off; `notice` explains either for the user.
+async function readTextAttachment(attachment, { maxBytes, maxChars }) {
+    if (attachment.size > maxBytes) {
+        return { name: attachment.name, content: null, notice: `skipped \`${attachment.name}\`, it is larger than ${formatBytes(maxBytes)}` };
+    }
+
+    const response = await axios.get(attachment.url, {
+        responseType: 'text',
+        transformResponse: data => data,
+        maxContentLength: maxBytes,
+        timeout: DOWNLOAD_TIMEOUT_MS
+    });
+    const text = String(response.data).replace(/\r\n/g, '\n');
+
+    if (text.length > maxChars) {
+        return {
+            name: attachment.name,
+            content: text.slice(0, maxChars),
+            truncated: true,
+            notice: `only the first ${maxChars} of ${text.length} characters of \`${attachment.name}\` were read`
+        };
+    }
+    return { name: attachment.name, content: text, truncated: false };
+}
+
+// Function to download an image attachment as a data URL, so the model's backend
+// doesn't need access to Discord's CDN
+async function readImageAttachment(attachment, { maxBytes }) {
+    if (attachment.size > maxBytes) {
+        return { name: attachment.name, url: null, notice: `skipped \`${attachment.name}\`, it is larger than ${formatBytes(maxBytes)}` };
+    }
+
+    const response = await axios.get(attachment.url, {
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        timeout: DOWNLOAD_TIMEOUT_MS
+    });
+    const contentType = IMAGE_CONTENT_TYPES.has(getContentType(attachment))
+        ? getContentType(attachment)
+        : IMAGE_EXTENSIONS[getExtension(attachment.name)];
+
+    return {
+        name: attachment.name,
+        url: `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`
+    };
+}
+
+// Function to add the text of attached documents to a prompt, each in its own code block
+function buildPromptWithDocuments(prompt, documents) {
+    const sections = documents
+        .filter(document => document.content !== null)
+        .map(document => {
+            // Use a fence longer than any backtick run in the file so it can't be closed early
+            const longestRun = Math.max(0, ...(document.content.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+            const language = getExtension(document.name).slice(1);
+            const truncated = document.truncated ? ' (truncated)' : '';
+            return `📎 ${document.name}${truncated}:\n${fence}${language}\n${document.content}\n${fence}`;
+        });
+
+    return [prompt, ...sections].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    classifyAttachments,
+    supportsVision,
+    readTextAttachment,
+    readImageAttachment,
+    buildPromptWithDocuments
+};
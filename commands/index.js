@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { Routes } = require('discord.js');
+
+// Where slash commands are registered:
+//   global  once for the application, available in every server and in DMs
+//   guild   separately in every server the bot is in; updates show up immediately, but not in DMs
+const REGISTRATION_MODES = ['global', 'guild'];
+
+// Discord's limits on autocomplete results
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+// Order of model tiers in lists, largest first
+const MODEL_TIER_ORDER = { large: 3, medium: 2, small: 1 };
+
+// Function to hash a set of command definitions, so they're only registered again when they change
+function hashCommands(commandsJson) {
+    return crypto.createHash('sha256').update(JSON.stringify(commandsJson)).digest('hex');
+}
+
+// Function to create a registrar syncing slash commands with Discord, backed by the storage
+// 'commandRegistrations' collection:
+//   { [scope]: { hash, registeredAt } }   scope is 'global' or `guild:${guildId}`
+// Every scope gets the commands or an empty list depending on `mode`, so switching modes
+// removes the commands left in the other scope. Scopes whose hash is unchanged are skipped.
+function createCommandRegistrar({ rest, storage, mode = 'global', logger = console }) {
+    if (!REGISTRATION_MODES.includes(mode)) {
+        throw new Error(`Unknown command registration mode: ${mode}. Expected one of: ${REGISTRATION_MODES.join(', ')}`);
+    }
+    const registrations = new Map(Object.entries(storage.load('commandRegistrations')));
+
+    // Function to put a list of commands in a scope unless it's already there, returning whether it was sent
+    async function sync(scope, route, commandsJson) {
+        const hash = hashCommands(commandsJson);
+        if (registrations.get(scope)?.hash === hash) {
+            return false;
+        }
+
+        await rest.put(route, { body: commandsJson });
+        const registration = { hash, registeredAt: new Date().toISOString() };
+        registrations.set(scope, registration);
+        storage.set('commandRegistrations', scope, registration);
+        logger.info('Registered commands', { scope, count: commandsJson.length });
+        return true;
+    }
+
+    // Function to sync the commands of one server
+    async function registerGuild(applicationId, guildId, commandsJson) {
+        return sync(
+            `guild:${guildId}`,
+            Routes.applicationGuildCommands(applicationId, guildId),
+            mode === 'guild' ? commandsJson : []
+        );
+    }
+
+    return {
+        mode,
+
+        registerGuild,
+
+        // Sync the global commands and those of every server in `guildIds`.
+        // A failing server is logged and doesn't stop the others.
+        async register(applicationId, commandsJson, guildIds = []) {
+            await sync('global', Routes.applicationCommands(applicationId), mode === 'global' ? commandsJson : []);
+            for (const guildId of guildIds) {
+                try {
+                    await registerGuild(applicationId, guildId, commandsJson);
+                } catch (error) {
+                    logger.error('Error registering commands for guild', { guildId, error });
+                }
+            }
+        }
+    };
+}
+
+// Function to rank a model against the words typed in an autocomplete option: 0 when the id
+// starts with the input, 1 when every word is found in the id or the tier, null otherwise
+function matchModel(model, input) {
+    const id = model.id.toLowerCase();
+    const query = input.trim().toLowerCase();
+    if (!query || id.startsWith(query)) {
+        return 0;
+    }
+
+    const searchable = `${id} ${model.tier || ''}`.toLowerCase();
+    return query.split(/\s+/).every(word => searchable.includes(word)) ? 1 : null;
+}
+
+// Function to build the autocomplete choices of a model option from the words typed so far.
+// With `list`, the option holds comma-separated models: the last one is completed, and the
+// ones before it are kept in front of every choice. Matches starting with the input come
+// first, then larger tiers.
+function getModelChoices(models, input = '', { list = false } = {}) {
+    const parts = list ? input.split(',').map(part => part.trim()) : [input];
+    const query = parts.pop();
+    const picked = parts.filter(Boolean);
+    const prefix = picked.length ? `${picked.join(', ')}, ` : '';
+
+    return models
+        .filter(model => !picked.includes(model.id))
+        .map(model => ({ model, rank: matchModel(model, query) }))
+        .filter(({ rank }) => rank !== null)
+        .sort((a, b) => a.rank - b.rank ||
+            (MODEL_TIER_ORDER[b.model.tier] || 0) - (MODEL_TIER_ORDER[a.model.tier] || 0) ||
+            a.model.id.localeCompare(b.model.id))
+        .map(({ model }) => ({
+            name: `${prefix}${model.id}${model.tier ? ` (${model.tier})` : ''}`.slice(0, MAX_CHOICE_LENGTH),
+            value: `${prefix}${model.id}`
+        }))
+        .filter(choice => choice.value.length <= MAX_CHOICE_LENGTH)
+        .slice(0, MAX_CHOICES);
+}
+
+module.exports = {
+    REGISTRATION_MODES,
+    MODEL_TIER_ORDER,
+    hashCommands,
+    createCommandRegistrar,
+    getModelChoices
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Function to find the winners of a comparison: the models with the most votes
+function getWinners(comparison) {
+    const counts = countVotes(comparison);
+    const best = Math.max(0, ...counts);
+    return best === 0 ? [] : comparison.models.filter((model, index) => counts[index] === best);
+}
+
+// Function to count the votes of each model of a comparison, in model order
+function countVotes(comparison) {
+    const counts = comparison.models.map(() => 0);
+    Object.values(comparison.votes).forEach(index => {
+        counts[index]++;
+    });
+    return counts;
+}
+
+// Function to create a store for /compare runs backed by the storage 'comparisons' collection:
+//   { [id]: { userId, guildId, prompt, models, results, votes: { [userId]: modelIndex }, createdAt } }
+function createComparisonTracker(storage) {
+    const comparisons = new Map(Object.entries(storage.load('comparisons')));
+
+    return {
+        // Store a finished comparison and return its id
+        create({ userId, guildId, prompt, models, results }) {
+            const id = crypto.randomBytes(6).toString('hex');
+            const comparison = {
+                userId,
+                guildId,
+                prompt,
+                models,
+                results,
+                votes: {},
+                createdAt: new Date().toISOString()
+            };
+            comparisons.set(id, comparison);
+            storage.set('comparisons', id, comparison);
+            return id;
+        },
+
+        get(id) {
+            return comparisons.get(id) || null;
+        },
+
+        // Record a user's vote, replacing an earlier one, and return the comparison
+        vote(id, userId, modelIndex) {
+            const comparison = comparisons.get(id);
+            if (!comparison || !comparison.models[modelIndex]) {
+                return null;
+            }
+            comparison.votes[userId] = modelIndex;
+            storage.set('comparisons', id, comparison);
+            return comparison;
+        },
+
+        countVotes,
+
+        // How often each model was compared, voted for and won, most wins first.
+        // Pass a guildId to only count that server's comparisons.
+        getLeaderboard({ guildId = null } = {}) {
+            const stats = {};
+            for (const comparison of comparisons.values()) {
+                if (guildId && comparison.guildId !== guildId) continue;
+
+                const counts = countVotes(comparison);
+                const winners = getWinners(comparison);
+                comparison.models.forEach((model, index) => {
+                    stats[model] = stats[model] || { model, comparisons: 0, votes: 0, wins: 0 };
+                    stats[model].comparisons++;
+                    stats[model].votes += counts[index];
+                    if (winners.includes(model)) stats[model].wins++;
+                });
+            }
+
+            return Object.values(stats).sort((a, b) => b.wins - a.wins || b.votes - a.votes);
+        }
+    };
+}
+
+module.exports = { createComparisonTracker };
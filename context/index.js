@@ -0,0 +1,104 @@
+// Rough token estimation: about four characters per token for English text,
+// plus a few tokens of per-message overhead for the chat format
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Images are billed by resolution; this is a middle-of-the-road guess per image
+const IMAGE_TOKENS = 1000;
+
+// Fields different backends use to advertise a model's context size in /models
+const CONTEXT_SIZE_FIELDS = ['context_length', 'context_window', 'max_context_length', 'contextLength', 'max_model_len'];
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function estimateMessageTokens(message) {
+    if (Array.isArray(message.content)) {
+        return message.content.reduce((total, part) => total +
+            (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text)), MESSAGE_OVERHEAD_TOKENS);
+    }
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+// Function to cut text down to roughly the given number of tokens
+function truncateToTokens(text, tokens) {
+    const maxChars = Math.max(0, tokens * CHARS_PER_TOKEN);
+    return text.length > maxChars ? `${text.slice(0, maxChars)}…` : text;
+}
+
+// Function to read the context size from a /models entry
+function getContextSize(model, fallback) {
+    for (const field of CONTEXT_SIZE_FIELDS) {
+        const value = parseInt(model?.[field]);
+        if (value > 0) {
+            return value;
+        }
+    }
+    return fallback;
+}
+
+// Function to split history (user/assistant pairs, oldest first) into the newest
+// turns that fit the token budget and turn limit, and the older turns that don't
+function splitHistoryByBudget(messages, budget, maxTurns = Infinity) {
+    let used = 0;
+    let keepFrom = messages.length;
+
+    for (let i = messages.length - 2; i >= 0; i -= 2) {
+        const turnTokens = estimateMessagesTokens(messages.slice(i, i + 2));
+        const turns = (messages.length - i) / 2;
+        if (used + turnTokens > budget || turns > maxTurns) break;
+        used += turnTokens;
+        keepFrom = i;
+    }
+
+    return {
+        kept: messages.slice(keepFrom),
+        evicted: messages.slice(0, keepFrom)
+    };
+}
+
+// Stands in for the prompt of an answer whose own prompt is past the reply chain depth
+const MISSING_PROMPT_PLACEHOLDER = '(The earlier message is not available.)';
+
+// Function to turn a Discord reply chain (`{ role, content }`, oldest first) into history
+// turns: consecutive messages from the same side are merged and every answer gets a prompt.
+// A chain that ends with a user's message returns it as `quoted`, since it goes with the new prompt.
+function buildReplyChainTurns(chain) {
+    const messages = [];
+    chain.filter(message => message.content).forEach(message => {
+        const previous = messages[messages.length - 1];
+        if (previous?.role === message.role) {
+            previous.content += `\n\n${message.content}`;
+        } else {
+            messages.push({ role: message.role, content: message.content });
+        }
+    });
+
+    const quoted = messages[messages.length - 1]?.role === 'user' ? messages.pop().content : null;
+    if (messages[0]?.role === 'assistant') {
+        messages.unshift({ role: 'user', content: MISSING_PROMPT_PLACEHOLDER });
+    }
+    return { messages, quoted };
+}
+
+// Function to build the system message that carries the running summary
+function formatSummaryMessage(summary) {
+    return {
+        role: 'system',
+        content: `Summary of the earlier conversation:\n${summary}`
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    estimateMessagesTokens,
+    truncateToTokens,
+    getContextSize,
+    splitHistoryByBudget,
+    buildReplyChainTurns,
+    formatSummaryMessage
+};
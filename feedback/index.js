@@ -0,0 +1,58 @@
+// Ratings an answer can get
+const RATINGS = ['up', 'down'];
+
+// Function to create a store for 👍/👎 ratings of answers, backed by the storage 'feedback' collection:
+//   { [`${turnId}:${userId}`]: { turnId, userId, rating, prompt, response, model, parameters, guildId, channelId, createdAt } }
+function createFeedbackTracker(storage) {
+    const feedback = new Map(Object.entries(storage.load('feedback')));
+
+    return {
+        // Record a user's rating of an answer, replacing their earlier rating of it
+        record({ turnId, userId, rating, prompt, response, model, parameters = {}, guildId = null, channelId = null }) {
+            if (!RATINGS.includes(rating)) {
+                throw new Error(`Unknown rating: ${rating}`);
+            }
+
+            const key = `${turnId}:${userId}`;
+            const entry = {
+                turnId,
+                userId,
+                rating,
+                prompt,
+                response,
+                model,
+                parameters,
+                guildId,
+                channelId,
+                createdAt: new Date().toISOString()
+            };
+            feedback.set(key, entry);
+            storage.set('feedback', key, entry);
+            return entry;
+        },
+
+        // Ratings per model, most rated first, and the latest 👎 answers to review.
+        // Pass a guildId and/or a model to narrow it down.
+        getSummary({ guildId = null, model = null, recentLimit = 5 } = {}) {
+            const models = {};
+            const downvoted = [];
+            for (const entry of feedback.values()) {
+                if (guildId && entry.guildId !== guildId) continue;
+                if (model && entry.model !== model) continue;
+
+                models[entry.model] = models[entry.model] || { model: entry.model, up: 0, down: 0 };
+                models[entry.model][entry.rating]++;
+                if (entry.rating === 'down') downvoted.push(entry);
+            }
+
+            return {
+                models: Object.values(models).sort((a, b) => (b.up + b.down) - (a.up + a.down)),
+                recentDown: downvoted
+                    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                    .slice(0, recentLimit)
+            };
+        }
+    };
+}
+
+module.exports = { createFeedbackTracker };
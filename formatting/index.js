@@ -0,0 +1,149 @@
+// Matches a code fence line, capturing the fence and the info string (language)
+const FENCE_PATTERN = /^ {0,3}(```+|~~~+)\s*([^`\s]*)[^`]*$/;
+const MAX_FENCE_LENGTH = 40;
+
+// File extensions for code blocks sent as attachments
+const LANGUAGE_EXTENSIONS = {
+    javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+    python: 'py', py: 'py', java: 'java', kotlin: 'kt', swift: 'swift',
+    c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs', go: 'go', rust: 'rs', rs: 'rs',
+    ruby: 'rb', rb: 'rb', php: 'php', bash: 'sh', sh: 'sh', shell: 'sh', powershell: 'ps1',
+    json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', html: 'html', css: 'css',
+    sql: 'sql', markdown: 'md', md: 'md', lua: 'lua', r: 'r', dart: 'dart', scala: 'scala'
+};
+
+// Function to get the fence still open at the end of a piece of text,
+// given the fence open at its start (null when outside a code block)
+function getOpenFence(text, openFence = null) {
+    let fence = openFence;
+    for (const line of text.split('\n')) {
+        const match = line.match(FENCE_PATTERN);
+        if (!match) continue;
+
+        if (!fence) {
+            fence = { marker: match[1], opening: line.trim() };
+        } else if (match[1].startsWith(fence.marker) && !match[2]) {
+            fence = null;
+        }
+    }
+    return fence;
+}
+
+// Function to find where to break text so the first part is at most `max` characters.
+// Prefers paragraph breaks, then line breaks, then spaces, and never splits a surrogate pair.
+function findBreak(text, max) {
+    const candidates = [
+        { separator: '\n\n', minimum: Math.floor(max * 0.5) },
+        { separator: '\n', minimum: Math.floor(max * 0.3) },
+        { separator: ' ', minimum: Math.floor(max * 0.3) }
+    ];
+
+    for (const { separator, minimum } of candidates) {
+        const index = text.lastIndexOf(separator, max);
+        if (index >= minimum && index > 0) {
+            return { end: index, resume: index + separator.length };
+        }
+    }
+
+    let end = Math.max(1, max);
+    const code = text.charCodeAt(end - 1);
+    if (code >= 0xD800 && code <= 0xDBFF && end > 1) {
+        end--;
+    }
+    return { end, resume: end };
+}
+
+// Function to split a Markdown message into chunks of at most `limit` characters.
+// A code block cut in two is closed at the end of one chunk and reopened,
+// with the same language, at the start of the next.
+function splitMessage(text, limit = 2000) {
+    const chunks = [];
+    let remaining = text;
+    let fence = null;
+
+    while (remaining.length > 0) {
+        const reopen = fence && fence.opening.length <= MAX_FENCE_LENGTH ? fence.opening : fence?.marker;
+        const prefix = fence ? `${reopen}\n` : '';
+
+        if (prefix.length + remaining.length <= limit) {
+            chunks.push(prefix + remaining);
+            break;
+        }
+
+        // Leave room to close a code block that is still open at the break
+        const closing = `\n${fence?.marker || '```'}`;
+        const available = limit - prefix.length - closing.length;
+        const { end, resume } = findBreak(remaining, available);
+        const piece = remaining.slice(0, end).replace(/\s+$/, '');
+        const openFence = getOpenFence(piece, fence);
+
+        chunks.push(prefix + piece + (openFence ? `\n${openFence.marker}` : ''));
+        remaining = remaining.slice(resume);
+        fence = openFence;
+    }
+
+    return chunks.filter(chunk => chunk.trim().length > 0);
+}
+
+// Function to pick a file name for a code block
+function getCodeFileName(language, index) {
+    const extension = LANGUAGE_EXTENSIONS[(language || '').toLowerCase()] || 'txt';
+    return `snippet-${index}.${extension}`;
+}
+
+// Function to move long content into file attachments.
+// Answers longer than `maxLength` are attached whole as Markdown with a short preview;
+// otherwise code blocks longer than `maxCodeLength` are attached as source files.
+// Returns the text to post and a list of { name, content } files.
+function extractAttachments(text, { maxLength = Infinity, maxCodeLength = Infinity, previewLength = 1500 } = {}) {
+    if (text.length > maxLength) {
+        const preview = splitMessage(text, previewLength)[0] || '';
+        return {
+            text: `${preview}\n\n📎 *The full answer is attached as \`response.md\`.*`,
+            files: [{ name: 'response.md', content: text }]
+        };
+    }
+
+    const files = [];
+    const lines = text.split('\n');
+    const output = [];
+    let block = null;
+
+    for (const line of lines) {
+        const match = line.match(FENCE_PATTERN);
+
+        if (!block) {
+            if (match) {
+                block = { marker: match[1], language: match[2], lines: [line] };
+            } else {
+                output.push(line);
+            }
+            continue;
+        }
+
+        block.lines.push(line);
+        if (match && match[1].startsWith(block.marker) && !match[2]) {
+            const code = block.lines.slice(1, -1).join('\n');
+            if (code.length > maxCodeLength) {
+                const name = getCodeFileName(block.language, files.length + 1);
+                files.push({ name, content: `${code}\n` });
+                output.push(`📎 *Code attached as \`${name}\`.*`);
+            } else {
+                output.push(...block.lines);
+            }
+            block = null;
+        }
+    }
+
+    // An unterminated block is kept as it is
+    if (block) {
+        output.push(...block.lines);
+    }
+
+    return { text: output.join('\n'), files };
+}
+
+module.exports = {
+    splitMessage,
+    extractAttachments
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+
+// BM25 parameters: how fast repeated terms stop adding to the score, and how much
+// long passages are penalized
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Passages scoring below this share of the best match are left out, so one strong match
+// doesn't come with a tail of passages that only share a word with the question
+const MIN_RELATIVE_SCORE = 0.3;
+
+// Words too common to tell passages apart
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+    'been', 'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'doing', 'for', 'from', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his',
+    'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor',
+    'not', 'of', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'please',
+    'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+    'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up',
+    'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+    'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Function to reduce a word to a crude stem, so plurals match their singular
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Function to split a text into lowercase search terms, without accents or stop words
+function tokenize(text) {
+    return (text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// Function to split text longer than `maxChars` at sentence ends, or at spaces for sentences
+// that are too long themselves
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let current = '';
+    const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [text];
+
+    for (const sentence of sentences) {
+        const words = sentence.length > maxChars ? sentence.split(/(?<=\s)/) : [sentence];
+        for (const word of words) {
+            if (current && current.length + word.length > maxChars) {
+                pieces.push(current.trim());
+                current = '';
+            }
+            current += word.length > maxChars ? word.slice(0, maxChars) : word;
+        }
+    }
+    if (current.trim()) {
+        pieces.push(current.trim());
+    }
+    return pieces;
+}
+
+// Function to split a document into passages of at most `maxChars` characters. Paragraphs
+// are kept together where they fit, and Markdown headings are kept with every passage below
+// them, as `Setup › Install`, so passages still make sense on their own.
+function chunkText(text, { maxChars = 1000 } = {}) {
+    const chunks = [];
+    const headings = [];
+    let paragraphs = [];
+    let length = 0;
+
+    const flush = () => {
+        if (paragraphs.length > 0) {
+            chunks.push({ heading: headings.filter(Boolean).join(' › ') || null, text: paragraphs.join('\n\n') });
+        }
+        paragraphs = [];
+        length = 0;
+    };
+
+    for (const block of text.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+        const lines = block.split('\n');
+        const headingMatch = lines[0].match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (headingMatch) {
+            flush();
+            headings.length = headingMatch[1].length - 1;
+            headings.push(headingMatch[2]);
+            lines.shift();
+        }
+
+        const paragraph = lines.join('\n').trim();
+        if (!paragraph) continue;
+
+        for (const piece of paragraph.length > maxChars ? splitLongText(paragraph, maxChars) : [paragraph]) {
+            if (length > 0 && length + piece.length + 2 > maxChars) {
+                flush();
+            }
+            paragraphs.push(piece);
+            length += piece.length + 2;
+        }
+    }
+    flush();
+    return chunks;
+}
+
+// Function to build a BM25 index of passages, each `{ documentId, position, title, heading, text }`.
+// Titles and headings are indexed along with the text.
+function buildIndex(passages) {
+    const entries = passages.map(passage => {
+        const terms = tokenize([passage.title, passage.heading, passage.text].filter(Boolean).join('\n'));
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        return { passage, frequencies, length: terms.length };
+    });
+
+    const documentFrequencies = new Map();
+    entries.forEach(entry => {
+        entry.frequencies.forEach((count, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+    });
+
+    const totalLength = entries.reduce((sum, entry) => sum + entry.length, 0);
+    return {
+        entries,
+        documentFrequencies,
+        averageLength: entries.length > 0 ? totalLength / entries.length : 0
+    };
+}
+
+// Function to find the passages of an index matching a query, best first.
+// Returns `{ ...passage, score }` for at most `limit` passages.
+function searchIndex(index, query, { limit = 3 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const count = index.entries.length;
+    if (terms.length === 0 || count === 0) {
+        return [];
+    }
+
+    const weights = terms.map(term => {
+        const frequency = index.documentFrequencies.get(term) || 0;
+        return { term, idf: Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5)) };
+    });
+
+    const results = index.entries
+        .map(entry => {
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * entry.length / (index.averageLength || 1));
+            const score = weights.reduce((sum, { term, idf }) => {
+                const frequency = entry.frequencies.get(term) || 0;
+                return sum + idf * frequency * (BM25_K1 + 1) / (frequency + norm);
+            }, 0);
+            return { ...entry.passage, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const cutoff = (results[0]?.score || 0) * MIN_RELATIVE_SCORE;
+    return results.filter(result => result.score >= cutoff).slice(0, limit);
+}
+
+// Function to tell whether two document sources are the same file name or the same message
+function isSameSource(a, b) {
+    return a.type === b.type && (a.type === 'message' ? a.messageId === b.messageId : a.name === b.name);
+}
+
+// Function to create the knowledge bases of all guilds, backed by the storage 'knowledge' collection:
+//   { [documentId]: { guildId, title, source, addedBy, addedAt, chars, chunks: [{ heading, text }] } }
+// `source` is `{ type: 'file', name }` or `{ type: 'message', url, channelId, messageId, authorId }`.
+// The search index of a guild is built on its first search, and again after every change.
+function createKnowledgeBase(storage, { chunkChars = 1000 } = {}) {
+    const documents = new Map(Object.entries(storage.load('knowledge')));
+    const indexes = new Map();
+
+    function withId(id) {
+        const document = documents.get(id);
+        return document ? { id, ...document } : null;
+    }
+
+    function list(guildId) {
+        return [...documents.keys()]
+            .map(withId)
+            .filter(document => document.guildId === guildId)
+            .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+    }
+
+    function findBySource(guildId, source) {
+        return list(guildId).find(document => isSameSource(document.source, source)) || null;
+    }
+
+    function getIndex(guildId) {
+        if (!indexes.has(guildId)) {
+            indexes.set(guildId, buildIndex(list(guildId).flatMap(document => document.chunks.map((chunk, position) => ({
+                documentId: document.id,
+                position,
+                title: document.title,
+                source: document.source,
+                ...chunk
+            })))));
+        }
+        return indexes.get(guildId);
+    }
+
+    return {
+        // Store a document, replacing the guild's document from the same file name or message.
+        // Returns the document with its id, and whether it replaced another one.
+        add({ guildId, title, text, source, addedBy }) {
+            const existing = findBySource(guildId, source);
+            const id = existing?.id || crypto.randomBytes(4).toString('hex');
+            const document = {
+                guildId,
+                title,
+                source,
+                addedBy,
+                addedAt: new Date().toISOString(),
+                chars: text.length,
+                chunks: chunkText(text, { maxChars: chunkChars })
+            };
+            documents.set(id, document);
+            storage.set('knowledge', id, document);
+            indexes.delete(guildId);
+            return { document: withId(id), replaced: Boolean(existing) };
+        },
+
+        get: withId,
+
+        list,
+
+        findBySource,
+
+        delete(id) {
+            const document = documents.get(id);
+            if (!document) return false;
+            documents.delete(id);
+            storage.delete('knowledge', id);
+            indexes.delete(document.guildId);
+            return true;
+        },
+
+        // Find the passages of a guild's documents matching a query, best first
+        search(guildId, query, { limit = 3 } = {}) {
+            return searchIndex(getIndex(guildId), query, { limit });
+        }
+    };
+}
+
+module.exports = {
+    tokenize,
+    chunkText,
+    buildIndex,
+    searchIndex,
+    createKnowledgeBase
+};
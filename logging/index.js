@@ -0,0 +1,102 @@
+// Log levels, from the most to the least verbose
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields holding what users wrote or models answered. They're only logged at debug level.
+const CONTENT_FIELDS = new Set(['prompt', 'content', 'response', 'messages', 'text', 'summary', 'systemPrompt']);
+
+// Fields holding credentials, never logged
+const SECRET_FIELD_PATTERN = /^(authorization|x-api-key|api[-_]?key|token|password|secret)$/i;
+
+// Nested objects deeper than this are cut off
+const MAX_DEPTH = 5;
+
+// Function to describe redacted content without showing it
+function describeRedacted(value) {
+    if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+    if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+    return '[redacted]';
+}
+
+// Function to turn an error into loggable fields. HTTP errors keep their status and code,
+// not the request or response they carry.
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.response?.status !== undefined ? { status: error.response.status } : {}),
+        ...(error.stack ? { stack: error.stack } : {})
+    };
+}
+
+// Function to copy log fields, hiding secrets, and user content unless `showContent` is set
+function redact(value, showContent, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[nested]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, showContent, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field === undefined) continue;
+        if (SECRET_FIELD_PATTERN.test(key)) {
+            copy[key] = '[secret]';
+        } else if (!showContent && CONTENT_FIELDS.has(key)) {
+            copy[key] = describeRedacted(field);
+        } else {
+            copy[key] = redact(field, showContent, depth + 1);
+        }
+    }
+    return copy;
+}
+
+// Function to format a log record as a line of text, for reading logs in a terminal
+function formatText({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+// Function to create a structured logger writing one record per line: JSON by default, or
+// text with `format: 'text'`. Records below `level` are dropped. Prompts, answers and other
+// user content in the fields are redacted unless the level is `debug`.
+//   logger.info('Loaded conversations', { count: 12 })
+//   logger.error('Error loading settings', { error })
+// `child(fields)` returns a logger adding `fields` to every record.
+function createLogger({ level = 'info', format = 'json', output = process.stdout, fields = {} } = {}) {
+    const minLevel = LEVELS[level] ?? LEVELS.info;
+    const showContent = minLevel <= LEVELS.debug;
+
+    function log(recordLevel, msg, recordFields = {}) {
+        if (LEVELS[recordLevel] < minLevel) return;
+
+        const record = {
+            time: new Date().toISOString(),
+            level: recordLevel,
+            msg,
+            ...redact({ ...fields, ...recordFields }, showContent)
+        };
+        output.write(`${format === 'text' ? formatText(record) : JSON.stringify(record)}\n`);
+    }
+
+    return {
+        level: Object.keys(LEVELS).find(name => LEVELS[name] === minLevel),
+        isDebugEnabled: () => showContent,
+        debug: (msg, recordFields) => log('debug', msg, recordFields),
+        info: (msg, recordFields) => log('info', msg, recordFields),
+        warn: (msg, recordFields) => log('warn', msg, recordFields),
+        error: (msg, recordFields) => log('error', msg, recordFields),
+        child: childFields => createLogger({ level, format, output, fields: { ...fields, ...childFields } })
+    };
+}
+
+module.exports = { createLogger };
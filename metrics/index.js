@@ -0,0 +1,137 @@
+const http = require('http');
+
+// Default histogram buckets for LLM request latencies, in seconds
+const DEFAULT_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 60, 120];
+
+// Function to escape a label value for the Prometheus text format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Function to format a label set as `{name="value",...}`
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Function to get the key of a label set, in the metric's label order
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+// Function to create a registry of Prometheus metrics, rendered in the text exposition format.
+//   counter(name, help, labelNames)           .inc(labels, value = 1)
+//   gauge(name, help, labelNames, collect)    .set(labels, value); `collect` is called on
+//                                              render, for values read from elsewhere
+//   histogram(name, help, labelNames, buckets) .observe(labels, value)
+function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(type, name, help, labelNames, extra = {}) {
+        const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function getSeries(metric, labels, create) {
+        const key = labelKey(metric.labelNames, labels);
+        if (!metric.series.has(key)) {
+            const seriesLabels = Object.fromEntries(metric.labelNames.map(name => [name, labels[name] ?? '']));
+            metric.series.set(key, { labels: seriesLabels, ...create() });
+        }
+        return metric.series.get(key);
+    }
+
+    function renderMetric(metric) {
+        metric.collect?.();
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+
+            metric.buckets.forEach((bucket, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bucket })} ${series.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+
+    return {
+        counter(name, help, labelNames = []) {
+            const metric = register('counter', name, help, labelNames);
+            return {
+                inc(labels = {}, value = 1) {
+                    getSeries(metric, labels, () => ({ value: 0 })).value += value;
+                }
+            };
+        },
+
+        gauge(name, help, labelNames = [], collect = null) {
+            const metric = register('gauge', name, help, labelNames);
+            const gauge = {
+                set(labels = {}, value) {
+                    getSeries(metric, labels, () => ({ value: 0 })).value = value;
+                }
+            };
+            if (collect) {
+                metric.collect = () => collect(gauge);
+            }
+            return gauge;
+        },
+
+        histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+            const metric = register('histogram', name, help, labelNames, { buckets });
+            return {
+                observe(labels = {}, value) {
+                    const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                    buckets.forEach((bucket, index) => {
+                        if (value <= bucket) series.counts[index]++;
+                    });
+                    series.sum += value;
+                    series.count++;
+                }
+            };
+        },
+
+        render() {
+            return `${metrics.map(renderMetric).join('\n')}\n`;
+        }
+    };
+}
+
+// Function to create the monitoring HTTP server:
+//   GET /metrics  the registry's metrics in the Prometheus text format
+//   GET /healthz  the result of `checkHealth()` as JSON, with status 200 when
+//                 `healthy` is true and 503 otherwise
+function createMonitoringServer({ registry, checkHealth, logger = console }) {
+    return http.createServer(async (request, response) => {
+        const path = request.url.split('?')[0];
+        try {
+            if (request.method === 'GET' && path === '/metrics') {
+                response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                response.end(registry.render());
+                return;
+            }
+            if (request.method === 'GET' && path === '/healthz') {
+                const health = await checkHealth();
+                response.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(health));
+                return;
+            }
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+        } catch (error) {
+            logger.error('Error serving monitoring request', { path, error });
+            response.writeHead(500, { 'Content-Type': 'text/plain' });
+            response.end('Internal error\n');
+        }
+    });
+}
+
+module.exports = { createMetricsRegistry, createMonitoringServer };
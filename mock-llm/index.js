@@ -0,0 +1,197 @@
+const http = require('http');
+const fs = require('fs');
+
+// Models served by the mock server. The model of a request picks how it's answered:
+//   echo         repeats the last user message
+//   canned       answers with the configured responses, in rotation
+//   slow         like echo, with a delay before every streamed word
+//   error        fails with the configured HTTP status
+//   unavailable  fails with LLMule's "model not available" error, to try fallback models
+const MOCK_MODELS = [
+    { id: 'echo', context_length: 8192 },
+    { id: 'canned', context_length: 8192 },
+    { id: 'slow', context_length: 8192 },
+    { id: 'error', context_length: 8192 },
+    { id: 'unavailable', context_length: 8192 }
+];
+
+const DEFAULT_CANNED_RESPONSES = ['This is a canned response from the mock LLM server.'];
+
+// Function to get the text of a message, whose content may be a list of text and image parts
+function getMessageText(message) {
+    if (typeof message?.content === 'string') {
+        return message.content;
+    }
+    return (message?.content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+// Function to split a text into words, keeping the whitespace so they can be streamed back as they are
+function splitWords(text) {
+    return text.match(/\S+\s*|\s+/g) || [];
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to read the JSON body of a request
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => body += chunk);
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJSON(response, status, data, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(data));
+}
+
+// Function to create a mock OpenAI-compatible LLM server for developing and testing the bot
+// without network access. It serves `GET /models` and `POST /chat/completions` (with or
+// without a `/v1` prefix), streamed or not. Words count as tokens: answers longer than
+// `max_tokens` are cut off with finish reason `length`.
+//   responses     canned responses, served in rotation by the `canned` model
+//   delayMs       delay before each streamed word of the `slow` model
+//   errorStatus   HTTP status of the `error` model
+//   defaultModel  model used for requests naming a model the server doesn't know
+//   onRequest     called with the body of every completion request
+function createMockLLMServer({
+    responses = DEFAULT_CANNED_RESPONSES,
+    delayMs = 200,
+    errorStatus = 500,
+    defaultModel = 'echo',
+    onRequest = null
+} = {}) {
+    let cannedIndex = 0;
+
+    // Function to produce the answer of a model to a completion request
+    function answer(model, body) {
+        if (model === 'canned') {
+            const text = responses[cannedIndex % responses.length];
+            cannedIndex++;
+            return text;
+        }
+        const lastUser = [...(body.messages || [])].reverse().find(message => message.role === 'user');
+        return `Echo: ${getMessageText(lastUser) || '(empty message)'}`;
+    }
+
+    async function handleCompletion(request, response) {
+        let body;
+        try {
+            body = await readBody(request);
+        } catch {
+            return sendJSON(response, 400, { error: { message: 'Invalid JSON body', code: 'invalid_request' } });
+        }
+        onRequest?.(body);
+
+        const model = MOCK_MODELS.some(candidate => candidate.id === body.model) ? body.model : defaultModel;
+        if (model === 'error') {
+            return sendJSON(response, errorStatus, { error: { message: 'Mock error response', code: 'mock_error' } });
+        }
+        if (model === 'unavailable') {
+            return sendJSON(response, 503, { error: { message: `Model ${body.model} is not available`, code: 'model_not_available' } });
+        }
+
+        const words = splitWords(answer(model, body));
+        const maxTokens = parseInt(body.max_tokens) || Infinity;
+        const content = words.slice(0, maxTokens).join('');
+        const finishReason = words.length > maxTokens ? 'length' : 'stop';
+        const promptTokens = (body.messages || [])
+            .reduce((total, message) => total + splitWords(getMessageText(message)).length, 0);
+        const usage = {
+            prompt_tokens: promptTokens,
+            completion_tokens: Math.min(words.length, maxTokens),
+            total_tokens: promptTokens + Math.min(words.length, maxTokens)
+        };
+        const id = `mock-${Date.now()}`;
+
+        if (!body.stream) {
+            return sendJSON(response, 200, {
+                id,
+                object: 'chat.completion',
+                model: body.model,
+                choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+                usage
+            });
+        }
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        const send = data => response.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model: body.model, ...data })}\n\n`);
+
+        for (const word of splitWords(content)) {
+            if (model === 'slow') {
+                await sleep(delayMs);
+            }
+            if (response.destroyed) return;
+            send({ choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+        }
+        send({
+            choices: [{ index: 0, delta: {}, finish_reason: finishReason }],
+            ...(body.stream_options?.include_usage ? { usage } : {})
+        });
+        response.end('data: [DONE]\n\n');
+    }
+
+    return http.createServer((request, response) => {
+        const path = request.url.split('?')[0].replace(/^\/v1(?=\/)/, '');
+
+        if (request.method === 'GET' && path === '/models') {
+            return sendJSON(response, 200, { object: 'list', data: MOCK_MODELS.map(model => ({ ...model, object: 'model' })) });
+        }
+        if (request.method === 'POST' && path === '/chat/completions') {
+            return handleCompletion(request, response).catch(error => {
+                console.error('Mock LLM server error:', error);
+                if (!response.headersSent) {
+                    sendJSON(response, 500, { error: { message: error.message } });
+                } else {
+                    response.end();
+                }
+            });
+        }
+        sendJSON(response, 404, { error: { message: `Unknown endpoint ${request.method} ${path}` } });
+    });
+}
+
+// Function to read the canned responses from a JSON file holding a list of strings
+function loadResponses(file) {
+    const responses = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(responses) || responses.length === 0 || responses.some(response => typeof response !== 'string')) {
+        throw new Error(`${file} must contain a non-empty list of strings`);
+    }
+    return responses;
+}
+
+// Run directly to start a mock server, configured with MOCK_LLM_* environment variables
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_LLM_PORT) || 8080;
+    const server = createMockLLMServer({
+        responses: process.env.MOCK_LLM_RESPONSES ? loadResponses(process.env.MOCK_LLM_RESPONSES) : undefined,
+        delayMs: parseInt(process.env.MOCK_LLM_DELAY_MS) || undefined,
+        errorStatus: parseInt(process.env.MOCK_LLM_ERROR_STATUS) || undefined,
+        defaultModel: process.env.MOCK_LLM_DEFAULT_MODEL || undefined,
+        onRequest: body => console.log(`${new Date().toISOString()} ${body.model}: ${body.messages?.length || 0} messages`)
+    });
+    server.listen(port, () => {
+        console.log(`Mock LLM server listening on http://localhost:${port}/v1/chat/completions`);
+        console.log(`Models: ${MOCK_MODELS.map(model => model.id).join(', ')}`);
+    });
+}
+
+module.exports = { createMockLLMServer, loadResponses, MOCK_MODELS };
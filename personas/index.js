@@ -0,0 +1,77 @@
+// Maximum number of personas a user or a server can keep
+const MAX_PERSONAS = 25;
+
+// Maximum length of a persona's system prompt
+const MAX_PERSONA_PROMPT_LENGTH = 4000;
+
+// Persona names are short slugs so they are easy to type in `/persona use`
+const PERSONA_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Function to normalize a persona name as typed by a user
+function normalizePersonaName(name) {
+    return (name || '').trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// Function to check a persona name, returning an error message or null
+function validatePersonaName(name) {
+    if (!PERSONA_NAME_PATTERN.test(name)) {
+        return 'Persona names are up to 32 lowercase letters, digits, `-` or `_`';
+    }
+    return null;
+}
+
+// Function to create a persona from a system prompt and optional preferences
+function createPersona({ systemPrompt, model = null, temperature = null }, createdBy) {
+    return {
+        systemPrompt,
+        model,
+        temperature,
+        createdBy,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Function to get a persona from a `{ [name]: persona }` object. Only the object's own
+// entries count, so names like `constructor` don't resolve to Object.prototype.
+function getPersona(personas, name) {
+    return personas && Object.hasOwn(personas, name) ? personas[name] : null;
+}
+
+// Function to find a persona by name. Personal personas take precedence over
+// the server's; returns `{ name, scope, ...persona }` or null.
+function findPersona(name, userPersonas = {}, guildPersonas = {}) {
+    if (!name) return null;
+    const userPersona = getPersona(userPersonas, name);
+    if (userPersona) {
+        return { name, scope: 'personal', ...userPersona };
+    }
+    const guildPersona = getPersona(guildPersonas, name);
+    if (guildPersona) {
+        return { name, scope: 'server', ...guildPersona };
+    }
+    return null;
+}
+
+// Function to format one persona as a list entry
+function formatPersona(name, persona, active = false) {
+    const preferences = [
+        persona.model && `model \`${persona.model}\``,
+        persona.temperature !== null && persona.temperature !== undefined && `temp \`${persona.temperature}\``
+    ].filter(Boolean);
+    const prompt = persona.systemPrompt.length > 100
+        ? persona.systemPrompt.slice(0, 100) + '…'
+        : persona.systemPrompt;
+
+    return `${active ? '▶️' : '•'} **${name}**${preferences.length ? ` (${preferences.join(', ')})` : ''}\n   ${prompt}`;
+}
+
+module.exports = {
+    MAX_PERSONAS,
+    MAX_PERSONA_PROMPT_LENGTH,
+    normalizePersonaName,
+    validatePersonaName,
+    createPersona,
+    getPersona,
+    findPersona,
+    formatPersona
+};
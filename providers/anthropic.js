@@ -0,0 +1,113 @@
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// The messages API requires max_tokens
+const DEFAULT_MAX_TOKENS = 1024;
+
+// Function to normalize the usage block of an Anthropic response or stream event
+function parseUsage(usage) {
+    if (!Number.isFinite(usage?.input_tokens) && !Number.isFinite(usage?.output_tokens)) {
+        return null;
+    }
+    return { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens };
+}
+
+// Function to convert OpenAI-style content parts, turning data URL images into base64 image blocks
+function toAnthropicContent(content) {
+    if (!Array.isArray(content)) {
+        return content;
+    }
+    return content.map(part => {
+        if (part.type !== 'image_url') {
+            return { type: 'text', text: part.text };
+        }
+        const [, mediaType, data] = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/s) || [];
+        return mediaType
+            ? { type: 'image', source: { type: 'base64', media_type: mediaType, data } }
+            : { type: 'image', source: { type: 'url', url: part.image_url.url } };
+    });
+}
+
+// Function to create an adapter for Anthropic's messages API. System messages go into
+// the separate `system` field; penalties, seeds and JSON mode aren't supported and are left out.
+function createAnthropicAdapter({ url, apiKey }) {
+    const baseUrl = url.replace(/\/+$/, '').replace(/\/messages$/, '');
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+    };
+
+    return {
+        createRequest(model, messages, parameters, { stream }) {
+            const system = messages
+                .filter(message => message.role === 'system')
+                .map(message => message.content)
+                .join('\n\n');
+
+            return {
+                url: `${baseUrl}/messages`,
+                headers,
+                data: {
+                    model,
+                    ...(system ? { system } : {}),
+                    messages: messages
+                        .filter(message => message.role !== 'system')
+                        .map(message => ({ role: message.role, content: toAnthropicContent(message.content) })),
+                    max_tokens: parameters.max_tokens || DEFAULT_MAX_TOKENS,
+                    // Anthropic's temperature goes from 0 to 1
+                    ...(parameters.temperature !== undefined ? { temperature: Math.min(parameters.temperature, 1) } : {}),
+                    ...(parameters.top_p !== undefined ? { top_p: parameters.top_p } : {}),
+                    ...(parameters.stop ? { stop_sequences: parameters.stop } : {}),
+                    stream
+                }
+            };
+        },
+
+        parseResponse(data) {
+            return {
+                content: (data?.content || [])
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                model: data?.model,
+                usage: parseUsage(data?.usage),
+                finishReason: data?.stop_reason ?? null
+            };
+        },
+
+        parseStreamEvent(event) {
+            switch (event.type) {
+                case 'message_start':
+                    return { model: event.message?.model, usage: parseUsage(event.message?.usage) };
+                case 'content_block_delta':
+                    return { delta: event.delta?.text || '' };
+                case 'message_delta':
+                    return {
+                        finishReason: event.delta?.stop_reason,
+                        usage: Number.isFinite(event.usage?.output_tokens) ? { completionTokens: event.usage.output_tokens } : null
+                    };
+                case 'message_stop':
+                    return { done: true };
+                case 'error':
+                    return { error: event.error };
+                default:
+                    return {};
+            }
+        },
+
+        modelsRequest() {
+            return { url: `${baseUrl}/models`, headers };
+        },
+
+        // Every current Claude model takes images
+        parseModels(data) {
+            return (data?.data || []).map(model => ({ ...model, vision: true }));
+        },
+
+        isModelUnavailable(errorData) {
+            return errorData?.error?.type === 'not_found_error';
+        }
+    };
+}
+
+module.exports = { createAnthropicAdapter };
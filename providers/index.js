@@ -0,0 +1,174 @@
+const axios = require('axios');
+const { createLLMuleAdapter } = require('./llmule');
+const { createOpenAIAdapter } = require('./openai');
+const { createOllamaAdapter } = require('./ollama');
+const { createAnthropicAdapter } = require('./anthropic');
+const { readCompletion, readErrorData, getErrorMessage } = require('./stream');
+
+// Adapter factories by provider type. Every adapter maps requests, responses, stream
+// events, model lists and error codes between its API and the bot's OpenAI-style messages.
+const ADAPTERS = {
+    llmule: createLLMuleAdapter,
+    openai: createOpenAIAdapter,
+    ollama: createOllamaAdapter,
+    anthropic: createAnthropicAdapter
+};
+
+// Where each type of provider is reached when no URL is configured
+const DEFAULT_URLS = {
+    openai: 'https://api.openai.com/v1',
+    ollama: 'http://localhost:11434',
+    anthropic: 'https://api.anthropic.com/v1'
+};
+
+// Function to read the provider configuration from the environment. LLM_PROVIDERS lists
+// the provider names, the first one being the default (`llmule` if unset). Each provider
+// is configured with <NAME>_PROVIDER_TYPE (defaults to its name if that's a known type,
+// else `openai`), <NAME>_API_URL and <NAME>_API_KEY. LLMule providers fall back to
+// LLM_API_ENDPOINT and API_KEY.
+function parseProviderConfigs(env) {
+    const names = (env.LLM_PROVIDERS || 'llmule')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...new Set(names)].map(name => {
+        if (name.includes('/')) {
+            throw new Error(`Provider names can't contain "/": ${name}`);
+        }
+
+        const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+        const type = (env[`${prefix}_PROVIDER_TYPE`] || (ADAPTERS[name] ? name : 'openai')).toLowerCase();
+        if (!ADAPTERS[type]) {
+            throw new Error(`Unknown type "${type}" for provider ${name}. Available: ${Object.keys(ADAPTERS).join(', ')}`);
+        }
+
+        const url = env[`${prefix}_API_URL`] || (type === 'llmule' ? env.LLM_API_ENDPOINT : DEFAULT_URLS[type]);
+        if (!url) {
+            throw new Error(`No API URL configured for provider ${name}, set ${prefix}_API_URL`);
+        }
+
+        return {
+            name,
+            type,
+            url,
+            apiKey: env[`${prefix}_API_KEY`] || (type === 'llmule' ? env.API_KEY : undefined)
+        };
+    });
+}
+
+// How long a health check waits for a provider's model list
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+// How long listing models waits for a provider, so one that hangs doesn't hold up requests
+const MODELS_REQUEST_TIMEOUT_MS = 10000;
+
+// Function to create the registry of configured providers. With a single provider,
+// model ids are used as they are; with several, models are namespaced as
+// `provider/model`. Ids without a known provider prefix go to the default provider.
+function createProviderRegistry(configs, { logger = console } = {}) {
+    const providers = configs.map(config => ({ ...config, adapter: ADAPTERS[config.type]({ ...config, logger }) }));
+    const defaultProvider = providers[0];
+    const namespaced = providers.length > 1;
+
+    // Function to find the provider of a model id, and the model's name at that provider
+    function resolve(modelId) {
+        const separator = modelId.indexOf('/');
+        const provider = separator > 0 && providers.find(candidate => candidate.name === modelId.slice(0, separator).toLowerCase());
+        return provider
+            ? { provider, model: modelId.slice(separator + 1) }
+            : { provider: defaultProvider, model: modelId };
+    }
+
+    function formatModelId(provider, model) {
+        return namespaced ? `${provider.name}/${model}` : model;
+    }
+
+    return {
+        getProviders() {
+            return providers.map(({ name, type, url }) => ({ name, type, url }));
+        },
+
+        getProviderName(modelId) {
+            return resolve(modelId).provider.name;
+        },
+
+        // The id a model is listed under, e.g. `ollama/llama3` for `llama3` when Ollama is the default
+        normalizeModelId(modelId) {
+            const { provider, model } = resolve(modelId);
+            return formatModelId(provider, model);
+        },
+
+        // List the models of every provider. Providers that can't be reached are left out,
+        // unless none can be reached.
+        async listModels() {
+            const results = await Promise.allSettled(providers.map(async provider => {
+                const request = provider.adapter.modelsRequest();
+                const response = await axios.get(request.url, { headers: request.headers, timeout: MODELS_REQUEST_TIMEOUT_MS });
+                return provider.adapter.parseModels(response.data).map(model => ({
+                    ...model,
+                    id: formatModelId(provider, model.id),
+                    provider: provider.name
+                }));
+            }));
+
+            results.forEach((result, index) => {
+                if (result.status === 'rejected') {
+                    logger.error('Error fetching models from provider', { provider: providers[index].name, error: result.reason.message });
+                }
+            });
+            if (results.every(result => result.status === 'rejected')) {
+                throw results[0].reason;
+            }
+
+            return results
+                .filter(result => result.status === 'fulfilled')
+                .flatMap(result => result.value);
+        },
+
+        // Request a completion from the model's provider. `onRequest` is called with the
+        // request before it's sent, e.g. for logging. Returns `{ content, model, usage, finishReason }`.
+        async complete(modelId, messages, parameters, { stream = true, signal = null, onProgress = null, onRequest = null } = {}) {
+            const { provider, model } = resolve(modelId);
+            const request = provider.adapter.createRequest(model, messages, parameters, { stream });
+            onRequest?.({ ...request, provider: provider.name });
+
+            const response = await axios.post(request.url, request.data, {
+                headers: request.headers,
+                responseType: 'stream',
+                signal
+            });
+            const completion = await readCompletion(provider.adapter, response, onProgress);
+            return {
+                ...completion,
+                model: completion.model ? formatModelId(provider, completion.model) : null
+            };
+        },
+
+        // Check that every provider answers, by fetching its model list.
+        // Returns `[{ name, type, status: 'up' | 'down', latencyMs, error }]`.
+        async checkHealth() {
+            return Promise.all(providers.map(async provider => {
+                const start = Date.now();
+                try {
+                    const request = provider.adapter.modelsRequest();
+                    await axios.get(request.url, { headers: request.headers, timeout: HEALTH_CHECK_TIMEOUT_MS });
+                    return { name: provider.name, type: provider.type, status: 'up', latencyMs: Date.now() - start };
+                } catch (error) {
+                    return { name: provider.name, type: provider.type, status: 'down', latencyMs: Date.now() - start, error: error.message };
+                }
+            }));
+        },
+
+        // Check an error payload for the provider's "model not available" codes
+        isModelUnavailable(modelId, errorData) {
+            return resolve(modelId).provider.adapter.isModelUnavailable(errorData);
+        }
+    };
+}
+
+module.exports = {
+    parseProviderConfigs,
+    createProviderRegistry,
+    readErrorData,
+    getErrorMessage
+};
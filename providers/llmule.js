@@ -0,0 +1,41 @@
+const { createOpenAIAdapter } = require('./openai');
+
+// Function to extract the completion text from the different response shapes LLMule has used
+function extractResponseContent(data, logger) {
+    if (data?.choices?.[0]?.message?.content) {
+        return data.choices[0].message.content;
+    } else if (data?.response) {
+        return data.response;
+    } else if (data?.message) {
+        return data.message;
+    } else if (typeof data === 'string') {
+        return data;
+    }
+    // The body may hold user content, so it's only shown at debug level
+    logger.error('Unexpected API response structure', { response: data });
+    throw new Error('Unexpected API response structure');
+}
+
+// Function to create an adapter for the LLMule API: OpenAI-compatible, authenticated
+// with an `x-api-key` header, with its own "model not available" error codes
+function createLLMuleAdapter({ url, apiKey, logger = console }) {
+    const adapter = createOpenAIAdapter({ url, headers: { 'x-api-key': apiKey } });
+
+    return {
+        ...adapter,
+
+        parseResponse(data) {
+            return {
+                ...adapter.parseResponse(data),
+                content: extractResponseContent(data, logger)
+            };
+        },
+
+        isModelUnavailable(errorData) {
+            return errorData?.error?.code === 'model_not_available' ||
+                errorData?.originalError?.code === 'NO_MODELS_AVAILABLE';
+        }
+    };
+}
+
+module.exports = { createLLMuleAdapter };
@@ -0,0 +1,106 @@
+// Ollama's names for the sampling parameters, which it takes as `options`
+const OPTION_NAMES = {
+    temperature: 'temperature',
+    top_p: 'top_p',
+    max_tokens: 'num_predict',
+    frequency_penalty: 'frequency_penalty',
+    presence_penalty: 'presence_penalty',
+    seed: 'seed',
+    stop: 'stop'
+};
+
+// Model families that take images
+const VISION_FAMILIES = ['clip', 'mllama'];
+
+// Function to normalize the token counts of an Ollama response
+function parseUsage(data) {
+    if (!Number.isFinite(data?.prompt_eval_count) && !Number.isFinite(data?.eval_count)) {
+        return null;
+    }
+    return { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count };
+}
+
+// Function to convert an OpenAI-style message: Ollama takes images as a list of base64 strings
+function toOllamaMessage({ role, content }) {
+    if (!Array.isArray(content)) {
+        return { role, content };
+    }
+    return {
+        role,
+        content: content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+        images: content
+            .filter(part => part.type === 'image_url')
+            .map(part => part.image_url.url.replace(/^data:[^;]+;base64,/, ''))
+    };
+}
+
+// Function to create an adapter for Ollama's native chat API, which streams
+// newline-delimited JSON. An API key is only needed behind an authenticating proxy.
+function createOllamaAdapter({ url, apiKey }) {
+    const baseUrl = url.replace(/\/+$/, '').replace(/\/api(\/chat)?$/, '');
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    };
+
+    return {
+        createRequest(model, messages, parameters, { stream }) {
+            const options = {};
+            Object.entries(OPTION_NAMES).forEach(([key, option]) => {
+                if (parameters[key] !== undefined) options[option] = parameters[key];
+            });
+
+            return {
+                url: `${baseUrl}/api/chat`,
+                headers,
+                data: {
+                    model,
+                    messages: messages.map(toOllamaMessage),
+                    options,
+                    stream,
+                    ...(parameters.response_format?.type === 'json_object' ? { format: 'json' } : {})
+                }
+            };
+        },
+
+        parseResponse(data) {
+            return {
+                content: data?.message?.content,
+                model: data?.model,
+                usage: parseUsage(data),
+                finishReason: data?.done_reason ?? null
+            };
+        },
+
+        parseStreamEvent(event) {
+            if (event.error) {
+                return { error: event.error };
+            }
+            return {
+                delta: event.message?.content || '',
+                model: event.model,
+                usage: event.done ? parseUsage(event) : null,
+                finishReason: event.done_reason,
+                done: event.done === true
+            };
+        },
+
+        modelsRequest() {
+            return { url: `${baseUrl}/api/tags`, headers };
+        },
+
+        parseModels(data) {
+            return (data?.models || []).map(model => ({
+                id: model.name,
+                details: model.details,
+                capabilities: model.details?.families?.some(family => VISION_FAMILIES.includes(family)) ? ['vision'] : []
+            }));
+        },
+
+        isModelUnavailable(errorData) {
+            return typeof errorData?.error === 'string' && /not found/i.test(errorData.error);
+        }
+    };
+}
+
+module.exports = { createOllamaAdapter };
@@ -0,0 +1,79 @@
+// Function to normalize an OpenAI-style usage block
+function parseUsage(usage) {
+    const promptTokens = usage?.prompt_tokens;
+    const completionTokens = usage?.completion_tokens;
+    if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+        return null;
+    }
+    return { promptTokens, completionTokens };
+}
+
+// Function to get the base URL of an OpenAI-compatible API. Both the base URL and the
+// full chat completions endpoint are accepted.
+function getBaseUrl(url) {
+    return url.replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+// Function to create an adapter for OpenAI-compatible APIs (OpenAI, OpenRouter, vLLM,
+// LM Studio, llama.cpp...). Requests are authenticated with a bearer token by default;
+// pass `headers` to authenticate differently.
+function createOpenAIAdapter({ url, apiKey, headers = null }) {
+    const baseUrl = getBaseUrl(url);
+    const requestHeaders = {
+        'Content-Type': 'application/json',
+        ...(headers || (apiKey ? { Authorization: `Bearer ${apiKey}` } : {}))
+    };
+
+    return {
+        createRequest(model, messages, parameters, { stream }) {
+            return {
+                url: `${baseUrl}/chat/completions`,
+                headers: requestHeaders,
+                data: {
+                    model,
+                    messages,
+                    ...parameters,
+                    stream,
+                    // Ask for the usage block in the last chunk of the stream
+                    ...(stream ? { stream_options: { include_usage: true } } : {})
+                }
+            };
+        },
+
+        parseResponse(data) {
+            return {
+                content: data?.choices?.[0]?.message?.content,
+                model: data?.model,
+                usage: parseUsage(data?.usage),
+                finishReason: data?.choices?.[0]?.finish_reason ?? null
+            };
+        },
+
+        parseStreamEvent(event) {
+            if (event.error) {
+                return { error: event.error };
+            }
+            const choice = event.choices?.[0];
+            return {
+                delta: choice?.delta?.content ?? choice?.message?.content ?? '',
+                model: event.model,
+                usage: parseUsage(event.usage),
+                finishReason: choice?.finish_reason
+            };
+        },
+
+        modelsRequest() {
+            return { url: `${baseUrl}/models`, headers: requestHeaders };
+        },
+
+        parseModels(data) {
+            return data?.data || [];
+        },
+
+        isModelUnavailable(errorData) {
+            return errorData?.error?.code === 'model_not_found';
+        }
+    };
+}
+
+module.exports = { createOpenAIAdapter, getBaseUrl };
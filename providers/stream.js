@@ -0,0 +1,146 @@
+// Function to read a whole response stream into a string
+async function readStreamBody(stream) {
+    let body = '';
+    stream.setEncoding?.('utf8');
+    for await (const chunk of stream) {
+        body += chunk;
+    }
+    return body;
+}
+
+function parseJSONBody(body) {
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+// Function to get the parsed error payload of a failed (possibly streamed) request
+async function readErrorData(error) {
+    if (error.streamError) {
+        return { error: error.streamError };
+    }
+    const data = error.response?.data;
+    if (data && typeof data.on === 'function') {
+        try {
+            return parseJSONBody(await readStreamBody(data));
+        } catch {
+            return null;
+        }
+    }
+    return data;
+}
+
+// Function to get the message of an error payload: `{ error: { message } }` for
+// OpenAI- and Anthropic-style APIs, `{ error: '...' }` for Ollama
+function getErrorMessage(errorData) {
+    if (typeof errorData?.error === 'string') {
+        return errorData.error;
+    }
+    return errorData?.error?.message || null;
+}
+
+// Function to merge the usage reported across stream events. Anthropic reports the
+// prompt tokens at the start of a stream and the completion tokens at its end.
+function mergeUsage(usage, update) {
+    if (!update) return usage;
+    return {
+        promptTokens: update.promptTokens ?? usage?.promptTokens,
+        completionTokens: update.completionTokens ?? usage?.completionTokens
+    };
+}
+
+// Function to read a completion with an adapter, calling onProgress with the accumulated
+// text for every streamed delta. Adapters parse server-sent events or newline-delimited
+// JSON; providers that ignore `stream: true` answer with a regular JSON body.
+// Returns `{ content, model, usage, finishReason }`.
+async function readCompletion(adapter, response, onProgress) {
+    const contentType = response.headers?.['content-type'] || '';
+    const format = contentType.includes('text/event-stream') ? 'sse'
+        : contentType.includes('ndjson') ? 'ndjson'
+        : 'json';
+
+    if (format === 'json') {
+        const completion = adapter.parseResponse(parseJSONBody(await readStreamBody(response.data)));
+        if (!completion.content) {
+            throw new Error('Could not extract response from API');
+        }
+        return {
+            ...completion,
+            usage: completion.usage ? mergeUsage({ promptTokens: 0, completionTokens: 0 }, completion.usage) : null
+        };
+    }
+
+    let buffer = '';
+    let content = '';
+    let model = null;
+    let usage = null;
+    let finishReason = null;
+    let done = false;
+
+    response.data.setEncoding?.('utf8');
+    for await (const chunk of response.data) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (format === 'sse' && !trimmed.startsWith('data:')) continue;
+
+            const payload = format === 'sse' ? trimmed.slice(5).trim() : trimmed;
+            if (payload === '[DONE]') {
+                done = true;
+                break;
+            }
+
+            const event = parseJSONBody(payload);
+            if (typeof event !== 'object' || event === null) continue;
+
+            const update = adapter.parseStreamEvent(event);
+            if (update.error) {
+                const streamError = new Error(getErrorMessage({ error: update.error }) || 'Error received in response stream');
+                streamError.streamError = update.error;
+                throw streamError;
+            }
+
+            model = update.model || model;
+            usage = mergeUsage(usage, update.usage);
+            finishReason = update.finishReason || finishReason;
+            if (update.delta) {
+                content += update.delta;
+                onProgress?.(content);
+            }
+            if (update.done) {
+                done = true;
+                break;
+            }
+        }
+
+        if (done) break;
+    }
+
+    if (done) {
+        response.data.destroy?.();
+    }
+
+    if (!content) {
+        throw new Error('Could not extract response from API');
+    }
+
+    return {
+        content,
+        model,
+        usage: usage ? mergeUsage({ promptTokens: 0, completionTokens: 0 }, usage) : null,
+        finishReason
+    };
+}
+
+module.exports = {
+    readStreamBody,
+    parseJSONBody,
+    readErrorData,
+    getErrorMessage,
+    readCompletion
+};
@@ -0,0 +1,145 @@
+// Function to create an error for requests that were cancelled
+function createCancelledError() {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Function to create a request queue that runs at most `concurrency` tasks at a time.
+// Waiting requests are kept per user and served round-robin, so a burst from one user
+// can't starve everyone else, and a user's requests run one after another so their
+// conversation stays in order. Every job has an AbortController, so it can be
+// cancelled while waiting or while running.
+function createRequestQueue({ concurrency = 4, maxPendingPerUser = 3 } = {}) {
+    // userId -> waiting jobs, oldest first. The Map's order is the round-robin order.
+    const lanes = new Map();
+    const running = new Set();
+    let nextId = 1;
+
+    function isUserRunning(userId) {
+        return [...running].some(job => job.userId === userId);
+    }
+
+    // The order waiting jobs will start in: one job per user per round
+    function getPendingOrder() {
+        const queues = [...lanes.values()];
+        const order = [];
+        for (let round = 0; order.length < queues.reduce((total, lane) => total + lane.length, 0); round++) {
+            queues.forEach(lane => {
+                if (lane[round]) order.push(lane[round]);
+            });
+        }
+        return order;
+    }
+
+    function notifyPositions() {
+        getPendingOrder().forEach((job, index) => {
+            if (job.position !== index + 1) {
+                job.position = index + 1;
+                job.onPosition?.(job.position);
+            }
+        });
+    }
+
+    function start(job) {
+        running.add(job);
+        job.status = 'running';
+        job.startedAt = Date.now();
+
+        Promise.resolve()
+            .then(() => job.task(job.controller.signal))
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                running.delete(job);
+                job.status = 'done';
+                dispatch();
+            });
+    }
+
+    function dispatch() {
+        while (running.size < concurrency) {
+            // The first user in the rotation who isn't already being served
+            const userId = [...lanes.keys()].find(id => !isUserRunning(id));
+            if (userId === undefined) break;
+
+            const lane = lanes.get(userId);
+            const job = lane.shift();
+            // Move the user to the back of the rotation
+            lanes.delete(userId);
+            if (lane.length > 0) {
+                lanes.set(userId, lane);
+            }
+            start(job);
+        }
+        notifyPositions();
+    }
+
+    return {
+        // Queue a task for a user. The task is called with an AbortSignal once it is
+        // the user's turn; the returned job's `promise` settles with its result.
+        // `onPosition` is called whenever the job's position in the queue changes.
+        enqueue(userId, task, { onPosition = null } = {}) {
+            const lane = lanes.get(userId) || [];
+            if (lane.length >= maxPendingPerUser) {
+                const error = new Error(`You already have ${lane.length} requests waiting`);
+                error.code = 'QUEUE_FULL';
+                throw error;
+            }
+
+            const job = {
+                id: nextId++,
+                userId,
+                task,
+                onPosition,
+                controller: new AbortController(),
+                status: 'pending',
+                position: null,
+                enqueuedAt: Date.now()
+            };
+            job.promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+
+            lane.push(job);
+            lanes.set(userId, lane);
+            dispatch();
+            return job;
+        },
+
+        // Cancel a user's requests: waiting ones are dropped and the running one is
+        // aborted. Returns how many requests were cancelled.
+        cancel(userId) {
+            const waiting = lanes.get(userId) || [];
+            lanes.delete(userId);
+            waiting.forEach(job => {
+                job.status = 'cancelled';
+                job.controller.abort();
+                job.reject(createCancelledError());
+            });
+
+            const active = [...running].filter(job => job.userId === userId && !job.controller.signal.aborted);
+            active.forEach(job => job.controller.abort());
+
+            if (waiting.length > 0) {
+                notifyPositions();
+            }
+            return waiting.length + active.length;
+        },
+
+        // Queue depth for monitoring
+        getStats() {
+            const pending = getPendingOrder();
+            const now = Date.now();
+            return {
+                concurrency,
+                running: running.size,
+                pending: pending.length,
+                waitingUsers: lanes.size,
+                longestWaitMs: pending.reduce((longest, job) => Math.max(longest, now - job.enqueuedAt), 0)
+            };
+        }
+    };
+}
+
+module.exports = { createRequestQueue };
@@ -0,0 +1,86 @@
+// Function to create a circuit breaker that tracks failures per key (e.g. per model).
+// After `failureThreshold` consecutive failures the circuit opens and requests are
+// skipped for `cooldownMs`. Then a single trial request is let through: success
+// closes the circuit again, failure reopens it for another cooldown.
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    const circuits = new Map();
+
+    function getCircuit(key) {
+        if (!circuits.has(key)) {
+            circuits.set(key, { failures: 0, openedAt: null, trialInFlight: false });
+        }
+        return circuits.get(key);
+    }
+
+    function getState(key) {
+        const circuit = circuits.get(key);
+        if (!circuit || circuit.openedAt === null) return 'closed';
+        return Date.now() - circuit.openedAt >= cooldownMs ? 'half-open' : 'open';
+    }
+
+    return {
+        getState,
+
+        // Whether a request for the key may be made right now
+        canRequest(key) {
+            const state = getState(key);
+            if (state === 'closed') return true;
+            if (state === 'open') return false;
+
+            const circuit = getCircuit(key);
+            if (circuit.trialInFlight) return false;
+            circuit.trialInFlight = true;
+            return true;
+        },
+
+        recordSuccess(key) {
+            circuits.delete(key);
+        },
+
+        recordFailure(key) {
+            const circuit = getCircuit(key);
+            circuit.failures++;
+            circuit.trialInFlight = false;
+            if (circuit.openedAt !== null || circuit.failures >= failureThreshold) {
+                circuit.openedAt = Date.now();
+            }
+        },
+
+        // Hand back a trial request that ended without saying anything about the
+        // model's health (e.g. it was cancelled), so another one can be made
+        releaseTrial(key) {
+            const circuit = circuits.get(key);
+            if (circuit) {
+                circuit.trialInFlight = false;
+            }
+        },
+
+        // Milliseconds until an open circuit lets a trial request through
+        getRemainingCooldown(key) {
+            const circuit = circuits.get(key);
+            if (!circuit || circuit.openedAt === null) return 0;
+            return Math.max(0, cooldownMs - (Date.now() - circuit.openedAt));
+        }
+    };
+}
+
+// Function to parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+module.exports = {
+    createCircuitBreaker,
+    parseRetryAfter
+};
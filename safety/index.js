@@ -0,0 +1,126 @@
+// What can be done when a blocked term shows up in a prompt or an answer:
+//   refuse  the prompt isn't sent to the model, or the answer isn't posted
+//   mask    the term is replaced by asterisks
+//   flag    the message goes through, and is reported to the mod channel
+const TERM_ACTIONS = ['refuse', 'mask', 'flag'];
+
+// Function to check a phone number candidate: 7 to 15 digits, and an international prefix,
+// an area code in parentheses or at least three groups. Dates, IPv4 addresses and numbers
+// with thousands separators have groups too, they're left alone.
+//   matches        +33 6 12 34 56 78, (415) 555-2671, 415-555-2671, 06 12 34 56 78
+//   doesn't match  123456, 65535, 1000-2000, 2024-01-15, 192.168.100.200, 10 000 000
+function isPhoneNumber(candidate) {
+    const digits = candidate.replace(/\D/g, '').length;
+    if (digits < 7 || digits > 15) return false;
+    if (/^\+|\(/.test(candidate)) return true;
+    return !/^\d{4}[-.]\d{1,2}[-.]\d{1,2}$/.test(candidate) &&
+        !/^\d{1,3}(\.\d{1,3}){3}$/.test(candidate) &&
+        !/^\d{1,3}([ .]\d{3})+$/.test(candidate);
+}
+
+// Personal data redacted from prompts before they're sent to the model, most specific first.
+// Matches are checked with `validate` where there is one. In the phone pattern, every group
+// of digits starts with a separator or an area code in parentheses, so a run of digits can
+// only be matched one way and long numbers don't make the regex backtrack exponentially.
+const PII_PATTERNS = [
+    { kind: 'api key', pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g },
+    { kind: 'api key', pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{15,}[A-Za-z0-9_~+/-]=*/g },
+    { kind: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    {
+        kind: 'phone',
+        pattern: /(?<![\w+.-])(?:\+\d{1,15}(?:(?:[ .-]|[ .-]?\(\d{1,4}\)[ .-]?)\d{1,11}){0,7}|\(\d{1,4}\)[ .-]?\d{1,11}(?:[ .-]\d{1,11}){0,5}|\d{2,4}(?:[ .-]\d{2,4}){2,5})(?![\w.-]?\w)/g,
+        validate: isPhoneNumber
+    }
+];
+
+// Default safety settings of a guild
+function getDefaultSafetySettings() {
+    return {
+        // { [term]: action }
+        blockedTerms: {},
+        modChannelId: null,
+        // null to follow the REDACT_PII default
+        redactPII: null
+    };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to build the pattern of a blocked term: case-insensitive, and whole words only
+// where the term starts or ends with a letter or digit, so "ass" doesn't match "class"
+function getTermPattern(term) {
+    const start = /^\w/.test(term) ? '(?<!\\w)' : '';
+    const end = /\w$/.test(term) ? '(?!\\w)' : '';
+    return new RegExp(`${start}${escapeRegExp(term)}${end}`, 'gi');
+}
+
+// Function to normalize a blocked term as typed by an admin
+function normalizeTerm(term) {
+    return (term || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Function to replace personal data with placeholders like `[email]`.
+// Returns the redacted text and the kinds of data found.
+function redactPII(text) {
+    const found = new Set();
+    let redacted = text;
+    for (const { kind, pattern, validate } of PII_PATTERNS) {
+        redacted = redacted.replace(pattern, match => {
+            if (validate && !validate(match)) return match;
+            found.add(kind);
+            return `[${kind}]`;
+        });
+    }
+    return { text: redacted, kinds: [...found] };
+}
+
+// Function to check a text against a guild's blocked terms. Masked terms are replaced in the
+// returned text; the terms found are grouped by action.
+function applyBlockedTerms(text, blockedTerms = {}) {
+    const matches = { refuse: [], mask: [], flag: [] };
+    let filtered = text;
+    for (const [term, action] of Object.entries(blockedTerms)) {
+        const pattern = getTermPattern(term);
+        if (!pattern.test(filtered)) continue;
+
+        matches[action]?.push(term);
+        if (action === 'mask') {
+            filtered = filtered.replace(getTermPattern(term), match => '*'.repeat(match.length));
+        }
+    }
+    return { text: filtered, ...matches };
+}
+
+// Function to defuse @everyone and @here in model output, so they don't even look like mentions
+function sanitizeMentions(text) {
+    return text.replace(/@(everyone|here)\b/g, '@\u200b$1');
+}
+
+// Function to filter a prompt before it's sent to the model: PII is redacted when
+// `redact` is set, then blocked terms are applied.
+// Returns `{ text, refuse, mask, flag, redacted }`.
+function filterInput(text, safetySettings, { redact = false } = {}) {
+    const { text: redactedText, kinds } = redact ? redactPII(text) : { text, kinds: [] };
+    return { ...applyBlockedTerms(redactedText, safetySettings?.blockedTerms), redacted: kinds };
+}
+
+// Function to filter an answer before it's posted: blocked terms are applied, and mass
+// mentions defused unless `defuseMentions` is turned off.
+// Returns `{ text, refuse, mask, flag }`.
+function filterOutput(text, safetySettings, { defuseMentions = true } = {}) {
+    const result = applyBlockedTerms(text, safetySettings?.blockedTerms);
+    return defuseMentions ? { ...result, text: sanitizeMentions(result.text) } : result;
+}
+
+module.exports = {
+    TERM_ACTIONS,
+    getDefaultSafetySettings,
+    normalizeTerm,
+    redactPII,
+    applyBlockedTerms,
+    sanitizeMentions,
+    filterInput,
+    filterOutput
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+
+// Fields of a cron expression, in order
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Shortcuts for common cron expressions
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const INTERVAL_PATTERN = /^(?:every\s+)?(\d+)\s*(m|min|mins|minutes?|h|hours?|d|days?|w|weeks?)$/i;
+
+// How far ahead the next run of a cron expression is looked for
+const MAX_CRON_SEARCH_MS = 5 * 366 * INTERVAL_UNITS.d;
+
+// Timers are capped, since setTimeout can't wait longer than about 24 days
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Runs missed while the bot was offline are still made if they're at most this late
+const MISSED_RUN_GRACE_MS = 10 * 60 * 1000;
+
+// Schedules are paused after this many failed runs in a row
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Function to parse one field of a cron expression into the set of values it matches
+function parseCronField(text, field) {
+    const values = new Set();
+    const toNumber = value => {
+        const index = field.names?.indexOf(value.toLowerCase().slice(0, 3)) ?? -1;
+        if (index !== -1 && /^[a-z]+$/i.test(value)) {
+            return index + (field.name === 'month' ? 1 : 0);
+        }
+        return /^\d+$/.test(value) ? parseInt(value) : NaN;
+    };
+
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/i);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} field: \`${text}\``);
+        }
+
+        const [, start, end, step] = match;
+        const from = start === '*' ? field.min : toNumber(start);
+        const to = start === '*' ? field.max : end !== undefined ? toNumber(end) : step ? field.max : from;
+        const increment = step ? parseInt(step) : 1;
+        if ([from, to].some(value => Number.isNaN(value) || value < field.min || value > field.max) ||
+            from > to || increment < 1 || (start === '*' && end !== undefined)) {
+            throw new Error(`Invalid ${field.name} field: \`${text}\` (${field.min}-${field.max})`);
+        }
+
+        for (let value = from; value <= to; value += increment) {
+            // Sunday is both 0 and 7
+            values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+        }
+    }
+    return values;
+}
+
+// Function to parse a cron expression: minute, hour, day of month, month and day of week
+function parseCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('Cron expressions have 5 fields: minute, hour, day of month, month and day of week');
+    }
+
+    const fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+        fields[field.name] = parseCronField(parts[index], field);
+    });
+    // Like cron, when both days are restricted a day matching either of them is a match
+    fields.anyDay = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+    return fields;
+}
+
+// Function to check whether a time zone is known to the runtime
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const zonedFormatters = new Map();
+
+// Function to get the wall-clock minute, hour, day, month and weekday of a time in a time zone
+function getZonedParts(time, timeZone) {
+    if (!zonedFormatters.has(timeZone)) {
+        zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of zonedFormatters.get(timeZone).formatToParts(new Date(time))) {
+        parts[type] = value;
+    }
+    return {
+        minute: parseInt(parts.minute),
+        hour: parseInt(parts.hour),
+        day: parseInt(parts.day),
+        month: parseInt(parts.month),
+        weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+// Function to find the first minute after `after` matching a cron expression in a time zone, or null
+function getNextCronRun(fields, after, timeZone) {
+    const minute = INTERVAL_UNITS.m;
+    let time = Math.floor(after / minute) * minute + minute;
+    const limit = time + MAX_CRON_SEARCH_MS;
+
+    while (time < limit) {
+        const parts = getZonedParts(time, timeZone);
+        const dayMatches = fields.anyDay
+            ? fields.day.has(parts.day) || fields.weekday.has(parts.weekday)
+            : fields.day.has(parts.day) && fields.weekday.has(parts.weekday);
+
+        if (!fields.month.has(parts.month) || !dayMatches || !fields.hour.has(parts.hour)) {
+            // Nothing in this hour can match
+            time += (60 - parts.minute) * minute;
+        } else if (!fields.minute.has(parts.minute)) {
+            time += minute;
+        } else {
+            return time;
+        }
+    }
+    return null;
+}
+
+// Function to parse a schedule spec: a cron expression such as `0 9 * * 1-5`, a shortcut such
+// as `@daily`, or an interval such as `every 6h`. Runs of a spec must be at least
+// `minIntervalMs` apart. Returns `{ value, error }`, `value` being
+// `{ type: 'cron', expression }` or `{ type: 'interval', intervalMs }`.
+function parseScheduleSpec(spec, { timeZone = 'UTC', minIntervalMs = 0 } = {}) {
+    const text = (spec || '').trim().replace(/\s+/g, ' ');
+    if (!text) {
+        return { error: 'The schedule is empty' };
+    }
+
+    const intervalMatch = text.match(INTERVAL_PATTERN);
+    if (intervalMatch) {
+        const intervalMs = parseInt(intervalMatch[1]) * INTERVAL_UNITS[intervalMatch[2][0].toLowerCase()];
+        if (intervalMs < minIntervalMs) {
+            return { error: `Schedules can run at most every ${formatDuration(minIntervalMs)}` };
+        }
+        return { value: { type: 'interval', intervalMs } };
+    }
+
+    const expression = CRON_SHORTCUTS[text.toLowerCase()] || text;
+    let fields;
+    try {
+        fields = parseCron(expression);
+    } catch (error) {
+        return { error: `${error.message}. Use a cron expression like \`0 9 * * 1-5\`, or an interval like \`every 6h\`` };
+    }
+
+    // Look at the next few runs to catch expressions running too often
+    const runs = [];
+    let after = Date.now();
+    while (runs.length < 10) {
+        const next = getNextCronRun(fields, after, timeZone);
+        if (next === null) break;
+        runs.push(next);
+        after = next;
+    }
+    if (runs.length === 0) {
+        return { error: `\`${expression}\` never runs` };
+    }
+    if (runs.some((run, index) => index > 0 && run - runs[index - 1] < minIntervalMs)) {
+        return { error: `Schedules can run at most every ${formatDuration(minIntervalMs)}` };
+    }
+    return { value: { type: 'cron', expression } };
+}
+
+// Function to get the time of the first run of a schedule after `after`, or null if there's none
+function getNextRun(schedule, after = Date.now()) {
+    if (schedule.type === 'interval') {
+        // Intervals count from when the schedule was created, so pauses don't shift them
+        const anchor = Date.parse(schedule.createdAt);
+        const elapsed = Math.max(0, after - anchor);
+        return anchor + (Math.floor(elapsed / schedule.intervalMs) + 1) * schedule.intervalMs;
+    }
+    return getNextCronRun(parseCron(schedule.expression), after, schedule.timeZone);
+}
+
+// Function to format a duration for display, e.g. `6h` or `1d`
+function formatDuration(ms) {
+    for (const unit of ['w', 'd', 'h']) {
+        if (ms % INTERVAL_UNITS[unit] === 0) {
+            return `${ms / INTERVAL_UNITS[unit]}${unit}`;
+        }
+    }
+    return `${Math.round(ms / INTERVAL_UNITS.m)}m`;
+}
+
+// Function to describe when a schedule runs, e.g. `every 6h` or `0 9 * * 1-5 (Europe/Paris)`
+function describeSchedule(schedule) {
+    return schedule.type === 'interval'
+        ? `every ${formatDuration(schedule.intervalMs)}`
+        : `${schedule.expression} (${schedule.timeZone})`;
+}
+
+// Function to create a scheduler for prompts posted to channels, backed by the storage 'schedules' collection:
+//   { [id]: { guildId, channelId, createdBy, type, expression, intervalMs, timeZone, prompt, params, persona,
+//             paused, nextRunAt, lastRunAt, lastError, failures, createdAt } }
+// Once started, `onRun(schedule)` is called whenever a schedule is due. A run fails when it
+// throws; schedules failing too many times in a row are paused.
+function createScheduler({ storage, onRun, logger = console }) {
+    const schedules = new Map(Object.entries(storage.load('schedules')));
+    let timer = null;
+    let started = false;
+
+    function save(id) {
+        storage.set('schedules', id, schedules.get(id));
+    }
+
+    function withId(id) {
+        const schedule = schedules.get(id);
+        return schedule ? { id, ...schedule } : null;
+    }
+
+    // Function to set the timer for the next due schedule
+    function arm() {
+        clearTimeout(timer);
+        timer = null;
+        if (!started) return;
+
+        const nextRuns = [...schedules.values()]
+            .filter(schedule => !schedule.paused && schedule.nextRunAt)
+            .map(schedule => Date.parse(schedule.nextRunAt));
+        if (nextRuns.length === 0) return;
+
+        const wait = Math.min(Math.max(0, Math.min(...nextRuns) - Date.now()), MAX_TIMER_MS);
+        timer = setTimeout(runDueSchedules, wait);
+        timer.unref?.();
+    }
+
+    async function run(id) {
+        try {
+            await onRun(withId(id));
+            const schedule = schedules.get(id);
+            if (!schedule) return;
+            schedule.lastError = null;
+            schedule.failures = 0;
+            save(id);
+        } catch (error) {
+            logger.error('Scheduled prompt failed', { scheduleId: id, error });
+            const schedule = schedules.get(id);
+            if (!schedule) return;
+            schedule.lastError = error.message;
+            schedule.failures = (schedule.failures || 0) + 1;
+            if (schedule.failures >= MAX_CONSECUTIVE_FAILURES) {
+                schedule.paused = true;
+                logger.warn('Paused failing schedule', { scheduleId: id, failures: schedule.failures });
+            }
+            save(id);
+        }
+    }
+
+    function runDueSchedules() {
+        const now = Date.now();
+        for (const [id, schedule] of schedules) {
+            if (schedule.paused || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now) continue;
+
+            schedule.lastRunAt = new Date(now).toISOString();
+            const nextRun = getNextRun(schedule, now);
+            schedule.nextRunAt = nextRun === null ? null : new Date(nextRun).toISOString();
+            save(id);
+            run(id);
+        }
+        arm();
+    }
+
+    return {
+        // Store a schedule, parsed with parseScheduleSpec, and return it with its id
+        create({ guildId, channelId, createdBy, spec, timeZone = 'UTC', prompt, params = {}, persona = null }) {
+            const id = crypto.randomBytes(4).toString('hex');
+            const schedule = {
+                guildId,
+                channelId,
+                createdBy,
+                ...spec,
+                timeZone,
+                prompt,
+                params,
+                persona,
+                paused: false,
+                nextRunAt: null,
+                lastRunAt: null,
+                lastError: null,
+                failures: 0,
+                createdAt: new Date().toISOString()
+            };
+            schedule.nextRunAt = new Date(getNextRun(schedule)).toISOString();
+            schedules.set(id, schedule);
+            save(id);
+            arm();
+            return withId(id);
+        },
+
+        get: withId,
+
+        // Schedules of a server, oldest first
+        list(guildId) {
+            return [...schedules.keys()]
+                .map(withId)
+                .filter(schedule => schedule.guildId === guildId)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        },
+
+        // Pause or resume a schedule. Resumed schedules continue from now, without catching up.
+        setPaused(id, paused) {
+            const schedule = schedules.get(id);
+            if (!schedule) return null;
+
+            schedule.paused = paused;
+            if (!paused) {
+                const nextRun = getNextRun(schedule);
+                schedule.nextRunAt = nextRun === null ? null : new Date(nextRun).toISOString();
+                schedule.failures = 0;
+            }
+            save(id);
+            arm();
+            return withId(id);
+        },
+
+        delete(id) {
+            if (!schedules.delete(id)) return false;
+            storage.delete('schedules', id);
+            arm();
+            return true;
+        },
+
+        // Start running schedules. Runs missed while the bot was offline are skipped,
+        // unless they're only a few minutes late.
+        start() {
+            const now = Date.now();
+            for (const [id, schedule] of schedules) {
+                if (schedule.paused || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) >= now - MISSED_RUN_GRACE_MS) continue;
+                const nextRun = getNextRun(schedule, now);
+                schedule.nextRunAt = nextRun === null ? null : new Date(nextRun).toISOString();
+                save(id);
+            }
+            started = true;
+            arm();
+        },
+
+        stop() {
+            started = false;
+            arm();
+        }
+    };
+}
+
+module.exports = {
+    isValidTimeZone,
+    parseScheduleSpec,
+    getNextRun,
+    describeSchedule,
+    createScheduler
+};
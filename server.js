@@ -1,23 +1,244 @@
 require('dotenv').config();
-const { Client, Events, GatewayIntentBits, REST, Routes, SlashCommandBuilder, Collection } = require('discord.js');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const { Client, Events, GatewayIntentBits, Partials, REST, Routes, Status, SlashCommandBuilder, Collection, ChannelType, PermissionFlagsBits, AttachmentBuilder, ApplicationCommandOptionType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
+const crypto = require('crypto');
+const os = require('os');
+const { createStorage } = require('./storage');
+const {
+    estimateTokens,
+    estimateMessagesTokens,
+    truncateToTokens,
+    getContextSize,
+    splitHistoryByBudget,
+    buildReplyChainTurns,
+    formatSummaryMessage
+} = require('./context');
+const { splitMessage, extractAttachments } = require('./formatting');
+const { createCircuitBreaker, parseRetryAfter } = require('./resilience');
+const { createUsageTracker } = require('./usage');
+const { getDefaultAccessSettings, checkAccess, resolveRateLimit, isModelAllowed } = require('./access');
+const {
+    MAX_PERSONAS,
+    MAX_PERSONA_PROMPT_LENGTH,
+    normalizePersonaName,
+    validatePersonaName,
+    createPersona,
+    getPersona,
+    findPersona,
+    formatPersona
+} = require('./personas');
+const {
+    PARAMETER_SCHEMA,
+    PARAMETER_KEYS,
+    parseParameterValue,
+    formatParameterValue,
+    pickParameters,
+    toRequestParameters,
+    LAYER_LABELS,
+    pickSettings,
+    resolveSettings
+} = require('./settings');
+const {
+    classifyAttachments,
+    supportsVision,
+    readTextAttachment,
+    readImageAttachment,
+    buildPromptWithDocuments
+} = require('./attachments');
+const { exportConversation, parseConversationImport } = require('./transcripts');
+const { createRequestQueue } = require('./queue');
+const { createComparisonTracker } = require('./comparisons');
+const { createFeedbackTracker } = require('./feedback');
+const { parseProviderConfigs, createProviderRegistry, readErrorData, getErrorMessage } = require('./providers');
+const { createTerminalSession } = require('./terminal');
+const { createLogger } = require('./logging');
+const { createMetricsRegistry, createMonitoringServer } = require('./metrics');
+const { TERM_ACTIONS, getDefaultSafetySettings, normalizeTerm, filterInput, filterOutput } = require('./safety');
+const { REGISTRATION_MODES, MODEL_TIER_ORDER, createCommandRegistrar, getModelChoices } = require('./commands');
+const { isValidTimeZone, parseScheduleSpec, describeSchedule, createScheduler } = require('./schedules');
+const { createKnowledgeBase } = require('./knowledge');
+
+// `node server.js --terminal` runs the bot in the terminal instead of on Discord
+const TERMINAL_MODE = process.argv.includes('--terminal');
+
+// Structured logs, one JSON record per line. Prompts and answers only show at debug level.
+// In terminal mode they go to stderr, out of the way of the conversation.
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json',
+    output: TERMINAL_MODE ? process.stderr : process.stdout
+});
 
 // Configuration
-const CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
-const API_URL = process.env.LLM_API_ENDPOINT;
-const API_KEY = process.env.API_KEY;
+// In terminal mode the simulated channel is the bot's channel
+const CHANNEL_ID = process.env.DISCORD_CHANNEL_ID || (TERMINAL_MODE ? 'terminal' : undefined);
 const MAX_MESSAGES = 2;
 const MAX_RETRY_ATTEMPTS = 1;
 const SETTINGS_FILE = 'user_settings.json';
+const GUILD_SETTINGS_FILE = 'guild_settings.json';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const STORAGE_PATH = process.env.STORAGE_PATH;
+const ALLOW_DMS = process.env.ALLOW_DMS !== 'false';
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// OpenAI-like API call configuration
+const API_CONFIG = {
+    temperature: 0.8,
+    max_tokens: 644,
+    top_p: 0.9,
+    frequency_penalty: 0.1,
+    presence_penalty: 0.1
+};
+
+// LLM providers, see parseProviderConfigs for the environment variables
+const providers = createProviderRegistry(parseProviderConfigs(process.env), { logger });
+
+// Monitoring server with /metrics and /healthz, disabled unless a port is set
+const MONITORING_PORT = parseInt(process.env.MONITORING_PORT) || null;
+// How long a check of the LLM providers is reused by /healthz
+const HEALTH_CHECK_CACHE_MS = parseInt(process.env.HEALTH_CHECK_CACHE_MS) || 30000;
+
+// Request resilience configuration
+const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS) || 60000;
+const MAX_RETRY_AFTER_MS = parseInt(process.env.MAX_RETRY_AFTER_MS) || 10000;
+const FALLBACK_MODELS = parseModelList(process.env.FALLBACK_MODELS);
+
+// Models that keep failing are skipped for a while
+const modelCircuit = createCircuitBreaker({
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 60000
+});
+
+// Function to parse a comma-separated list of model ids
+function parseModelList(value) {
+    return (value || '')
+        .split(',')
+        .map(model => model.trim())
+        .filter(Boolean);
+}
+
+// Streaming configuration
+const STREAM_RESPONSES = process.env.STREAM_RESPONSES !== 'false';
+const STREAM_EDIT_INTERVAL_MS = parseInt(process.env.STREAM_EDIT_INTERVAL_MS) || 1500;
+const STREAM_CURSOR = ' ▌';
+
+// Sent in place of a new message when the user asks an answer cut off at max_tokens to go on
+const CONTINUE_PROMPT = 'Continue exactly where your last answer stopped. Do not repeat anything and do not add an introduction.';
+
+// Long answers and large code blocks can be sent as file attachments
+const ATTACH_LONG_RESPONSES = process.env.ATTACH_LONG_RESPONSES !== 'false';
+const ATTACHMENT_MIN_LENGTH = parseInt(process.env.ATTACHMENT_MIN_LENGTH) || 6000;
+const CODE_ATTACHMENT_MIN_LENGTH = parseInt(process.env.CODE_ATTACHMENT_MIN_LENGTH) || 3000;
+
+// Files attached to user messages
+const IMPORT_FILE_MAX_BYTES = 2 * 1024 * 1024;
+const INPUT_FILE_MAX_BYTES = parseInt(process.env.INPUT_FILE_MAX_BYTES) || 512 * 1024;
+const INPUT_FILE_MAX_CHARS = parseInt(process.env.INPUT_FILE_MAX_CHARS) || 20000;
+const INPUT_IMAGE_MAX_BYTES = parseInt(process.env.INPUT_IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_INPUT_IMAGES = parseInt(process.env.MAX_INPUT_IMAGES) || 4;
+
+// Conversation scope configuration: 'user' (per user within a channel), 'thread' or 'channel'
+const CONVERSATION_SCOPES = ['user', 'thread', 'channel'];
+const CONVERSATION_SCOPE = CONVERSATION_SCOPES.includes(process.env.CONVERSATION_SCOPE)
+    ? process.env.CONVERSATION_SCOPE
+    : 'user';
+const AUTO_THREAD = process.env.AUTO_THREAD === 'true';
+
+// Safety configuration. Mentions the bot's messages may ping: any of users, roles and everyone
+// (which covers @here). None by default, so a model can't be made to ping anyone.
+const ALLOWED_MENTIONS = (process.env.ALLOWED_MENTIONS || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(type => ['users', 'roles', 'everyone'].includes(type));
+// Default for redacting emails, phone numbers and API keys from prompts; servers can override it
+const REDACT_PII = process.env.REDACT_PII === 'true';
+
+// Scheduled prompts: the default time zone of cron schedules, how many schedules a server
+// can have, and how often a schedule can run at most
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+const MAX_SCHEDULES_PER_GUILD = parseInt(process.env.MAX_SCHEDULES_PER_GUILD) || 10;
+const SCHEDULE_MIN_INTERVAL_MS = (parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 10) * 60 * 1000;
+
+// Knowledge base: how many documents a server can have, how much of a document is kept,
+// the size of the passages documents are split into, and how many passages a prompt gets
+// (0 to stop adding them)
+const KB_MAX_DOCUMENTS = parseInt(process.env.KB_MAX_DOCUMENTS) || 50;
+const KB_MAX_DOCUMENT_CHARS = parseInt(process.env.KB_MAX_DOCUMENT_CHARS) || 200000;
+const KB_CHUNK_CHARS = parseInt(process.env.KB_CHUNK_CHARS) || 1000;
+const KB_MAX_PASSAGES = Number.isInteger(parseInt(process.env.KB_MAX_PASSAGES))
+    ? Math.max(0, parseInt(process.env.KB_MAX_PASSAGES))
+    : 3;
+
+// How many messages up a chain of Discord replies are read as context (0 to ignore replies)
+const REPLY_CHAIN_DEPTH = Number.isInteger(parseInt(process.env.REPLY_CHAIN_DEPTH))
+    ? Math.max(0, parseInt(process.env.REPLY_CHAIN_DEPTH))
+    : 10;
+const THREAD_NAME_LENGTH = 90;
+
+// Context window configuration
+const DEFAULT_CONTEXT_TOKENS = parseInt(process.env.DEFAULT_CONTEXT_TOKENS) || 4096;
+const SUMMARIZE_HISTORY = process.env.SUMMARIZE_HISTORY !== 'false';
+const SUMMARY_MAX_TOKENS = parseInt(process.env.SUMMARY_MAX_TOKENS) || 256;
+const SUMMARY_PROMPT = 'You maintain a running summary of a chat between a user and an AI assistant. ' +
+    'Merge the existing summary with the new messages into one concise summary. Keep names, facts, ' +
+    'decisions, open questions and user preferences; drop small talk. Reply with the summary only.';
 
 // Initialize Discord REST
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
-// Conversation history storage
+// Where slash commands are registered: 'global' or 'guild' (in every server separately)
+const COMMAND_REGISTRATION = REGISTRATION_MODES.includes(process.env.COMMAND_REGISTRATION)
+    ? process.env.COMMAND_REGISTRATION
+    : 'global';
+
+// Persistent storage for settings and conversations. The settings files of
+// earlier releases are migrated into it on first start.
+const storage = createStorage({
+    backend: STORAGE_BACKEND,
+    file: STORAGE_PATH,
+    legacyFiles: {
+        settingsFile: SETTINGS_FILE,
+        guildSettingsFile: GUILD_SETTINGS_FILE
+    },
+    legacyDefaults: getGlobalSettings(),
+    logger
+});
+
+// Token usage accounting
+const usageTracker = createUsageTracker(storage, {
+    retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS) || 90
+});
+
+// /compare results and the votes on them
+const comparisonTracker = createComparisonTracker(storage);
+
+// 👍/👎 ratings of answers
+const feedbackTracker = createFeedbackTracker(storage);
+
+// Prompts posted to channels on a schedule
+const scheduler = createScheduler({ storage, onRun: schedule => runSchedule(schedule), logger });
+
+// Documents of the servers' knowledge bases, searched for passages to add to prompts
+const knowledgeBase = createKnowledgeBase(storage, { chunkChars: KB_CHUNK_CHARS });
+
+// Slash command registrations, only sent to Discord when the commands change
+const commandRegistrar = createCommandRegistrar({ rest, storage, mode: COMMAND_REGISTRATION, logger });
+
+// Default per-user token budgets, used where no user or role budget is set (0 = unlimited)
+const DEFAULT_TOKEN_BUDGET = {
+    daily: parseInt(process.env.USER_DAILY_TOKEN_BUDGET) || null,
+    monthly: parseInt(process.env.USER_MONTHLY_TOKEN_BUDGET) || null
+};
+
+// Conversation history storage, keyed by conversation scope
 const conversationHistory = new Map();
 
+// Discord message id of a prompt -> key of the conversation it was answered in,
+// so edits and deletes of prompts can be traced back to their turns
+const promptIndex = new Map();
+
+// Prompts whose edit was already offered a new answer
+const editOffers = new Set();
+
 // Discord client setup
 const client = new Client({
     intents: [
@@ -27,6 +248,11 @@ const client = new Client({
         GatewayIntentBits.MessageContent,
         GatewayIntentBits.DirectMessages
     ],
+    // DM channels aren't cached, so they arrive as partials. So do edits and
+    // deletes of messages sent before the bot started.
+    partials: [Partials.Channel, Partials.Message],
+    // Replies still notify the user who asked
+    allowedMentions: { parse: ALLOWED_MENTIONS, repliedUser: true }
 });
 
 // Rate limiting configuration
@@ -38,29 +264,49 @@ const USER_RATE_LIMIT = {
 
 // Rate limiting storage
 const USER_MESSAGE_QUEUE = new Map();
-const PROCESSING = new Set();
 
-function isUserRateLimited(userId) {
+// Requests to the API wait their turn here, served round-robin between users
+const requestQueue = createRequestQueue({
+    concurrency: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 4,
+    maxPendingPerUser: parseInt(process.env.MAX_QUEUED_PER_USER) || 3
+});
+
+// Prometheus metrics, served on MONITORING_PORT
+const metrics = createMetricsRegistry({ prefix: 'llmule_bot_' });
+const llmRequestsMetric = metrics.counter('llm_requests_total', 'LLM API requests by model and outcome (success, error, timeout, cancelled)', ['model', 'outcome']);
+const llmLatencyMetric = metrics.histogram('llm_request_duration_seconds', 'Duration of successful LLM API requests by model', ['model']);
+const llmErrorsMetric = metrics.counter('llm_errors_total', 'Failed LLM API requests by model and error code', ['model', 'code']);
+const tokensMetric = metrics.counter('llm_tokens_total', 'Tokens used by model and kind (prompt, completion)', ['model', 'kind']);
+const rejectionsMetric = metrics.counter('rejected_requests_total', 'Requests turned away by reason (access, rate_limit, budget, queue_full)', ['reason']);
+const messagesMetric = metrics.counter('messages_total', 'Messages the bot answered');
+const commandsMetric = metrics.counter('commands_total', 'Slash commands by name', ['command']);
+const scheduledRunsMetric = metrics.counter('scheduled_runs_total', 'Scheduled prompt runs by outcome (posted, failed)', ['outcome']);
+const knowledgeMetric = metrics.counter('knowledge_searches_total', 'Knowledge base searches for prompts by outcome (found, none)', ['outcome']);
+const safetyMetric = metrics.counter('safety_actions_total', 'Safety filter actions by side (prompt, answer) and action (refuse, mask, flag, redact)', ['side', 'action']);
+metrics.gauge('queue_pending', 'Requests waiting in the queue', [], gauge => gauge.set({}, requestQueue.getStats().pending));
+metrics.gauge('queue_running', 'Requests being answered', [], gauge => gauge.set({}, requestQueue.getStats().running));
+
+function isUserRateLimited(userId, limits = USER_RATE_LIMIT) {
     const now = Date.now();
     const queue = USER_MESSAGE_QUEUE.get(userId) || { messages: [], lastProcess: 0 };
     
     // Clean up old messages
-    queue.messages = queue.messages.filter(time => now - time < USER_RATE_LIMIT.timeWindow);
+    queue.messages = queue.messages.filter(time => now - time < limits.timeWindow);
     
     // Check rate limits
-    if (queue.messages.length >= USER_RATE_LIMIT.messages) {
+    if (queue.messages.length >= limits.messages) {
         const oldestMessage = queue.messages[0];
-        const timeUntilNextAllowed = (USER_RATE_LIMIT.timeWindow - (now - oldestMessage));
+        const timeUntilNextAllowed = (limits.timeWindow - (now - oldestMessage));
         return {
             limited: true,
             timeUntilNext: Math.ceil(timeUntilNextAllowed / 1000)
         };
     }
     
-    if (now - queue.lastProcess < USER_RATE_LIMIT.cooldown) {
+    if (now - queue.lastProcess < limits.cooldown) {
         return {
             limited: true,
-            timeUntilNext: Math.ceil((USER_RATE_LIMIT.cooldown - (now - queue.lastProcess)) / 1000)
+            timeUntilNext: Math.ceil((limits.cooldown - (now - queue.lastProcess)) / 1000)
         };
     }
     
@@ -81,17 +327,47 @@ setInterval(() => {
 // Commands collection
 client.commands = new Collection();
 
-// Define base commands without set-model (we'll add it dynamically)
-const baseCommands = [
+// Slash command definitions. Model options are autocompleted from the model list,
+// so the definitions don't change when models come and go.
+const commands = [
     new SlashCommandBuilder()
         .setName('models')
         .setDescription('List all available AI models'),
+    new SlashCommandBuilder()
+        .setName('set-model')
+        .setDescription('Change the model to use')
+        .addStringOption(option =>
+            option.setName('model')
+                .setDescription('The model to use')
+                .setRequired(true)
+                .setAutocomplete(true)),
     new SlashCommandBuilder()
         .setName('help')
         .setDescription('Show available commands and how to use them'),
     new SlashCommandBuilder()
         .setName('clear-history')
         .setDescription('Clear your conversation history'),
+    new SlashCommandBuilder()
+        .setName('cancel')
+        .setDescription('Cancel your waiting and running requests'),
+    new SlashCommandBuilder()
+        .setName('export')
+        .setDescription('Download your current conversation')
+        .addStringOption(option =>
+            option.setName('format')
+                .setDescription('File format (default: Markdown)')
+                .addChoices(
+                    { name: 'Markdown', value: 'markdown' },
+                    { name: 'JSON (can be imported again)', value: 'json' },
+                    { name: 'Plain text', value: 'text' }
+                )),
+    new SlashCommandBuilder()
+        .setName('import')
+        .setDescription('Continue a conversation from an exported JSON file or an OpenAI-style messages array')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('JSON file to import')
+                .setRequired(true)),
     new SlashCommandBuilder()
         .setName('settings')
         .setDescription('Show current model and parameter settings'),
@@ -102,13 +378,13 @@ const baseCommands = [
             option.setName('parameter')
                 .setDescription('The parameter to set')
                 .setRequired(true)
-                .addChoices(
-                    { name: 'temperature', value: 'temperature' },
-                    { name: 'max_tokens', value: 'max_tokens' }
-                ))
-        .addNumberOption(option =>
+                .addChoices(...PARAMETER_KEYS.map(key => ({
+                    name: `${key} - ${PARAMETER_SCHEMA[key].description}`.slice(0, 100),
+                    value: key
+                }))))
+        .addStringOption(option =>
             option.setName('value')
-                .setDescription('The value to set')
+                .setDescription('The value to set, or "default" to go back to the default')
                 .setRequired(true)),
     new SlashCommandBuilder()
         .setName('set-system-prompt')
@@ -119,7 +395,15 @@ const baseCommands = [
                 .setRequired(true)),
     new SlashCommandBuilder()
         .setName('reset-settings')
-        .setDescription('Reset all settings to default values'),
+        .setDescription('Reset settings to default values')
+        .addStringOption(option =>
+            option.setName('layer')
+                .setDescription('Which settings to reset (default: yours)')
+                .addChoices(
+                    { name: 'Your settings', value: 'user' },
+                    { name: 'This channel\'s defaults (admins)', value: 'channel' },
+                    { name: 'Server defaults (admins)', value: 'guild' }
+                )),
     new SlashCommandBuilder()
         .setName('set-memory')
         .setDescription('Set how many messages to remember')
@@ -128,115 +412,727 @@ const baseCommands = [
                 .setDescription('Number of messages to remember (1-10)')
                 .setRequired(true)
                 .setMinValue(1)
-                .setMaxValue(10))
+                .setMaxValue(10)),
+    new SlashCommandBuilder()
+        .setName('bot-config')
+        .setDescription('Configure the bot for this server (admins only)')
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('enable-channel')
+                .setDescription('Let the bot answer in a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to enable (defaults to this one)')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('disable-channel')
+                .setDescription('Stop the bot from answering in a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to disable (defaults to this one)')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('scope')
+                .setDescription('Set how conversation history is shared in this server')
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('Conversation scope')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'per user', value: 'user' },
+                            { name: 'per thread', value: 'thread' },
+                            { name: 'per channel', value: 'channel' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('auto-thread')
+                .setDescription('Open a thread for every new conversation')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether to create threads')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('defaults')
+                .setDescription('Set default settings for the server, or for one channel (options left out are kept)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to set defaults for (defaults to the whole server)')
+                        .addChannelTypes(ChannelType.GuildText))
+                .addStringOption(option =>
+                    option.setName('model')
+                        .setDescription('Default model')
+                        .setAutocomplete(true))
+                .addNumberOption(option =>
+                    option.setName('temperature')
+                        .setDescription('Default temperature')
+                        .setMinValue(0)
+                        .setMaxValue(2))
+                .addIntegerOption(option =>
+                    option.setName('max-tokens')
+                        .setDescription('Default max tokens')
+                        .setMinValue(1)
+                        .setMaxValue(4000))
+                .addIntegerOption(option =>
+                    option.setName('memory')
+                        .setDescription('Default number of messages to remember')
+                        .setMinValue(1)
+                        .setMaxValue(10))
+                .addStringOption(option =>
+                    option.setName('system-prompt')
+                        .setDescription('Default system prompt')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('fallback-models')
+                .setDescription('Set the models to try when a model fails, for everyone in this server')
+                .addStringOption(option =>
+                    option.setName('models')
+                        .setDescription('Comma-separated model ids, in order (leave empty to clear)')
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('budget-user')
+                .setDescription('Set the token budget of a user in this server')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to limit')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('daily')
+                        .setDescription('Daily token budget (0 for unlimited)')
+                        .setMinValue(0))
+                .addIntegerOption(option =>
+                    option.setName('monthly')
+                        .setDescription('Monthly token budget (0 for unlimited)')
+                        .setMinValue(0)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('budget-role')
+                .setDescription('Set the token budget of every member with a role')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to limit')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('daily')
+                        .setDescription('Daily token budget (0 for unlimited)')
+                        .setMinValue(0))
+                .addIntegerOption(option =>
+                    option.setName('monthly')
+                        .setDescription('Monthly token budget (0 for unlimited)')
+                        .setMinValue(0)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('budget-server')
+                .setDescription('Set the token budget of the whole server')
+                .addIntegerOption(option =>
+                    option.setName('daily')
+                        .setDescription('Daily token budget (0 for unlimited)')
+                        .setMinValue(0))
+                .addIntegerOption(option =>
+                    option.setName('monthly')
+                        .setDescription('Monthly token budget (0 for unlimited)')
+                        .setMinValue(0)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('show')
+                .setDescription('Show the bot configuration for this server')),
+    new SlashCommandBuilder()
+        .setName('admin')
+        .setDescription('Moderate who can use the bot in this server (admins only)')
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('block')
+                .setDescription('Block a user from using the bot')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to block')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason shown to the user')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('unblock')
+                .setDescription('Unblock a user')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to unblock')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('role-access')
+                .setDescription('Allow or deny a role. Once any role is allowed, only allowed roles can use the bot')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to configure')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('access')
+                        .setDescription('Access for the role')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'allow', value: 'allow' },
+                            { name: 'deny', value: 'deny' },
+                            { name: 'default', value: 'default' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('role-rate-limit')
+                .setDescription('Set the rate limit of a role (leave both options empty to reset)')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to configure')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('messages')
+                        .setDescription('Messages per minute')
+                        .setMinValue(1)
+                        .setMaxValue(60))
+                .addNumberOption(option =>
+                    option.setName('cooldown')
+                        .setDescription('Seconds between messages')
+                        .setMinValue(0)
+                        .setMaxValue(600)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('allowed-models')
+                .setDescription('Restrict the models non-admins can use (leave empty to allow all)')
+                .addStringOption(option =>
+                    option.setName('models')
+                        .setDescription('Comma-separated model ids')
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('audit-channel')
+                .setDescription('Set the channel admin actions are logged to (leave empty to turn off)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Audit log channel')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('admin-role')
+                .setDescription('Set a role whose members can administer the bot (leave empty to remove)')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Bot admin role')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('blocked-term')
+                .setDescription('Refuse, mask or flag a term in prompts and answers')
+                .addStringOption(option =>
+                    option.setName('term')
+                        .setDescription('Word or phrase, matched case-insensitively')
+                        .setRequired(true)
+                        .setMaxLength(100))
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('What to do when the term shows up')
+                        .setRequired(true)
+                        .addChoices(...[...TERM_ACTIONS, 'remove'].map(action => ({ name: action, value: action })))))
+        .addSubcommand(subcommand =>
+            subcommand.setName('mod-channel')
+                .setDescription('Set the channel flagged prompts and answers are reported to (leave empty to turn off)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Moderation channel')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('redact-pii')
+                .setDescription('Redact emails, phone numbers and API keys from prompts (leave empty for the default)')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether to redact personal data')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('queue')
+                .setDescription('Show how many requests are running and waiting'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('feedback')
+                .setDescription('Show 👍/👎 ratings per model and the latest 👎 answers')
+                .addStringOption(option =>
+                    option.setName('model')
+                        .setDescription('Only show ratings of this model')
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('show')
+                .setDescription('Show the access control settings')),
+    new SlashCommandBuilder()
+        .setName('persona')
+        .setDescription('Manage named system prompts')
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Create a persona')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Persona name')
+                        .setRequired(true)
+                        .setMaxLength(32))
+                .addStringOption(option =>
+                    option.setName('prompt')
+                        .setDescription('System prompt of the persona')
+                        .setRequired(true)
+                        .setMaxLength(MAX_PERSONA_PROMPT_LENGTH))
+                .addStringOption(option =>
+                    option.setName('model')
+                        .setDescription('Preferred model')
+                        .setAutocomplete(true))
+                .addNumberOption(option =>
+                    option.setName('temperature')
+                        .setDescription('Preferred temperature')
+                        .setMinValue(0)
+                        .setMaxValue(2))
+                .addBooleanOption(option =>
+                    option.setName('server')
+                        .setDescription('Create a server persona everyone can use (admins only)')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Change a persona (options left out are kept)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Persona name')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('prompt')
+                        .setDescription('New system prompt')
+                        .setMaxLength(MAX_PERSONA_PROMPT_LENGTH))
+                .addStringOption(option =>
+                    option.setName('model')
+                        .setDescription('New preferred model')
+                        .setAutocomplete(true))
+                .addNumberOption(option =>
+                    option.setName('temperature')
+                        .setDescription('New preferred temperature')
+                        .setMinValue(0)
+                        .setMaxValue(2))
+                .addBooleanOption(option =>
+                    option.setName('clear-preferences')
+                        .setDescription('Drop the preferred model and temperature'))
+                .addBooleanOption(option =>
+                    option.setName('server')
+                        .setDescription('Edit a server persona (admins only)')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('use')
+                .setDescription('Switch to a persona (leave empty to stop using one)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Persona name')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List your personas and the server\'s'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a persona')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Persona name')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('server')
+                        .setDescription('Delete a server persona (admins only)')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('share')
+                .setDescription('Publish one of your personas to everyone in this server (admins only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Persona name')
+                        .setRequired(true))),
+    new SlashCommandBuilder()
+        .setName('compare')
+        .setDescription('Ask several models the same question and vote for the best answer')
+        .addStringOption(option =>
+            option.setName('prompt')
+                .setDescription('The question to ask every model')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('model1')
+                .setDescription('First model')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('model2')
+                .setDescription('Second model')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('model3')
+                .setDescription('Third model')
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('model4')
+                .setDescription('Fourth model')
+                .setAutocomplete(true)),
+    new SlashCommandBuilder()
+        .setName('compare-stats')
+        .setDescription('Show which models win /compare votes most often'),
+    new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Have the bot post answers to a prompt on a schedule')
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Schedule a prompt, answered and posted to a channel')
+                .addStringOption(option =>
+                    option.setName('when')
+                        .setDescription('Cron expression like "0 9 * * 1-5", or an interval like "every 6h"')
+                        .setRequired(true)
+                        .setMaxLength(100))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post in')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+                .addStringOption(option =>
+                    option.setName('prompt')
+                        .setDescription('The prompt, with [parameter:value] tags like in messages')
+                        .setRequired(true)
+                        .setMaxLength(2000))
+                .addStringOption(option =>
+                    option.setName('model')
+                        .setDescription('Model to use (defaults to the channel\'s settings)')
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('persona')
+                        .setDescription('Persona to answer as, one of yours or the server\'s'))
+                .addStringOption(option =>
+                    option.setName('timezone')
+                        .setDescription(`Time zone of cron expressions, like Europe/Paris (default: ${SCHEDULE_TIMEZONE})`)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List the schedules of this server'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('pause')
+                .setDescription('Pause a schedule')
+                .addStringOption(option =>
+                    option.setName('schedule')
+                        .setDescription('Schedule id')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('resume')
+                .setDescription('Resume a paused schedule')
+                .addStringOption(option =>
+                    option.setName('schedule')
+                        .setDescription('Schedule id')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a schedule')
+                .addStringOption(option =>
+                    option.setName('schedule')
+                        .setDescription('Schedule id')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+    new SlashCommandBuilder()
+        .setName('kb')
+        .setDescription('Manage the knowledge base the bot answers from in this server')
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Add a Markdown or text document, or replace the one with the same title (admins)')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('A .md or .txt file, such as text extracted from a PDF')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Title to cite the document by (default: the file name)')
+                        .setMaxLength(100)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('pin')
+                .setDescription('Add a message to the knowledge base (admins)')
+                .addStringOption(option =>
+                    option.setName('message')
+                        .setDescription('Message link, or the id of a message in this channel')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Title to cite the message by')
+                        .setMaxLength(100)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List the documents of the knowledge base'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('search')
+                .setDescription('Show the passages a prompt would be answered from')
+                .addStringOption(option =>
+                    option.setName('query')
+                        .setDescription('What to search for')
+                        .setRequired(true)
+                        .setMaxLength(500)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove a document from the knowledge base (admins)')
+                .addStringOption(option =>
+                    option.setName('document')
+                        .setDescription('Document id')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+    new SlashCommandBuilder()
+        .setName('usage')
+        .setDescription('Show token usage by day and model')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Show the usage of another member (admins only)'))
+        .addBooleanOption(option =>
+            option.setName('server')
+                .setDescription('Show the usage of the whole server (admins only)')),
+    new SlashCommandBuilder()
+        .setName('set-fallback-models')
+        .setDescription('Set the models to try when your model fails')
+        .addStringOption(option =>
+            option.setName('models')
+                .setDescription('Comma-separated model ids, in order (leave empty to clear)')
+                .setAutocomplete(true))
 ];
 
-// Function to create commands with dynamic model choices
-async function createCommands() {
+// Register commands with Discord, skipping those that haven't changed since they were last registered
+async function registerCommands() {
     try {
-        const models = await getAvailableModels();
-        
-        // Create the set-model command with choices
-        const setModelCommand = new SlashCommandBuilder()
-            .setName('set-model')
-            .setDescription('Change the model to use')
-            .addStringOption(option => {
-                option.setName('model')
-                    .setDescription('The model to use')
-                    .setRequired(true);
-                
-                // Add each model as a choice
-                models.forEach(model => {
-                    const displayName = `${model.id}${model.tier ? ` (${model.tier})` : ''}`;
-                    option.addChoices({ name: displayName, value: model.id });
-                });
-                
-                return option;
-            });
-
-        // Combine base commands with the dynamic set-model command
-        return [...baseCommands, setModelCommand];
+        const commandsJson = commands.map(command => command.toJSON());
+        await commandRegistrar.register(client.user.id, commandsJson, [...client.guilds.cache.keys()]);
+        logger.info('Slash commands are up to date', { mode: COMMAND_REGISTRATION, count: commandsJson.length });
     } catch (error) {
-        console.error('Error creating commands with models:', error);
-        // Fallback to base commands without set-model if models can't be fetched
-        return baseCommands;
+        logger.error('Error registering commands', { error });
     }
 }
 
-// Register commands with Discord
-async function registerCommands() {
-    try {
-        console.log('Started refreshing application (/) commands.');
+// Function to get the conversation key for a user in a channel or thread
+function getConversationKey(channel, userId) {
+    const scope = channel.guildId ? getGuildSettings(channel.guildId).conversationScope : 'user';
+    switch (scope) {
+        case 'channel':
+            return channel.id;
+        case 'thread':
+            // Outside of threads there is nothing to share, so fall back to per-user
+            if (channel.isThread?.()) {
+                return channel.id;
+            }
+            return `${channel.id}:${userId}`;
+        default:
+            return `${channel.id}:${userId}`;
+    }
+}
 
-        const allCommands = await createCommands();
-        const commandsJson = allCommands.map(command => command.toJSON());
-        
-        // Register commands globally
-        await rest.put(
-            Routes.applicationCommands(client.user.id),
-            { body: commandsJson }
-        );
-
-        // Also register commands for each guild the bot is in
-        client.guilds.cache.forEach(async (guild) => {
-            try {
-                await rest.put(
-                    Routes.applicationGuildCommands(client.user.id, guild.id),
-                    { body: commandsJson }
-                );
-                console.log(`Registered commands for guild: ${guild.name}`);
-            } catch (error) {
-                console.error(`Error registering commands for guild ${guild.name}:`, error);
+// Function to record a turn and trim the history to the model's context window.
+// Turns that no longer fit are folded into the conversation's running summary.
+// `context` carries the turn id, prompt message id, model, parameters, context size, max tokens,
+// system prompt and memory of the request; the ids, model and parameters are kept with the turn
+// for the reply buttons, edits and /export. With `replaceLastTurn` the new turn takes the place
+// of the last one.
+function updateConversationHistory(conversationKey, userMessage, botResponse, userId = null, context = {}) {
+    if (!conversationHistory.has(conversationKey)) {
+        conversationHistory.set(conversationKey, { ownerId: userId, messages: [], summary: null });
+    }
+    
+    const history = conversationHistory.get(conversationKey);
+    if (context.replaceLastTurn && history.messages[history.messages.length - 1]?.role === 'assistant') {
+        history.messages.splice(-2);
+    }
+    history.messages.push(
+        { role: "user", content: userMessage, messageId: context.promptMessageId },
+        {
+            role: "assistant",
+            content: botResponse,
+            id: context.turnId,
+            model: context.model,
+            ...context.parameters
+        }
+    );
+    
+    const maxMessages = context.memory || MAX_MESSAGES;
+
+    // Leave room for the system prompt, the summary and the next answer
+    const contextSize = context.contextSize || DEFAULT_CONTEXT_TOKENS;
+    const budget = contextSize -
+        (context.maxTokens || API_CONFIG.max_tokens) -
+        estimateTokens(context.systemPrompt) -
+        (SUMMARIZE_HISTORY ? SUMMARY_MAX_TOKENS : 0);
+    const { kept, evicted } = splitHistoryByBudget(history.messages, budget, maxMessages);
+    history.messages = kept;
+
+    storage.set('conversations', conversationKey, history);
+    if (context.promptMessageId) {
+        promptIndex.set(context.promptMessageId, conversationKey);
+    }
+
+    if (evicted.length > 0) {
+        queueConversationSummary(conversationKey, evicted, context.model || process.env.LLM_MODEL, contextSize);
+    }
+}
+
+// Function to add the continuation of an answer to the last turn of a conversation
+function appendToLastAnswer(conversationKey, text) {
+    const history = conversationHistory.get(conversationKey);
+    const lastMessage = history?.messages[history.messages.length - 1];
+    if (lastMessage?.role !== 'assistant') return;
+
+    lastMessage.content += text;
+    storage.set('conversations', conversationKey, history);
+}
+
+// Function to find an answer in a conversation by its turn id, or by the Discord message id
+// of the prompt it answered, along with that prompt
+function findTurn(conversationKey, { turnId = null, promptMessageId = null }) {
+    const messages = conversationHistory.get(conversationKey)?.messages || [];
+    const index = messages.findIndex((message, i) => message.role === 'assistant' &&
+        (turnId ? message.id === turnId : messages[i - 1]?.messageId === promptMessageId));
+    if (index === -1) return null;
+
+    return {
+        prompt: messages[index - 1]?.content || '',
+        promptMessageId: messages[index - 1]?.messageId || null,
+        answer: messages[index],
+        isLatest: index === messages.length - 1
+    };
+}
+
+// Function to remember the Discord messages an answer was sent in
+function recordAnswerMessages(conversationKey, turnId, messageIds) {
+    const turn = findTurn(conversationKey, { turnId });
+    if (!turn) return;
+
+    turn.answer.messageIds = [...(turn.answer.messageIds || []), ...messageIds];
+    storage.set('conversations', conversationKey, conversationHistory.get(conversationKey));
+}
+
+// Function to remove a prompt and its answer from a conversation, e.g. when the prompt was deleted
+function removePromptTurn(conversationKey, promptMessageId) {
+    const history = conversationHistory.get(conversationKey);
+    const index = history?.messages.findIndex(message => message.role === 'user' && message.messageId === promptMessageId) ?? -1;
+    if (index === -1) return false;
+
+    history.messages.splice(index, history.messages[index + 1]?.role === 'assistant' ? 2 : 1);
+    storage.set('conversations', conversationKey, history);
+    return true;
+}
+
+// Summaries are generated one at a time per conversation, in order
+const pendingSummaries = new Map();
+
+// Function to fold evicted turns into the conversation summary in the background
+function queueConversationSummary(conversationKey, turns, model, contextSize) {
+    if (!SUMMARIZE_HISTORY) return;
+
+    const previous = pendingSummaries.get(conversationKey) || Promise.resolve();
+    const next = previous
+        .then(async () => {
+            const history = conversationHistory.get(conversationKey);
+            if (!history) return;
+
+            const summary = await requestSummary(history.summary, turns, model, contextSize);
+
+            // The conversation may have been cleared while we were waiting
+            if (conversationHistory.get(conversationKey) !== history) return;
+            history.summary = summary;
+            storage.set('conversations', conversationKey, history);
+            logger.info('Updated conversation summary', { conversationKey });
+        })
+        .catch(error => logger.error('Error summarizing conversation', { conversationKey, error: error.message }))
+        .finally(() => {
+            if (pendingSummaries.get(conversationKey) === next) {
+                pendingSummaries.delete(conversationKey);
             }
         });
+    pendingSummaries.set(conversationKey, next);
+}
+
+// Function to ask the model for an updated running summary
+async function requestSummary(previousSummary, turns, model, contextSize) {
+    const transcript = turns
+        .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+        .join('\n\n');
+    const available = contextSize - SUMMARY_MAX_TOKENS - estimateTokens(SUMMARY_PROMPT) - estimateTokens(previousSummary);
+
+    const completion = await providers.complete(model, [
+        { role: 'system', content: SUMMARY_PROMPT },
+        {
+            role: 'user',
+            content: `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}` +
+                `New messages:\n${truncateToTokens(transcript, Math.floor(available * 0.9))}`
+        }
+    ], {
+        temperature: 0.2,
+        max_tokens: SUMMARY_MAX_TOKENS
+    }, { stream: false });
+
+    return completion.content.trim();
+}
+
+// Function to find a model in the model list. Ids without a provider prefix belong to the default provider.
+function findModel(models, modelId) {
+    const id = providers.normalizeModelId(modelId);
+    return models.find(model => model.id === id);
+}
 
-        console.log('Successfully reloaded application (/) commands.');
+// Function to get the context size of a model from the /models metadata
+async function getModelContextSize(modelId) {
+    try {
+        const models = await getAvailableModels();
+        return getContextSize(findModel(models, modelId), DEFAULT_CONTEXT_TOKENS);
     } catch (error) {
-        console.error('Error registering commands:', error);
+        return DEFAULT_CONTEXT_TOKENS;
     }
 }
 
-function updateConversationHistory(channelId, userMessage, botResponse, userId = null) {
-    if (!conversationHistory.has(channelId)) {
-        conversationHistory.set(channelId, []);
+// Function to check the /models metadata for a model's image input support
+async function modelSupportsVision(modelId) {
+    try {
+        const models = await getAvailableModels();
+        return supportsVision(findModel(models, modelId));
+    } catch (error) {
+        return false;
     }
-    
-    const history = conversationHistory.get(channelId);
-    history.push(
-        { role: "user", content: userMessage },
-        { role: "assistant", content: botResponse }
-    );
-    
-    const userSettings = userId ? getUserSettings(userId) : null;
-    const maxMessages = userSettings?.memory || MAX_MESSAGES;
-    
-    while (history.length > maxMessages * 2) {
-        history.shift();
+}
+
+// Function to list the models that accept images
+async function getVisionModels() {
+    try {
+        const models = await getAvailableModels();
+        return models.filter(supportsVision).map(model => model.id);
+    } catch (error) {
+        return [];
     }
-    
-    conversationHistory.set(channelId, history);
 }
 
-// OpenAI-like API call configuration
-const API_CONFIG = {
-    temperature: 0.8,
-    max_tokens: 644,
-    top_p: 0.9,
-    frequency_penalty: 0.1,
-    presence_penalty: 0.1
-};
+// Function to estimate how much of the context window a conversation currently uses
+async function getContextUsage(conversationKey, settings) {
+    const history = conversationHistory.get(conversationKey);
+    const contextSize = await getModelContextSize(settings.model);
+    const messages = [
+        { role: 'system', content: settings.systemPrompt || process.env.SYSTEM_PROMPT },
+        ...(history?.summary ? [formatSummaryMessage(history.summary)] : []),
+        ...(history?.messages || [])
+    ];
 
-// Function to parse parameters from message
-function parseParameters(content) {
-    const params = {
-        model: process.env.LLM_MODEL,
-        systemPrompt: process.env.SYSTEM_PROMPT,
-        temperature: API_CONFIG.temperature,
-        max_tokens: API_CONFIG.max_tokens
+    return {
+        used: estimateMessagesTokens(messages),
+        contextSize,
+        turns: Math.floor((history?.messages.length || 0) / 2),
+        summarized: Boolean(history?.summary)
     };
+}
+
+// Function to clear a conversation
+function clearConversationHistory(conversationKey) {
+    conversationHistory.delete(conversationKey);
+    storage.delete('conversations', conversationKey);
+}
+
+// Load stored conversations
+function loadConversationHistory() {
+    try {
+        const loadedHistory = storage.load('conversations');
+        conversationHistory.clear();
+        Object.entries(loadedHistory).forEach(([conversationKey, history]) => {
+            conversationHistory.set(conversationKey, history);
+            history.messages
+                .filter(message => message.messageId)
+                .forEach(message => promptIndex.set(message.messageId, conversationKey));
+        });
+        logger.info('Loaded conversations from storage', { count: conversationHistory.size });
+    } catch (error) {
+        logger.error('Error loading conversation history', { error });
+    }
+}
+
+// Function to parse parameters from message.
+// Only parameters given inline are returned, so the active persona and the
+// user's settings apply to everything else. Sampling parameters are validated
+// against PARAMETER_SCHEMA; invalid ones are reported in `errors`.
+function parseParameters(content) {
+    const params = {};
+    const errors = [];
 
     // Remove all parameter specifications and store them
-    content = content.replace(/\[(model|system|temperature|max_tokens):([^\]]+)\]/g, (match, key, value) => {
+    content = content.replace(/\[([a-z_]+):([^\]]*)\]/g, (match, key, value) => {
         value = value.trim();
         switch(key) {
             case 'model':
@@ -245,22 +1141,29 @@ function parseParameters(content) {
             case 'system':
                 params.systemPrompt = value;
                 break;
-            case 'temperature':
-                params.temperature = parseFloat(value);
-                break;
-            case 'max_tokens':
-                params.max_tokens = parseInt(value);
-                break;
+            default:
+                // Anything else in brackets is part of the message
+                if (!PARAMETER_SCHEMA[key]) {
+                    return match;
+                }
+                const parsed = parseParameterValue(key, value);
+                if (parsed.error) {
+                    errors.push(parsed.error);
+                } else {
+                    params[key] = parsed.value;
+                }
         }
         return '';
     }).trim();
 
-    return { content, params };
+    return { content, params, errors };
 }
 
-// Add this before your getAPIResponse function
-const debugRequest = (url, data, headers) => {
-    console.log('Debug Request:', {
+// Function to log the requests sent to the providers, at debug level. The logger hides the credentials in the headers.
+const debugRequest = ({ provider, url, data, headers }) => {
+    if (!logger.isDebugEnabled()) return;
+    logger.debug('LLM request', {
+        provider,
         url,
         data: {
             ...data,
@@ -269,331 +1172,2538 @@ const debugRequest = (url, data, headers) => {
                 contentLength: m.content.length
             }))
         },
-        headers: {
-            ...headers,
-            'x-api-key': headers['x-api-key'] ? '[REDACTED]' : undefined
-        }
+        headers
     });
 };
 
-// Load existing settings from file
+// Load existing settings from storage
 function loadUserSettings() {
     try {
-        if (fs.existsSync(SETTINGS_FILE)) {
-            const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
-            const loadedSettings = JSON.parse(data);
-            userSettings.clear();
-            Object.entries(loadedSettings).forEach(([userId, settings]) => {
-                userSettings.set(userId, settings);
-            });
-            console.log('Loaded user settings from file');
-        }
+        const loadedSettings = storage.load('userSettings');
+        userSettings.clear();
+        Object.entries(loadedSettings).forEach(([userId, settings]) => {
+            userSettings.set(userId, { ...getDefaultSettings(), ...settings });
+        });
+        logger.info('Loaded user settings from storage', { count: userSettings.size });
     } catch (error) {
-        console.error('Error loading user settings:', error);
+        logger.error('Error loading user settings', { error });
     }
 }
 
-// Save settings to file
-function saveUserSettings() {
+// Save a user's settings to storage
+function saveUserSettings(userId, settings = userSettings.get(userId)) {
     try {
-        const settingsObj = Object.fromEntries(userSettings);
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settingsObj, null, 2));
-        console.log('Saved user settings to file');
+        userSettings.set(userId, settings);
+        storage.set('userSettings', userId, settings);
     } catch (error) {
-        console.error('Error saving user settings:', error);
+        logger.error('Error saving user settings', { error });
     }
 }
 
 // Store user settings
 const userSettings = new Map();
 
-// Function to get default settings
-function getDefaultSettings() {
+// Function to get the global defaults, the last settings layer
+function getGlobalSettings() {
     return {
         model: process.env.LLM_MODEL,
         temperature: API_CONFIG.temperature,
         max_tokens: API_CONFIG.max_tokens,
+        top_p: API_CONFIG.top_p,
+        frequency_penalty: API_CONFIG.frequency_penalty,
+        presence_penalty: API_CONFIG.presence_penalty,
         memory: MAX_MESSAGES,
         systemPrompt: process.env.SYSTEM_PROMPT
     };
 }
 
-// Function to get user settings
+// Function to get default settings. Unset (null) values fall through to the
+// channel, server and global defaults.
+function getDefaultSettings() {
+    return {
+        model: null,
+        temperature: null,
+        max_tokens: null,
+        memory: null,
+        systemPrompt: null,
+        fallbackModels: [],
+        // Name of the active persona and the user's own personas
+        persona: null,
+        personas: {}
+    };
+}
+
+// Function to get user settings (only persisted once something changes)
 function getUserSettings(userId) {
     if (!userSettings.has(userId)) {
         userSettings.set(userId, getDefaultSettings());
-        saveUserSettings();
     }
     return userSettings.get(userId);
 }
 
-// Function to format parameter legend
-function formatParameterLegend(settings) {
-    return `\n\n*[LLMule params: model=${settings.model}, temp=${settings.temperature}, max_tokens=${settings.max_tokens}, memory=${settings.memory || MAX_MESSAGES}]*`;
+// Function to get the persona a user has active, if it is available where they are.
+// Server personas only apply within their server.
+function resolveActivePersona(userId, guildId = null, name = null) {
+    const settings = getUserSettings(userId);
+    return findPersona(
+        name || settings.persona,
+        settings.personas,
+        guildId ? getGuildSettings(guildId).personas : {}
+    );
 }
 
-// Function to format settings display
-function formatSettings(settings) {
-    return `**Current Settings**\n\n` +
-           `🤖 Model: \`${settings.model}\`\n` +
-           `🌡️ Temperature: \`${settings.temperature}\`\n` +
-           `📝 Max Tokens: \`${settings.max_tokens}\`\n` +
-           `💭 Memory: \`${settings.memory || MAX_MESSAGES}\` messages\n` +
-           `💬 System Prompt: \`${settings.systemPrompt || process.env.SYSTEM_PROMPT}\`\n`;
+// Function to get the channel whose defaults apply; threads use their parent's
+function getSettingsChannelId(channel) {
+    return channel?.isThread?.() ? channel.parentId : channel?.id;
 }
 
-// Function to format help message
-function getHelpMessage() {
-    return `**Available Commands**\n\n` +
-           `🔍 \`/models\` - List all available AI models\n` +
-           `🗑️ \`/clear-history\` - Clear your conversation history\n` +
-           `⚙️ \`/settings\` - Show current model and parameters\n` +
-           `🤖 \`/set-model <model>\` - Change the AI model\n` +
-           `🎚️ \`/set-parameter <parameter> <value>\` - Set temperature or max_tokens\n` +
-           `💭 \`/set-system-prompt <prompt>\` - Set the system prompt for the AI\n` +
-           `💭 \`/set-memory <1-10>\` - Set how many messages to remember\n` +
-           `🔄 \`/reset-settings\` - Reset all settings to default values\n` +
-           `❓ \`/help\` - Show this help message\n\n` +
-           `You can also chat with me by mentioning me (@bot)!`;
+// Function to resolve the settings of a request across all layers:
+// inline message tags, the active persona, the user, the channel, the server and the global defaults.
+// `personaName` picks a persona instead of the user's active one.
+// Returns `{ values, sources, persona, user, fallbacks }`, `sources` naming the layer of every value
+// and `fallbacks` being the fallback models with their layer.
+function resolveRequestSettings({ userId = null, guildId = null, channelId = null, params = {}, personaName = null } = {}) {
+    const user = userId ? getUserSettings(userId) : null;
+    const persona = userId ? resolveActivePersona(userId, guildId, personaName) : null;
+    const guild = guildId ? getGuildSettings(guildId) : null;
+
+    return {
+        ...resolveSettings({
+            message: params,
+            persona,
+            user,
+            channel: guild && channelId ? guild.channelDefaults[channelId] : null,
+            guild: guild?.defaults,
+            global: getGlobalSettings()
+        }),
+        persona,
+        user,
+        fallbacks: resolveFallbackModels(userId, guildId)
+    };
 }
 
-// Handle slash commands
-client.on(Events.InteractionCreate, async interaction => {
-    // Make sure it's a command interaction
-    if (!interaction.isChatInputCommand()) return;
+// Store guild settings
+const guildSettings = new Map();
 
+// Load existing guild settings from storage
+function loadGuildSettings() {
     try {
-        const { commandName } = interaction;
+        const loadedSettings = storage.load('guildSettings');
+        guildSettings.clear();
+        Object.entries(loadedSettings).forEach(([guildId, settings]) => {
+            guildSettings.set(guildId, { ...getDefaultGuildSettings(), ...settings });
+        });
+        logger.info('Loaded guild settings from storage', { count: guildSettings.size });
+    } catch (error) {
+        logger.error('Error loading guild settings', { error });
+    }
+}
 
-        // Defer reply for commands that might take time
-        if (['models', 'settings'].includes(commandName)) {
-            await interaction.deferReply({ ephemeral: true });
-        }
+// Save a guild's settings to storage
+function saveGuildSettings(guildId) {
+    try {
+        storage.set('guildSettings', guildId, getGuildSettings(guildId));
+    } catch (error) {
+        logger.error('Error saving guild settings', { error });
+    }
+}
 
-        switch (commandName) {
-            case 'models':
-                const models = await fetchAvailableModels();
-                const modelsList = formatModelsTable(models);
-                await interaction.editReply({ content: modelsList, ephemeral: true });
-                break;
+// Function to get default guild settings
+function getDefaultGuildSettings() {
+    return {
+        enabledChannels: [],
+        conversationScope: CONVERSATION_SCOPE,
+        autoThread: AUTO_THREAD,
+        fallbackModels: [],
+        // Settings defaults for the whole server, and per channel: { [channelId]: settings }
+        defaults: {},
+        channelDefaults: {},
+        // Personas published by admins, selectable by every member
+        personas: {},
+        // Token budgets: { daily, monthly }, null meaning unlimited
+        budgets: {
+            guild: { daily: null, monthly: null },
+            roles: {},
+            users: {}
+        },
+        // Blocked terms, mod channel and PII redaction
+        safety: getDefaultSafetySettings(),
+        ...getDefaultAccessSettings()
+    };
+}
 
-            case 'help':
-                await interaction.reply({ content: getHelpMessage(), ephemeral: true });
-                break;
+// Function to get guild settings (only persisted once something changes)
+function getGuildSettings(guildId) {
+    if (!guildSettings.has(guildId)) {
+        guildSettings.set(guildId, getDefaultGuildSettings());
+    }
+    return guildSettings.get(guildId);
+}
 
-            case 'clear-history':
-                conversationHistory.delete(interaction.channelId);
-                await interaction.reply({ content: '✨ Conversation history cleared!', ephemeral: true });
-                break;
+// Usage subjects: a user overall, a guild overall, and a user within a guild
+function getUsageSubjects(userId, guildId) {
+    const subjects = [];
+    if (userId) subjects.push(`user:${userId}`);
+    if (guildId) subjects.push(`guild:${guildId}`);
+    if (userId && guildId) subjects.push(`guild:${guildId}:user:${userId}`);
+    return subjects;
+}
 
-            case 'settings':
-                const settings = getUserSettings(interaction.user.id);
-                await interaction.editReply({ content: formatSettings(settings), ephemeral: true });
-                break;
+// Function to record the tokens used by a request
+function recordTokenUsage(userId, guildId, model, usage) {
+    try {
+        usageTracker.record(getUsageSubjects(userId, guildId), model, usage);
+        tokensMetric.inc({ model, kind: 'prompt' }, usage.promptTokens || 0);
+        tokensMetric.inc({ model, kind: 'completion' }, usage.completionTokens || 0);
+    } catch (error) {
+        logger.error('Error recording token usage', { userId, guildId, model, error });
+    }
+}
 
-            case 'set-model':
-                const newModel = interaction.options.getString('model');
-                const userSettings = getUserSettings(interaction.user.id);
-                userSettings.model = newModel;
-                saveUserSettings();
-                await interaction.reply({ content: `✅ Model set to: \`${newModel}\``, ephemeral: true });
-                break;
+// Function to resolve the token budget of a user and the usage it counts: their own budget
+// if an admin set one, else the most generous budget among their roles, both counting their
+// usage in that server; else the global default, counting their usage everywhere.
+// Returns `{ budget, subject }`.
+function getUserTokenBudget(userId, guildId, roleIds = []) {
+    const defaultBudget = { budget: DEFAULT_TOKEN_BUDGET, subject: `user:${userId}` };
+    if (!guildId) {
+        return defaultBudget;
+    }
 
-            case 'set-parameter':
-                const param = interaction.options.getString('parameter');
-                const value = interaction.options.getNumber('value');
-                const settings2 = getUserSettings(interaction.user.id);
+    const budgets = getGuildSettings(guildId).budgets;
+    const subject = `guild:${guildId}:user:${userId}`;
+    if (budgets.users[userId]) {
+        return { budget: budgets.users[userId], subject };
+    }
 
-                // Validate parameter values
-                if (param === 'temperature' && (value < 0 || value > 2)) {
-                    await interaction.reply({ content: '❌ Temperature must be between 0 and 2', ephemeral: true });
-                    return;
-                }
-                if (param === 'max_tokens' && (value < 1 || value > 4000)) {
-                    await interaction.reply({ content: '❌ Max tokens must be between 1 and 4000', ephemeral: true });
-                    return;
-                }
+    const roleBudgets = roleIds.map(roleId => budgets.roles[roleId]).filter(Boolean);
+    if (roleBudgets.length > 0) {
+        const mostGenerous = period => roleBudgets.some(budget => !budget[period])
+            ? null
+            : Math.max(...roleBudgets.map(budget => budget[period]));
+        return { budget: { daily: mostGenerous('daily'), monthly: mostGenerous('monthly') }, subject };
+    }
+
+    return defaultBudget;
+}
+
+// Function to check a user's and their guild's token budgets before a request
+function checkTokenBudget(userId, guildId, roleIds = []) {
+    const checks = [
+        { ...getUserTokenBudget(userId, guildId, roleIds), who: 'You have' }
+    ];
+    if (guildId) {
+        checks.push({ subject: `guild:${guildId}`, budget: getGuildSettings(guildId).budgets.guild, who: 'This server has' });
+    }
+
+    for (const { subject, budget, who } of checks) {
+        const daily = usageTracker.getDailyTotal(subject);
+        if (budget.daily && daily >= budget.daily) {
+            return {
+                allowed: false,
+                message: `🚫 ${who} used up the daily token budget (${formatTokens(daily)} / ${formatTokens(budget.daily)} tokens). It resets at midnight UTC.`
+            };
+        }
+
+        const monthly = usageTracker.getMonthlyTotal(subject);
+        if (budget.monthly && monthly >= budget.monthly) {
+            return {
+                allowed: false,
+                message: `🚫 ${who} used up the monthly token budget (${formatTokens(monthly)} / ${formatTokens(budget.monthly)} tokens). It resets on the 1st of the month (UTC).`
+            };
+        }
+    }
+
+    return { allowed: true };
+}
+
+function formatTokens(tokens) {
+    return tokens.toLocaleString('en-US');
+}
+
+// Function to format a budget for display
+function formatBudget(budget) {
+    const format = value => value ? `${formatTokens(value)}` : 'unlimited';
+    return `daily ${format(budget?.daily)}, monthly ${format(budget?.monthly)}`;
+}
+
+// Function to format token usage for display
+function formatUsage(title, subject, budget = null) {
+    const daily = usageTracker.getDailyTotal(subject);
+    const monthly = usageTracker.getMonthlyTotal(subject);
+    const { byDay, byModel } = usageTracker.getBreakdown(subject, 7);
+    const limit = value => value ? ` / ${formatTokens(value)}` : '';
+
+    let output = `**${title}**\n\n` +
+        `📅 Today: \`${formatTokens(daily)}${limit(budget?.daily)}\` tokens\n` +
+        `🗓️ This month: \`${formatTokens(monthly)}${limit(budget?.monthly)}\` tokens\n`;
+
+    if (byDay.length === 0) {
+        return output + '\nNo usage in the last 7 days.';
+    }
+
+    output += `\n**Last 7 days**\n`;
+    for (const day of byDay) {
+        output += `\`${day.day}\` ${formatTokens(day.totalTokens)} tokens (${day.requests} requests)\n`;
+    }
+
+    output += `\n**By model**\n`;
+    Object.entries(byModel)
+        .sort(([, a], [, b]) => b.totalTokens - a.totalTokens)
+        .forEach(([model, totals]) => {
+            output += `🤖 \`${model}\` ${formatTokens(totals.totalTokens)} tokens ` +
+                      `(prompt ${formatTokens(totals.promptTokens)}, completion ${formatTokens(totals.completionTokens)})\n`;
+        });
+
+    return output;
+}
+
+// Function to format guild settings display
+function formatGuildSettings(settings) {
+    const channels = settings.enabledChannels.length
+        ? settings.enabledChannels.map(id => `<#${id}>`).join(', ')
+        : 'none';
+    return `**Server Configuration**\n\n` +
+           `📢 Enabled channels: ${channels}\n` +
+           `💬 Conversation scope: \`${settings.conversationScope}\`\n` +
+           `🧵 Auto threads: \`${settings.autoThread ? 'on' : 'off'}\`\n` +
+           `↪️ Fallback models: \`${formatModelList(settings.fallbackModels)}\`\n` +
+           `⚙️ Server defaults: \`${formatLayerSettings(settings.defaults)}\`\n` +
+           `⚙️ Channel defaults: ${Object.keys(settings.channelDefaults).map(id => `<#${id}>`).join(', ') || 'none'}\n` +
+           `🎟️ Server token budget: \`${formatBudget(settings.budgets.guild)}\`\n` +
+           `🎟️ Role budgets: ${Object.keys(settings.budgets.roles).length} · User budgets: ${Object.keys(settings.budgets.users).length}\n`;
+}
+
+// Matches the parameter legend appended to responses
+const LEGEND_PATTERN = /\n\n\*\[LLMule params:.*?\]\*/g;
+
+// Function to format parameter legend
+function formatParameterLegend(settings) {
+    const persona = settings.persona ? `persona=${settings.persona}, ` : '';
+    return `\n\n*[LLMule params: ${persona}model=${settings.model}, temp=${settings.temperature}, max_tokens=${settings.max_tokens}, memory=${settings.memory || MAX_MESSAGES}]*`;
+}
+
+// Function to format a list of models for display
+function formatModelList(models) {
+    return models?.length ? models.join(' → ') : 'none';
+}
+
+// Function to find the models in a list that the API doesn't offer.
+// If the model list can't be fetched, every model is accepted.
+async function findUnknownModels(models) {
+    try {
+        const availableModels = await getAvailableModels();
+        return models.filter(model => !findModel(availableModels, model));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Function to describe the active persona for the settings display
+function formatActivePersona(user, persona) {
+    if (persona) {
+        return `\`${persona.name}\` (${persona.scope})`;
+    }
+    if (user?.persona) {
+        return `\`${user.persona}\` (not available here)`;
+    }
+    return '`none`';
+}
+
+// Function to format the values a settings layer sets, e.g. for server defaults
+function formatLayerSettings(values) {
+    const entries = Object.entries(pickSettings(values));
+    return entries.length ? entries.map(([key, value]) => `${key}=${value}`).join(', ') : 'none';
+}
+
+// Function to format settings display, with the layer every value comes from.
+// Takes the result of resolveRequestSettings.
+function formatSettings({ values, sources, persona, user, fallbacks }, contextUsage = null) {
+    const source = key => sources[key] ? `*(${LAYER_LABELS[sources[key]]})*` : '';
+    let output = `**Current Settings**\n\n` +
+           `🎭 Persona: ${formatActivePersona(user, persona)}\n` +
+           `🤖 Model: \`${values.model}\` ${source('model')}\n` +
+           `🌡️ Temperature: \`${values.temperature}\` ${source('temperature')}\n` +
+           `📝 Max Tokens: \`${values.max_tokens}\` ${source('max_tokens')}\n` +
+           `💭 Memory: \`${values.memory}\` messages ${source('memory')}\n` +
+           `💬 System Prompt: \`${values.systemPrompt}\` ${source('systemPrompt')}\n` +
+           `↪️ Fallback Models: \`${formatModelList(fallbacks.models)}\` *(${LAYER_LABELS[fallbacks.source]})*\n`;
+
+    // The other sampling parameters, only those that are set somewhere
+    PARAMETER_KEYS
+        .filter(key => !['temperature', 'max_tokens'].includes(key) && sources[key])
+        .forEach(key => {
+            output += `🎛️ ${key}: \`${formatParameterValue(key, values[key])}\` ${source(key)}\n`;
+        });
+
+    if (contextUsage) {
+        const percent = Math.round((contextUsage.used / contextUsage.contextSize) * 100);
+        output += `🧠 Context: \`~${contextUsage.used} / ${contextUsage.contextSize}\` tokens (${percent}%), ` +
+                  `${contextUsage.turns} turns in memory${contextUsage.summarized ? ', older turns summarized' : ''}\n`;
+    }
+
+    return output;
+}
+
+// Function to format help message
+function getHelpMessage() {
+    return `**Available Commands**\n\n` +
+           `🔍 \`/models\` - List all available AI models\n` +
+           `🛑 \`/cancel\` - Cancel your waiting and running requests\n` +
+           `📤 \`/export [format]\` - Download your current conversation\n` +
+           `📥 \`/import <file>\` - Continue a conversation from an exported file\n` +
+           `🗑️ \`/clear-history\` - Clear your conversation history\n` +
+           `⚙️ \`/settings\` - Show current model and parameters\n` +
+           `🤖 \`/set-model <model>\` - Change the AI model\n` +
+           `🎚️ \`/set-parameter <parameter> <value>\` - Set temperature, max_tokens, top_p, stop, seed, JSON mode and more\n` +
+           `💭 \`/set-system-prompt <prompt>\` - Set the system prompt for the AI\n` +
+           `💭 \`/set-memory <1-10>\` - Set how many messages to remember\n` +
+           `↪️ \`/set-fallback-models [models]\` - Set models to try when yours fails\n` +
+           `⚖️ \`/compare <prompt> <models...>\` - Ask 2-4 models the same question and vote for the best answer\n` +
+           `🏆 \`/compare-stats\` - Show which models win comparisons most often\n` +
+           `🎟️ \`/usage\` - Show your token usage and budget\n` +
+           `🔄 \`/reset-settings\` - Reset all settings to default values\n` +
+           `🛠️ \`/bot-config\` - Configure channels and conversations for this server (admins)\n` +
+           `🎭 \`/persona\` - Create, switch between and share named system prompts\n` +
+           `🗓️ \`/schedule\` - Have prompts answered and posted to a channel on a schedule\n` +
+           `📚 \`/kb\` - Search the server's knowledge base, and add documents to it (admins)\n` +
+           `🛡️ \`/admin\` - Block users, manage role access, rate limits and models (admins)\n` +
+           `❓ \`/help\` - Show this help message\n\n` +
+           `You can also chat with me by mentioning me (@bot)! Use the buttons under my answers to ` +
+           `🔄 regenerate them, 🔀 try another model, ⏩ continue cut-off answers and 👍/👎 rate them.`;
+}
+
+// Options holding one model id, and options holding a comma-separated list of them
+const MODEL_OPTIONS = ['model', 'model1', 'model2', 'model3', 'model4'];
+const MODEL_LIST_OPTIONS = ['models'];
+
+// Handle autocompletion of model options: the cached model list, filtered by what was typed
+// so far and, for non-admins in a server, by the models the server allows.
+// Schedule options are completed with the schedules the user can manage, and document
+// options with the documents of the server's knowledge base.
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isAutocomplete()) return;
+
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'schedule' && interaction.inGuild()) {
+        await interaction.respond(getScheduleChoices(interaction, focused.value)).catch(() => {});
+        return;
+    }
+    if (focused.name === 'document' && interaction.inGuild()) {
+        await interaction.respond(getKnowledgeChoices(interaction.guildId, focused.value)).catch(() => {});
+        return;
+    }
+
+    const list = MODEL_LIST_OPTIONS.includes(focused.name);
+    if (!list && !MODEL_OPTIONS.includes(focused.name)) {
+        await interaction.respond([]).catch(() => {});
+        return;
+    }
+
+    try {
+        let models = await getAvailableModels();
+        if (interaction.inGuild() && !isBotAdmin(interaction)) {
+            const guildSettings = getGuildSettings(interaction.guildId);
+            models = models.filter(model => isModelAllowed(guildSettings, model.id));
+        }
+        await interaction.respond(getModelChoices(models, focused.value, { list }));
+    } catch (error) {
+        logger.error('Error autocompleting models', { command: interaction.commandName, option: focused.name, error });
+        await interaction.respond([]).catch(() => {});
+    }
+});
+
+// Handle button clicks and menu picks on bot messages. Custom ids are `action:arg1:arg2...`
+client.on(Events.InteractionCreate, async interaction => {
+    if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
+
+    try {
+        const [action, ...args] = interaction.customId.split(':');
+        switch (action) {
+            case 'compare-vote':
+                await handleCompareVote(interaction, ...args);
+                break;
+
+            case 'reply-feedback':
+                await handleFeedbackButton(interaction, ...args);
+                break;
+
+            case 'reply-regenerate':
+            case 'reply-switch-model':
+            case 'reply-continue':
+            case 'reply-model':
+            case 'reply-edited':
+                await handleReplyAction(interaction, action.slice('reply-'.length), ...args);
+                break;
+
+            default:
+                await interaction.reply({ content: 'Unknown button', ephemeral: true });
+        }
+    } catch (error) {
+        logger.error('Error handling button', { customId: interaction.customId, userId: interaction.user.id, error });
+        const reply = interaction.replied || interaction.deferred
+            ? interaction.followUp({ content: 'Sorry, an error occurred while processing your click.', ephemeral: true })
+            : interaction.reply({ content: 'Sorry, an error occurred while processing your click.', ephemeral: true });
+        await reply.catch(() => {});
+    }
+});
+
+// Handle slash commands
+client.on(Events.InteractionCreate, async interaction => {
+    // Make sure it's a command interaction
+    if (!interaction.isChatInputCommand()) return;
+
+    try {
+        const { commandName } = interaction;
+        commandsMetric.inc({ command: commandName });
+
+        // Defer reply for commands that might take time
+        if (['models', 'settings', 'usage', 'import', 'kb'].includes(commandName)) {
+            await interaction.deferReply({ ephemeral: true });
+        }
+
+        switch (commandName) {
+            case 'models':
+                const models = await fetchAvailableModels();
+                const modelsList = formatModelsTable(models);
+                await interaction.editReply({ content: modelsList, ephemeral: true });
+                break;
+
+            case 'help':
+                await interaction.reply({ content: getHelpMessage(), ephemeral: true });
+                break;
+
+            case 'clear-history':
+                clearConversationHistory(getConversationKey(interaction.channel, interaction.user.id));
+                await interaction.reply({ content: '✨ Conversation history cleared!', ephemeral: true });
+                break;
+
+            case 'cancel':
+                const cancelled = requestQueue.cancel(interaction.user.id);
+                await interaction.reply({ 
+                    content: cancelled > 0 
+                        ? `🛑 Cancelled ${cancelled} request${cancelled === 1 ? '' : 's'}` 
+                        : 'ℹ️ You have no requests to cancel', 
+                    ephemeral: true 
+                });
+                break;
+
+            case 'export':
+                await handleExportCommand(interaction);
+                break;
+
+            case 'import':
+                await handleImportCommand(interaction);
+                break;
+
+            case 'settings':
+                const settings = resolveRequestSettings({
+                    userId: interaction.user.id,
+                    guildId: interaction.guildId,
+                    channelId: getSettingsChannelId(interaction.channel)
+                });
+                const contextUsage = await getContextUsage(
+                    getConversationKey(interaction.channel, interaction.user.id),
+                    settings.values
+                );
+                await interaction.editReply({ content: formatSettings(settings, contextUsage), ephemeral: true });
+                break;
+
+            case 'set-model':
+                const newModel = interaction.options.getString('model');
+                // Autocompleted values are suggestions, anything can still be typed
+                if ((await findUnknownModels([newModel])).length > 0) {
+                    await interaction.reply({ content: `❌ Unknown model: \`${newModel}\`. See \`/models\` for the list`, ephemeral: true });
+                    return;
+                }
+                if (interaction.inGuild() && !isBotAdmin(interaction) &&
+                    !isModelAllowed(getGuildSettings(interaction.guildId), newModel)) {
+                    await interaction.reply({ 
+                        content: `❌ \`${newModel}\` is not available in this server. Allowed models: \`${formatModelList(getGuildSettings(interaction.guildId).allowedModels)}\``, 
+                        ephemeral: true 
+                    });
+                    return;
+                }
+                const userSettings = getUserSettings(interaction.user.id);
+                userSettings.model = newModel;
+                saveUserSettings(interaction.user.id);
+                await interaction.reply({ content: `✅ Model set to: \`${newModel}\``, ephemeral: true });
+                break;
+
+            case 'set-parameter':
+                const param = interaction.options.getString('parameter');
+                const settings2 = getUserSettings(interaction.user.id);
+
+                // Validate parameter values
+                const parsed = parseParameterValue(param, interaction.options.getString('value'));
+                if (parsed.error) {
+                    await interaction.reply({ content: `❌ ${parsed.error}`, ephemeral: true });
+                    return;
+                }
 
-                settings2[param] = value;
-                saveUserSettings();
-                await interaction.reply({ content: `✅ ${param} set to: \`${value}\``, ephemeral: true });
+                settings2[param] = parsed.value;
+                saveUserSettings(interaction.user.id);
+                await interaction.reply({ content: `✅ ${param} set to: \`${formatParameterValue(param, parsed.value)}\``, ephemeral: true });
                 break;
 
             case 'set-system-prompt':
                 const newPrompt = interaction.options.getString('prompt');
                 const promptSettings = getUserSettings(interaction.user.id);
                 promptSettings.systemPrompt = newPrompt;
-                saveUserSettings();
+                saveUserSettings(interaction.user.id);
                 await interaction.reply({ 
-                    content: `✅ System prompt set to: \`${newPrompt}\``, 
+                    content: `✅ System prompt set to: \`${newPrompt}\`` +
+                        (promptSettings.persona ? `\nℹ️ Your persona \`${promptSettings.persona}\` takes precedence until you run \`/persona use\` without a name` : ''), 
                     ephemeral: true 
                 });
                 break;
 
             case 'reset-settings':
-                const defaultSettings = getDefaultSettings();
-                userSettings.set(interaction.user.id, defaultSettings);
-                saveUserSettings();
-                await interaction.reply({ 
-                    content: '✨ Settings reset to default values!\n' + formatSettings(defaultSettings), 
-                    ephemeral: true 
-                });
+                if (await resetSettingsLayer(interaction)) {
+                    await logAdminAction(interaction);
+                }
                 break;
 
             case 'set-memory':
                 const messageCount = interaction.options.getInteger('messages');
                 const memorySettings = getUserSettings(interaction.user.id);
                 memorySettings.memory = messageCount;
-                saveUserSettings();
+                saveUserSettings(interaction.user.id);
                 await interaction.reply({ 
                     content: `✅ Message memory set to: \`${messageCount}\` messages`, 
                     ephemeral: true 
                 });
                 break;
 
+            case 'set-fallback-models':
+                const fallbackModels = parseModelList(interaction.options.getString('models'));
+                const unknownModels = await findUnknownModels(fallbackModels);
+                if (unknownModels.length > 0) {
+                    await interaction.reply({ content: `❌ Unknown models: \`${unknownModels.join(', ')}\``, ephemeral: true });
+                    return;
+                }
+                const fallbackSettings = getUserSettings(interaction.user.id);
+                fallbackSettings.fallbackModels = fallbackModels;
+                saveUserSettings(interaction.user.id);
+                await interaction.reply({ 
+                    content: `✅ Fallback models set to: \`${formatModelList(fallbackModels)}\``, 
+                    ephemeral: true 
+                });
+                break;
+
+            case 'usage':
+                await handleUsageCommand(interaction);
+                break;
+
+            case 'compare':
+                await handleCompareCommand(interaction);
+                break;
+
+            case 'compare-stats':
+                await interaction.reply({ 
+                    content: formatLeaderboard(comparisonTracker.getLeaderboard({ guildId: interaction.guildId })), 
+                    ephemeral: true 
+                });
+                break;
+
+            case 'schedule':
+                if (await handleScheduleCommand(interaction)) {
+                    await logAdminAction(interaction);
+                }
+                break;
+
+            case 'kb':
+                if (await handleKnowledgeCommand(interaction)) {
+                    await logAdminAction(interaction);
+                }
+                break;
+
+            case 'persona':
+                if (await handlePersonaCommand(interaction)) {
+                    await logAdminAction(interaction);
+                }
+                break;
+
+            case 'bot-config':
+                if (await handleBotConfigCommand(interaction)) {
+                    await logAdminAction(interaction);
+                }
+                break;
+
+            case 'admin':
+                if (await handleAdminCommand(interaction)) {
+                    await logAdminAction(interaction);
+                }
+                break;
+
             default:
                 await interaction.reply({ content: 'Unknown command', ephemeral: true });
         }
     } catch (error) {
-        console.error(`Error handling command ${interaction.commandName}:`, error);
+        logger.error('Error handling command', { command: interaction.commandName, userId: interaction.user.id, guildId: interaction.guildId, error });
         const reply = interaction.deferred 
             ? interaction.editReply({ content: 'Sorry, an error occurred while processing your command.', ephemeral: true })
             : interaction.reply({ content: 'Sorry, an error occurred while processing your command.', ephemeral: true });
         await reply;
     }
-});
+});
+
+// Function to check if a finish reason means the answer was cut off at max_tokens
+// (`length` for OpenAI-style providers, `max_tokens` for Anthropic-style ones)
+function isTruncated(finishReason) {
+    return finishReason === 'length' || finishReason === 'max_tokens';
+}
+
+// Function to get the role ids of a guild member, cached or raw API member
+function getMemberRoleIds(member) {
+    if (!member) return [];
+    return member.roles?.cache ? [...member.roles.cache.keys()] : (member.roles || []);
+}
+
+// Function to check if the author of an interaction or message is a bot admin:
+// anyone with the Manage Server permission or the guild's configured admin role
+function isBotAdmin(source) {
+    if (!source.guildId) return false;
+
+    const permissions = source.memberPermissions ?? source.member?.permissions;
+    if (permissions?.has?.(PermissionFlagsBits.ManageGuild)) {
+        return true;
+    }
+
+    const { adminRoleId } = getGuildSettings(source.guildId);
+    return Boolean(adminRoleId) && getMemberRoleIds(source.member).includes(adminRoleId);
+}
+
+// Function to describe a slash command invocation for the audit log
+function formatCommandForAudit(interaction) {
+    const describeOptions = options => (options || []).map(option => {
+        if (option.options) {
+            return `${option.name} ${describeOptions(option.options)}`.trim();
+        }
+        switch (option.type) {
+            case ApplicationCommandOptionType.User:
+                return `${option.name}:<@${option.value}>`;
+            case ApplicationCommandOptionType.Role:
+                return `${option.name}:<@&${option.value}>`;
+            case ApplicationCommandOptionType.Channel:
+                return `${option.name}:<#${option.value}>`;
+            case ApplicationCommandOptionType.Attachment:
+                return `${option.name}:${option.attachment?.name ?? option.value}`;
+            default:
+                return `${option.name}:${option.value}`;
+        }
+    }).join(' ');
+
+    return `/${interaction.commandName} ${describeOptions(interaction.options.data)}`.trim();
+}
+
+// Function to post an admin action to the guild's audit log channel. The logs only get the
+// command's name, its options can hold system prompts or blocked terms.
+async function logAdminAction(interaction) {
+    const description = formatCommandForAudit(interaction);
+    const command = [interaction.commandName, interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)]
+        .filter(Boolean)
+        .join(' ');
+    logger.info('Admin action', { guildId: interaction.guildId, userId: interaction.user.id, user: interaction.user.tag, command: `/${command}` });
+
+    const { auditChannelId } = getGuildSettings(interaction.guildId);
+    if (!auditChannelId) return;
+
+    try {
+        const channel = await client.channels.fetch(auditChannelId);
+        await channel.send({
+            content: `🛡️ <@${interaction.user.id}> used \`${description}\` in <#${interaction.channelId}>`,
+            allowedMentions: { parse: [] }
+        });
+    } catch (error) {
+        logger.error('Error writing to audit log channel', { guildId: interaction.guildId, channelId: auditChannelId, error });
+    }
+}
+
+// Handle the /admin subcommands, returning whether anything changed
+async function handleAdminCommand(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({ content: '❌ This command can only be used in a server', ephemeral: true });
+        return false;
+    }
+    if (!isBotAdmin(interaction)) {
+        await interaction.reply({ content: '❌ You need the Manage Server permission or the bot admin role to use this command', ephemeral: true });
+        return false;
+    }
+
+    const settings = getGuildSettings(interaction.guildId);
+    const subcommand = interaction.options.getSubcommand();
+    const reply = content => interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+
+    switch (subcommand) {
+        case 'block': {
+            const user = interaction.options.getUser('user');
+            if (user.id === interaction.user.id) {
+                await reply('❌ You cannot block yourself');
+                return false;
+            }
+            settings.blockedUsers[user.id] = {
+                reason: interaction.options.getString('reason') || null,
+                blockedBy: interaction.user.id,
+                blockedAt: new Date().toISOString()
+            };
+            saveGuildSettings(interaction.guildId);
+            await reply(`✅ <@${user.id}> can no longer use the bot in this server`);
+            return true;
+        }
+
+        case 'unblock': {
+            const user = interaction.options.getUser('user');
+            if (!settings.blockedUsers[user.id]) {
+                await reply(`ℹ️ <@${user.id}> is not blocked`);
+                return false;
+            }
+            delete settings.blockedUsers[user.id];
+            saveGuildSettings(interaction.guildId);
+            await reply(`✅ <@${user.id}> can use the bot again`);
+            return true;
+        }
+
+        case 'role-access': {
+            const role = interaction.options.getRole('role');
+            const access = interaction.options.getString('access');
+            settings.allowedRoles = settings.allowedRoles.filter(id => id !== role.id);
+            settings.deniedRoles = settings.deniedRoles.filter(id => id !== role.id);
+            if (access === 'allow') settings.allowedRoles.push(role.id);
+            if (access === 'deny') settings.deniedRoles.push(role.id);
+            saveGuildSettings(interaction.guildId);
+            await reply(`✅ Access for <@&${role.id}> set to: \`${access}\``);
+            return true;
+        }
+
+        case 'role-rate-limit': {
+            const role = interaction.options.getRole('role');
+            const messages = interaction.options.getInteger('messages');
+            const cooldown = interaction.options.getNumber('cooldown');
+            if (messages === null && cooldown === null) {
+                delete settings.roleRateLimits[role.id];
+                saveGuildSettings(interaction.guildId);
+                await reply(`✅ <@&${role.id}> uses the default rate limit again`);
+                return true;
+            }
+            settings.roleRateLimits[role.id] = {
+                messages: messages ?? USER_RATE_LIMIT.messages,
+                cooldown: cooldown !== null ? Math.round(cooldown * 1000) : USER_RATE_LIMIT.cooldown
+            };
+            saveGuildSettings(interaction.guildId);
+            await reply(`✅ <@&${role.id}> rate limit: \`${formatRateLimit(settings.roleRateLimits[role.id])}\``);
+            return true;
+        }
+
+        case 'allowed-models': {
+            const models = parseModelList(interaction.options.getString('models'));
+            const unknownModels = await findUnknownModels(models);
+            if (unknownModels.length > 0) {
+                await reply(`❌ Unknown models: \`${unknownModels.join(', ')}\``);
+                return false;
+            }
+            settings.allowedModels = models;
+            saveGuildSettings(interaction.guildId);
+            await reply(models.length
+                ? `✅ Non-admins can now only use: \`${models.join(', ')}\``
+                : '✅ Non-admins can use every model again');
+            return true;
+        }
+
+        case 'audit-channel': {
+            const channel = interaction.options.getChannel('channel');
+            settings.auditChannelId = channel?.id || null;
+            saveGuildSettings(interaction.guildId);
+            await reply(channel ? `✅ Admin actions will be logged to <#${channel.id}>` : '✅ Audit logging turned off');
+            return true;
+        }
+
+        case 'admin-role': {
+            // Only real server managers may hand out bot admin rights
+            if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                await reply('❌ You need the Manage Server permission to change the bot admin role');
+                return false;
+            }
+            const role = interaction.options.getRole('role');
+            settings.adminRoleId = role?.id || null;
+            saveGuildSettings(interaction.guildId);
+            await reply(role ? `✅ Members with <@&${role.id}> can now administer the bot` : '✅ Bot admin role removed');
+            return true;
+        }
+
+        case 'blocked-term': {
+            const term = normalizeTerm(interaction.options.getString('term'));
+            const action = interaction.options.getString('action');
+            if (!term) {
+                await reply('❌ The term cannot be empty');
+                return false;
+            }
+            if (action === 'remove') {
+                if (!settings.safety.blockedTerms[term]) {
+                    await reply(`ℹ️ \`${term}\` is not blocked`);
+                    return false;
+                }
+                delete settings.safety.blockedTerms[term];
+                saveGuildSettings(interaction.guildId);
+                await reply(`✅ \`${term}\` is no longer blocked`);
+                return true;
+            }
+            settings.safety.blockedTerms[term] = action;
+            saveGuildSettings(interaction.guildId);
+            await reply(`✅ \`${term}\` will now be: \`${action}\``);
+            return true;
+        }
+
+        case 'mod-channel': {
+            const channel = interaction.options.getChannel('channel');
+            settings.safety.modChannelId = channel?.id || null;
+            saveGuildSettings(interaction.guildId);
+            await reply(channel ? `✅ Flagged prompts and answers will be reported to <#${channel.id}>` : '✅ Mod channel reports turned off');
+            return true;
+        }
+
+        case 'redact-pii': {
+            settings.safety.redactPII = interaction.options.getBoolean('enabled');
+            saveGuildSettings(interaction.guildId);
+            const enabled = shouldRedactPII(interaction.guildId);
+            await reply(`✅ Personal data in prompts will ${enabled ? '' : 'not '}be redacted` +
+                (settings.safety.redactPII === null ? ' (default)' : ''));
+            return true;
+        }
+
+        case 'queue': {
+            const stats = requestQueue.getStats();
+            await reply(`**Request Queue**\n\n` +
+                `⚙️ Running: \`${stats.running} / ${stats.concurrency}\`\n` +
+                `⏳ Waiting: \`${stats.pending}\` requests from \`${stats.waitingUsers}\` users\n` +
+                `🕰️ Longest wait: \`${Math.round(stats.longestWaitMs / 1000)}s\`\n`);
+            return false;
+        }
+
+        case 'feedback':
+            await reply(formatFeedbackSummary(feedbackTracker.getSummary({
+                guildId: interaction.guildId,
+                model: interaction.options.getString('model')
+            })));
+            return false;
+
+        case 'show':
+            await reply(formatAccessSettings(settings));
+            return false;
+    }
+
+    return false;
+}
+
+// Function to format the answer ratings of a server for /admin feedback
+function formatFeedbackSummary({ models, recentDown }) {
+    if (models.length === 0) {
+        return 'ℹ️ No answers have been rated yet';
+    }
+
+    const quote = (text, length) => (text.length > length ? `${text.slice(0, length)}…` : text).replace(/\s+/g, ' ');
+    let message = `**Answer Ratings**\n\n` + models
+        .slice(0, 10)
+        .map(entry => `\`${entry.model}\` - 👍 ${entry.up} · 👎 ${entry.down}`)
+        .join('\n');
+
+    if (recentDown.length > 0) {
+        message += `\n\n**Latest 👎**\n` + recentDown
+            .map(entry => `• <@${entry.userId}> on \`${entry.model}\`: "${quote(entry.prompt, 80)}" → "${quote(entry.response, 120)}"`)
+            .join('\n');
+    }
+    return message;
+}
+
+// Function to format a rate limit for display
+function formatRateLimit(limit) {
+    return `${limit.messages} messages/minute, ${limit.cooldown / 1000}s cooldown`;
+}
+
+// Function to format the access control settings of a guild
+function formatAccessSettings(settings) {
+    const mentions = (ids, prefix) => ids.length ? ids.map(id => `<${prefix}${id}>`).join(', ') : 'none';
+    const blocked = Object.entries(settings.blockedUsers)
+        .map(([userId, block]) => `<@${userId}>${block.reason ? ` (${block.reason})` : ''}`);
+    const rateLimits = Object.entries(settings.roleRateLimits)
+        .map(([roleId, limit]) => `<@&${roleId}>: ${formatRateLimit(limit)}`);
+    const blockedTerms = Object.entries(settings.safety.blockedTerms)
+        .map(([term, action]) => `\`${term}\` (${action})`);
+
+    return `**Access Control**\n\n` +
+           `🛡️ Admin role: ${settings.adminRoleId ? `<@&${settings.adminRoleId}>` : 'none'}\n` +
+           `📜 Audit log: ${settings.auditChannelId ? `<#${settings.auditChannelId}>` : 'off'}\n` +
+           `✅ Allowed roles: ${mentions(settings.allowedRoles, '@&')}\n` +
+           `⛔ Denied roles: ${mentions(settings.deniedRoles, '@&')}\n` +
+           `🚫 Blocked users: ${blocked.length ? blocked.join(', ') : 'none'}\n` +
+           `🚦 Default rate limit: \`${formatRateLimit(USER_RATE_LIMIT)}\`\n` +
+           `🚦 Role rate limits: ${rateLimits.length ? rateLimits.join(', ') : 'none'}\n` +
+           `🤖 Models for non-admins: \`${settings.allowedModels.length ? settings.allowedModels.join(', ') : 'all'}\`\n` +
+           `\n**Safety**\n\n` +
+           `🚩 Mod channel: ${settings.safety.modChannelId ? `<#${settings.safety.modChannelId}>` : 'off'}\n` +
+           `🕵️ Redact personal data: \`${(settings.safety.redactPII ?? REDACT_PII) ? 'on' : 'off'}\`${settings.safety.redactPII === null ? ' (default)' : ''}\n` +
+           `🔇 Blocked terms: ${blockedTerms.length ? blockedTerms.join(', ') : 'none'}\n`;
+}
+
+// Function to get the conversation key of a schedule. Scheduled prompts remember their
+// earlier answers (up to the memory setting), so they don't repeat themselves.
+function getScheduleConversationKey(scheduleId) {
+    return `schedule:${scheduleId}`;
+}
+
+// Function to check if a member can pause, resume or delete a schedule: its creator and bot admins can
+function canManageSchedule(interaction, schedule) {
+    return schedule.createdBy === interaction.user.id || isBotAdmin(interaction);
+}
+
+// Function to format a schedule as a list entry
+function formatSchedule(schedule) {
+    const prompt = schedule.prompt.length > 80 ? `${schedule.prompt.slice(0, 80)}…` : schedule.prompt;
+    const details = [
+        schedule.params.model && `model \`${schedule.params.model}\``,
+        schedule.persona && `persona \`${schedule.persona}\``
+    ].filter(Boolean);
+    const nextRun = schedule.paused || !schedule.nextRunAt
+        ? 'paused'
+        : `next <t:${Math.floor(Date.parse(schedule.nextRunAt) / 1000)}:f>`;
+
+    return `${schedule.paused ? '⏸️' : '▶️'} \`${schedule.id}\` \`${describeSchedule(schedule)}\` in <#${schedule.channelId}> by <@${schedule.createdBy}>, ${nextRun}\n` +
+           `   ${prompt.replace(/\s+/g, ' ')}${details.length ? ` (${details.join(', ')})` : ''}` +
+           (schedule.lastError ? `\n   ⚠️ Last run failed: ${schedule.lastError.slice(0, 150)}` : '');
+}
+
+// Function to format the schedules of a server for /schedule list
+function formatScheduleList(schedules) {
+    if (schedules.length === 0) {
+        return 'ℹ️ No schedules in this server. Create one with `/schedule create`';
+    }
+    return `**Schedules**\n\n${schedules.map(formatSchedule).join('\n')}`;
+}
+
+// Function to get the autocomplete choices of a schedule option: the schedules the member can manage
+function getScheduleChoices(interaction, input) {
+    const query = input.trim().toLowerCase();
+    return scheduler.list(interaction.guildId)
+        .filter(schedule => canManageSchedule(interaction, schedule))
+        .filter(schedule => !query || schedule.id.startsWith(query) || schedule.prompt.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(schedule => ({
+            name: `${schedule.id} · ${describeSchedule(schedule)} · ${schedule.prompt}`.replace(/\s+/g, ' ').slice(0, 100),
+            value: schedule.id
+        }));
+}
+
+// Handle the /schedule subcommands, returning whether anything changed. Members who can use
+// the bot can schedule prompts in the bot's channels they can post in; a schedule can be
+// paused, resumed and deleted by its creator and by bot admins.
+async function handleScheduleCommand(interaction) {
+    const reply = content => interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+    if (!interaction.inGuild()) {
+        await reply('❌ Schedules can only be used in a server');
+        return false;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'list') {
+        await reply(formatScheduleList(scheduler.list(interaction.guildId)));
+        return false;
+    }
+
+    if (subcommand === 'create') {
+        const guildSettings = getGuildSettings(interaction.guildId);
+        const accessStatus = checkAccess(guildSettings, interaction.user.id, getMemberRoleIds(interaction.member));
+        if (!accessStatus.allowed) {
+            await reply(accessStatus.message);
+            return false;
+        }
+
+        const channel = interaction.options.getChannel('channel');
+        if (!isBotChannel(channel)) {
+            await reply(`❌ The bot isn't enabled in <#${channel.id}>. An admin can enable it with \`/bot-config enable-channel\``);
+            return false;
+        }
+        if (!channel.permissionsFor(interaction.member)?.has(PermissionFlagsBits.SendMessages)) {
+            await reply(`❌ You can't post in <#${channel.id}>`);
+            return false;
+        }
+        if (scheduler.list(interaction.guildId).length >= MAX_SCHEDULES_PER_GUILD) {
+            await reply(`❌ This server has reached its limit of ${MAX_SCHEDULES_PER_GUILD} schedules, delete one first`);
+            return false;
+        }
+
+        const timeZone = interaction.options.getString('timezone') || SCHEDULE_TIMEZONE;
+        if (!isValidTimeZone(timeZone)) {
+            await reply(`❌ Unknown time zone: \`${timeZone}\`. Use a name like \`Europe/Paris\` or \`America/New_York\``);
+            return false;
+        }
+        const spec = parseScheduleSpec(interaction.options.getString('when'), { timeZone, minIntervalMs: SCHEDULE_MIN_INTERVAL_MS });
+        if (spec.error) {
+            await reply(`❌ ${spec.error}`);
+            return false;
+        }
+
+        // The prompt takes the same [parameter:value] tags as messages
+        const { content: prompt, params, errors } = parseParameters(interaction.options.getString('prompt'));
+        if (errors.length > 0) {
+            await reply(`❌ Invalid parameters:\n${errors.map(error => `• ${error}`).join('\n')}`);
+            return false;
+        }
+        if (!prompt) {
+            await reply('❌ The prompt is empty');
+            return false;
+        }
+
+        params.model = interaction.options.getString('model') || params.model;
+        if (params.model) {
+            if ((await findUnknownModels([params.model])).length > 0) {
+                await reply(`❌ Unknown model: \`${params.model}\``);
+                return false;
+            }
+            if (!isModelAllowed(guildSettings, params.model) && !isBotAdmin(interaction)) {
+                await reply(`🚫 \`${params.model}\` is not available in this server. Allowed models: \`${formatModelList(guildSettings.allowedModels)}\``);
+                return false;
+            }
+        } else {
+            delete params.model;
+        }
+
+        const personaName = normalizePersonaName(interaction.options.getString('persona')) || null;
+        if (personaName && !resolveActivePersona(interaction.user.id, interaction.guildId, personaName)) {
+            await reply(`❌ Persona \`${personaName}\` not found`);
+            return false;
+        }
+
+        const schedule = scheduler.create({
+            guildId: interaction.guildId,
+            channelId: channel.id,
+            createdBy: interaction.user.id,
+            spec: spec.value,
+            timeZone,
+            prompt,
+            params,
+            persona: personaName
+        });
+        await reply(`✅ Schedule created:\n${formatSchedule(schedule)}`);
+        return true;
+    }
+
+    const schedule = scheduler.get(interaction.options.getString('schedule'));
+    if (!schedule || schedule.guildId !== interaction.guildId) {
+        await reply('❌ Schedule not found, see `/schedule list`');
+        return false;
+    }
+    if (!canManageSchedule(interaction, schedule)) {
+        await reply('❌ Only the creator of a schedule or a bot admin can change it');
+        return false;
+    }
+
+    switch (subcommand) {
+        case 'pause':
+        case 'resume': {
+            const paused = subcommand === 'pause';
+            if (schedule.paused === paused) {
+                await reply(`ℹ️ Schedule \`${schedule.id}\` is already ${paused ? 'paused' : 'running'}`);
+                return false;
+            }
+            await reply(`✅ Schedule ${paused ? 'paused' : 'resumed'}:\n${formatSchedule(scheduler.setPaused(schedule.id, paused))}`);
+            return true;
+        }
+
+        case 'delete':
+            scheduler.delete(schedule.id);
+            clearConversationHistory(getScheduleConversationKey(schedule.id));
+            await reply(`✅ Schedule \`${schedule.id}\` deleted`);
+            return true;
+    }
+
+    return false;
+}
+
+// Function to answer a scheduled prompt and post it to its channel. It goes through the same
+// access, rate limit, budget and model checks as a message from the schedule's creator, and
+// waits in the request queue like one. Throws when the run fails, so nothing is posted.
+async function runSchedule(schedule) {
+    const { id, guildId, channelId, createdBy: userId, prompt, params, persona: personaName } = schedule;
+    try {
+        const channel = await client.channels.fetch(channelId);
+        if (!isBotChannel(channel)) {
+            throw new Error('The bot is no longer enabled in the channel');
+        }
+        const member = await channel.guild.members.fetch(userId).catch(() => null);
+        if (!member) {
+            throw new Error('The creator of the schedule is no longer in the server');
+        }
+        if (!channel.permissionsFor(member)?.has(PermissionFlagsBits.SendMessages)) {
+            throw new Error('The creator of the schedule can no longer post in the channel');
+        }
+
+        const requestStatus = checkRequestAllowed(userId, guildId, member);
+        if (!requestStatus.allowed) {
+            throw new Error(requestStatus.message);
+        }
+        const requestedModel = resolveRequestSettings({ userId, guildId, channelId, params, personaName }).values.model;
+        if (!isModelAllowed(getGuildSettings(guildId), requestedModel) && !isBotAdmin({ guildId, member })) {
+            throw new Error(`\`${requestedModel}\` is not available in this server`);
+        }
+        recordUserRequest(userId);
+
+        let answer = null;
+        const job = requestQueue.enqueue(userId, signal => getAPIResponse(getScheduleConversationKey(id), prompt, {
+            params,
+            userId,
+            guildId,
+            channelId,
+            personaName,
+            signal,
+            onAnswer: result => answer = result
+        }));
+        const response = await job.promise;
+        // Errors and refusals are for the creator, not for the channel
+        if (!answer) {
+            throw new Error(response);
+        }
+
+        await createResponseStreamer(null, channel).finish(response);
+        scheduledRunsMetric.inc({ outcome: 'posted' });
+        logger.info('Posted scheduled prompt', { scheduleId: id, guildId, channelId, model: answer.model });
+    } catch (error) {
+        scheduledRunsMetric.inc({ outcome: 'failed' });
+        throw error;
+    }
+}
+
+// Links to Discord messages: guild (or @me), channel and message ids
+const MESSAGE_LINK_PATTERN = /^<?https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)\/?>?$/;
+
+// Function to read the message option of /kb pin: a message link, or the id of a message
+// in `channelId`. Returns `{ guildId, channelId, messageId }`, or null when it's neither.
+function parseMessageReference(value, { guildId, channelId }) {
+    const input = value.trim();
+    if (/^\d+$/.test(input)) {
+        return { guildId, channelId, messageId: input };
+    }
+    const match = input.match(MESSAGE_LINK_PATTERN);
+    return match ? { guildId: match[1], channelId: match[2], messageId: match[3] } : null;
+}
+
+// Function to format the source of a knowledge base document, linking pinned messages
+function formatKnowledgeSource(document) {
+    if (document.source.type !== 'message') {
+        return `\`${document.source.name}\``;
+    }
+    return document.source.url ? `[message](<${document.source.url}>)` : 'message';
+}
+
+// Function to format a knowledge base document as a list entry
+function formatKnowledgeDocument(document) {
+    const icon = document.source.type === 'message' ? '📌' : '📄';
+    const passages = `${document.chunks.length} passage${document.chunks.length === 1 ? '' : 's'}`;
+    return `${icon} \`${document.id}\` **${document.title}** · ${passages} from ${formatKnowledgeSource(document)}, ` +
+           `added by <@${document.addedBy}> <t:${Math.floor(Date.parse(document.addedAt) / 1000)}:d>`;
+}
+
+// Function to format the documents of a server for /kb list
+function formatKnowledgeList(documents) {
+    if (documents.length === 0) {
+        return 'ℹ️ The knowledge base of this server is empty. Admins can add documents with `/kb add` and `/kb pin`';
+    }
+    const lines = documents.map(formatKnowledgeDocument);
+    const shown = [];
+    let length = 0;
+    for (const line of lines) {
+        if (length + line.length > 1800) break;
+        shown.push(line);
+        length += line.length + 1;
+    }
+    const more = lines.length > shown.length ? `\n…and ${lines.length - shown.length} more` : '';
+    return `**Knowledge base** (${documents.length}/${KB_MAX_DOCUMENTS} documents)\n\n${shown.join('\n')}${more}`;
+}
+
+// Function to get the autocomplete choices of a document option
+function getKnowledgeChoices(guildId, input) {
+    const query = input.trim().toLowerCase();
+    return knowledgeBase.list(guildId)
+        .filter(document => !query || document.id.startsWith(query) || document.title.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(document => ({
+            name: `${document.id} · ${document.title}`.replace(/\s+/g, ' ').slice(0, 100),
+            value: document.id
+        }));
+}
+
+// Function to label a passage by its document title and heading
+function formatPassageLabel(passage) {
+    return passage.heading ? `${passage.title} › ${passage.heading}` : passage.title;
+}
+
+// Function to find the knowledge base passages matching a prompt in a server.
+// Returns an empty list outside of servers, and in servers without documents.
+function retrieveKnowledge(guildId, prompt) {
+    if (!guildId || KB_MAX_PASSAGES === 0 || knowledgeBase.list(guildId).length === 0) {
+        return [];
+    }
+    const passages = knowledgeBase.search(guildId, prompt, { limit: KB_MAX_PASSAGES });
+    knowledgeMetric.inc({ outcome: passages.length > 0 ? 'found' : 'none' });
+    return passages;
+}
+
+// Function to add numbered knowledge base passages to a system prompt, asking the model to cite them
+function buildKnowledgeSystemPrompt(systemPrompt, passages) {
+    const sections = passages.map((passage, index) => `[${index + 1}] ${formatPassageLabel(passage)}\n${passage.text}`);
+    return `${systemPrompt}\n\n` +
+        'These passages from this server\'s knowledge base may help with the next message. When you use ' +
+        'one, cite it by its number, like [1]. Ignore them when they aren\'t relevant, and don\'t cite ' +
+        `passages you didn't use.\n\n${sections.join('\n\n')}`;
+}
+
+// Function to list the passages an answer cites as [n], linking the pinned messages among them.
+// Returns null when the answer cites none.
+function formatKnowledgeSources(answer, passages) {
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    const sources = passages
+        .map((passage, index) => ({ passage, number: index + 1 }))
+        .filter(({ number }) => cited.has(number))
+        .map(({ passage, number }) => {
+            const label = formatPassageLabel(passage);
+            return `[${number}] ${passage.source.url ? `[${label}](<${passage.source.url}>)` : label}`;
+        });
+    return sources.length > 0 ? `📚 Sources: ${sources.join(' · ')}` : null;
+}
+
+// Handle the /kb subcommands, returning whether anything changed. Members who can use the bot
+// can list and search the knowledge base; bot admins add, pin and remove documents.
+async function handleKnowledgeCommand(interaction) {
+    const reply = content => interaction.editReply({ content, allowedMentions: { parse: [] } });
+    if (!interaction.inGuild()) {
+        await reply('❌ The knowledge base can only be used in a server');
+        return false;
+    }
+
+    const { guildId } = interaction;
+    const subcommand = interaction.options.getSubcommand();
+    if (['list', 'search'].includes(subcommand)) {
+        const accessStatus = checkAccess(getGuildSettings(guildId), interaction.user.id, getMemberRoleIds(interaction.member));
+        if (!accessStatus.allowed) {
+            await reply(accessStatus.message);
+            return false;
+        }
+    } else if (!isBotAdmin(interaction)) {
+        await reply('❌ You need the Manage Server permission or the bot admin role to change the knowledge base');
+        return false;
+    }
+
+    switch (subcommand) {
+        case 'list':
+            await reply(formatKnowledgeList(knowledgeBase.list(guildId)));
+            return false;
+
+        case 'search': {
+            const passages = knowledgeBase.search(guildId, interaction.options.getString('query'), { limit: Math.min(KB_MAX_PASSAGES || 3, 5) });
+            if (passages.length === 0) {
+                await reply('ℹ️ No passages of the knowledge base match this query');
+                return false;
+            }
+            const results = passages.map((passage, index) => {
+                const text = passage.text.length > 300 ? `${passage.text.slice(0, 300)}…` : passage.text;
+                return `**[${index + 1}] ${formatPassageLabel(passage)}** \`${passage.documentId}\` (score ${passage.score.toFixed(2)})\n` +
+                       text.split('\n').map(line => `> ${line}`).join('\n');
+            });
+            await reply(results.join('\n\n'));
+            return false;
+        }
+
+        case 'remove': {
+            const document = knowledgeBase.get(interaction.options.getString('document'));
+            if (!document || document.guildId !== guildId) {
+                await reply('❌ Document not found, see `/kb list`');
+                return false;
+            }
+            knowledgeBase.delete(document.id);
+            await reply(`✅ Removed **${document.title}** from the knowledge base`);
+            return true;
+        }
+    }
+
+    // add and pin read the document's text and source first
+    let text;
+    let title = interaction.options.getString('title')?.trim();
+    let source;
+    let notice = null;
+
+    if (subcommand === 'add') {
+        const attachment = interaction.options.getAttachment('file');
+        if (/\.pdf$/i.test(attachment.name) || attachment.contentType === 'application/pdf') {
+            await reply('❌ PDFs can\'t be read directly. Extract their text first, for example with `pdftotext file.pdf`, and add the .txt file');
+            return false;
+        }
+        if (classifyAttachments([attachment]).documents.length === 0) {
+            await reply('❌ Only text files can be added, such as .md and .txt files');
+            return false;
+        }
+
+        try {
+            const file = await readTextAttachment(attachment, { maxBytes: IMPORT_FILE_MAX_BYTES, maxChars: KB_MAX_DOCUMENT_CHARS });
+            if (file.content === null) {
+                await reply(`❌ The file is too large, ${file.notice}`);
+                return false;
+            }
+            text = file.content;
+            notice = file.notice || null;
+        } catch (error) {
+            await reply(`❌ Couldn't read the file: ${error.message}`);
+            return false;
+        }
+        title = title || attachment.name.replace(/\.[^.]+$/, '');
+        source = { type: 'file', name: attachment.name };
+    } else {
+        const reference = parseMessageReference(interaction.options.getString('message'), { guildId, channelId: interaction.channelId });
+        if (!reference || reference.guildId !== guildId) {
+            await reply('❌ Give a link to a message of this server, or the id of a message in this channel');
+            return false;
+        }
+
+        let message;
+        try {
+            const channel = reference.channelId === interaction.channelId
+                ? interaction.channel
+                : await client.channels.fetch(reference.channelId);
+            if (!channel?.permissionsFor(interaction.member)?.has(PermissionFlagsBits.ViewChannel)) {
+                await reply(`❌ You can't see <#${reference.channelId}>`);
+                return false;
+            }
+            message = await channel.messages.fetch(reference.messageId);
+        } catch (error) {
+            await reply('❌ Message not found, or the bot can\'t read its channel');
+            return false;
+        }
+
+        text = message.content.slice(0, KB_MAX_DOCUMENT_CHARS);
+        title = title || `Message from ${message.author.username}${message.channel?.name ? ` in #${message.channel.name}` : ''}`;
+        source = {
+            type: 'message',
+            url: message.url || null,
+            channelId: reference.channelId,
+            messageId: reference.messageId,
+            authorId: message.author.id
+        };
+    }
+
+    if (!text.trim()) {
+        await reply('❌ There is no text to add');
+        return false;
+    }
+    if (!knowledgeBase.findBySource(guildId, source) && knowledgeBase.list(guildId).length >= KB_MAX_DOCUMENTS) {
+        await reply(`❌ This server has reached its limit of ${KB_MAX_DOCUMENTS} documents, remove one first`);
+        return false;
+    }
+
+    const { document, replaced } = knowledgeBase.add({ guildId, title, text, source, addedBy: interaction.user.id });
+    logger.info('Updated knowledge base', { guildId, documentId: document.id, passages: document.chunks.length, replaced });
+    await reply(`✅ ${replaced ? 'Updated' : 'Added'} ${formatKnowledgeDocument(document)}` + (notice ? `\n📎 Note: ${notice}` : ''));
+    return true;
+}
+
+// Handle the /export command: sends the caller's current conversation as a file
+async function handleExportCommand(interaction) {
+    const conversationKey = getConversationKey(interaction.channel, interaction.user.id);
+    const history = conversationHistory.get(conversationKey);
+    if (!history?.messages.length && !history?.summary) {
+        await interaction.reply({ content: 'ℹ️ There is no conversation to export here', ephemeral: true });
+        return;
+    }
+
+    const channelName = interaction.channel?.name ? `#${interaction.channel.name}` : 'direct messages';
+    const file = exportConversation(history, interaction.options.getString('format') || 'markdown', {
+        title: `Conversation in ${channelName}`
+    });
+    await interaction.reply({
+        content: `📤 ${history.messages.length / 2} turns exported${history.summary ? ', with the summary of earlier turns' : ''}`,
+        files: [new AttachmentBuilder(Buffer.from(file.content, 'utf8'), { name: file.name })],
+        ephemeral: true
+    });
+}
+
+// Handle the /import command: replaces the caller's current conversation with an imported one
+async function handleImportCommand(interaction) {
+    const conversationKey = getConversationKey(interaction.channel, interaction.user.id);
+
+    // Shared conversations belong to everyone in the channel or thread
+    const isShared = conversationKey !== `${interaction.channel.id}:${interaction.user.id}`;
+    if (isShared && !isBotAdmin(interaction)) {
+        await interaction.editReply({ content: '❌ Conversations are shared here, only admins can replace them', ephemeral: true });
+        return;
+    }
+
+    let imported;
+    try {
+        const file = await readTextAttachment(interaction.options.getAttachment('file'), {
+            maxBytes: IMPORT_FILE_MAX_BYTES,
+            maxChars: Infinity
+        });
+        if (file.content === null) {
+            await interaction.editReply({ content: `❌ The file is too large, ${file.notice}`, ephemeral: true });
+            return;
+        }
+        imported = parseConversationImport(file.content);
+    } catch (error) {
+        await interaction.editReply({ content: `❌ Couldn't import the conversation: ${error.message}`, ephemeral: true });
+        return;
+    }
+
+    const history = { ownerId: interaction.user.id, messages: imported.messages, summary: imported.summary };
+    conversationHistory.set(conversationKey, history);
+    storage.set('conversations', conversationKey, history);
+
+    await interaction.editReply({
+        content: `📥 Imported ${imported.messages.length / 2} turns${imported.summary ? ' and a summary of earlier turns' : ''}.` +
+            (imported.skipped ? ` Skipped ${imported.skipped} messages that weren't part of a user/assistant exchange.` : '') +
+            ' Mention me to continue the conversation.',
+        ephemeral: true
+    });
+}
+
+// Handle /reset-settings: clears one settings layer, returning whether a server layer changed
+async function resetSettingsLayer(interaction) {
+    const layer = interaction.options.getString('layer') || 'user';
+    const channelId = getSettingsChannelId(interaction.channel);
+
+    if (layer !== 'user') {
+        if (!interaction.inGuild()) {
+            await interaction.reply({ content: '❌ Channel and server defaults only exist in a server', ephemeral: true });
+            return false;
+        }
+        if (!isBotAdmin(interaction)) {
+            await interaction.reply({ content: '❌ You need the Manage Server permission or the bot admin role to reset server defaults', ephemeral: true });
+            return false;
+        }
+    }
+
+    switch (layer) {
+        case 'user':
+            // Personas are kept, only the active one is switched off
+            saveUserSettings(interaction.user.id, {
+                ...getDefaultSettings(),
+                personas: getUserSettings(interaction.user.id).personas
+            });
+            break;
+        case 'channel':
+            delete getGuildSettings(interaction.guildId).channelDefaults[channelId];
+            saveGuildSettings(interaction.guildId);
+            break;
+        case 'guild':
+            getGuildSettings(interaction.guildId).defaults = {};
+            saveGuildSettings(interaction.guildId);
+            break;
+    }
+
+    const settings = resolveRequestSettings({ userId: interaction.user.id, guildId: interaction.guildId, channelId });
+    await interaction.reply({ 
+        content: `✨ ${LAYER_LABELS[layer][0].toUpperCase()}${LAYER_LABELS[layer].slice(1)} reset!\n` + formatSettings(settings), 
+        ephemeral: true 
+    });
+    return layer !== 'user';
+}
+
+// Handle the /persona subcommands, returning whether a server persona changed
+async function handlePersonaCommand(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const name = normalizePersonaName(interaction.options.getString('name'));
+    const serverWide = subcommand === 'share' || Boolean(interaction.options.getBoolean('server'));
+    const settings = getUserSettings(interaction.user.id);
+    const reply = content => interaction.reply({ content, ephemeral: true });
+
+    if (serverWide) {
+        if (!interaction.inGuild()) {
+            await reply('❌ Server personas can only be managed in a server');
+            return false;
+        }
+        if (!isBotAdmin(interaction)) {
+            await reply('❌ You need the Manage Server permission or the bot admin role to manage server personas');
+            return false;
+        }
+    }
+
+    // The personas this subcommand works on, and how to persist them
+    const personas = serverWide ? getGuildSettings(interaction.guildId).personas : settings.personas;
+    const savePersonas = () => serverWide
+        ? saveGuildSettings(interaction.guildId)
+        : saveUserSettings(interaction.user.id);
+    const label = serverWide ? 'Server persona' : 'Persona';
+
+    switch (subcommand) {
+        case 'create':
+        case 'edit': {
+            const nameError = validatePersonaName(name);
+            if (nameError) {
+                await reply(`❌ ${nameError}`);
+                return false;
+            }
+
+            const existing = getPersona(personas, name);
+            if (subcommand === 'create' && existing) {
+                await reply(`❌ ${label} \`${name}\` already exists, use \`/persona edit\` to change it`);
+                return false;
+            }
+            if (subcommand === 'edit' && !existing) {
+                await reply(`❌ ${label} \`${name}\` not found`);
+                return false;
+            }
+            if (!existing && Object.keys(personas).length >= MAX_PERSONAS) {
+                await reply(`❌ You can keep up to ${MAX_PERSONAS} personas, delete one first`);
+                return false;
+            }
+
+            const model = interaction.options.getString('model');
+            if (model) {
+                const unknownModels = await findUnknownModels([model]);
+                if (unknownModels.length > 0) {
+                    await reply(`❌ Unknown model: \`${model}\``);
+                    return false;
+                }
+            }
+
+            const clearPreferences = interaction.options.getBoolean('clear-preferences');
+            personas[name] = createPersona({
+                systemPrompt: interaction.options.getString('prompt') ?? existing.systemPrompt,
+                model: model ?? (clearPreferences ? null : existing?.model ?? null),
+                temperature: interaction.options.getNumber('temperature') ?? (clearPreferences ? null : existing?.temperature ?? null)
+            }, existing?.createdBy || interaction.user.id);
+            savePersonas();
+
+            await reply(`✅ ${label} ${subcommand === 'create' ? 'created' : 'updated'}:\n${formatPersona(name, personas[name])}` +
+                (subcommand === 'create' ? `\n\nUse \`/persona use ${name}\` to switch to it.` : ''));
+            return serverWide;
+        }
+
+        case 'use': {
+            if (!name) {
+                settings.persona = null;
+                saveUserSettings(interaction.user.id);
+                await reply('✅ Persona turned off, your own settings apply again');
+                return false;
+            }
+
+            const persona = findPersona(
+                name,
+                settings.personas,
+                interaction.inGuild() ? getGuildSettings(interaction.guildId).personas : {}
+            );
+            if (!persona) {
+                await reply(`❌ Persona \`${name}\` not found. See \`/persona list\``);
+                return false;
+            }
+
+            settings.persona = name;
+            saveUserSettings(interaction.user.id);
+            await reply(`✅ Now using ${persona.scope} persona:\n${formatPersona(name, persona, true)}`);
+            return false;
+        }
+
+        case 'list': {
+            const serverPersonas = interaction.inGuild() ? getGuildSettings(interaction.guildId).personas : {};
+            const formatList = list => Object.keys(list).length
+                ? Object.entries(list).map(([personaName, persona]) => formatPersona(personaName, persona, personaName === settings.persona)).join('\n')
+                : '*none*';
+
+            let output = `**Your Personas**\n${formatList(settings.personas)}\n`;
+            if (interaction.inGuild()) {
+                output += `\n**Server Personas**\n${formatList(serverPersonas)}\n`;
+            }
+
+            const [first, ...rest] = splitMessage(output);
+            await reply(first);
+            for (const chunk of rest) {
+                await interaction.followUp({ content: chunk, ephemeral: true });
+            }
+            return false;
+        }
+
+        case 'delete': {
+            if (!getPersona(personas, name)) {
+                await reply(`❌ ${label} \`${name}\` not found`);
+                return false;
+            }
+
+            delete personas[name];
+            savePersonas();
+            if (!serverWide && settings.persona === name) {
+                settings.persona = null;
+                saveUserSettings(interaction.user.id);
+            }
+            await reply(`✅ ${label} \`${name}\` deleted`);
+            return serverWide;
+        }
+
+        case 'share': {
+            const persona = getPersona(settings.personas, name);
+            if (!persona) {
+                await reply(`❌ You have no persona named \`${name}\``);
+                return false;
+            }
+            if (!getPersona(personas, name) && Object.keys(personas).length >= MAX_PERSONAS) {
+                await reply(`❌ This server already has ${MAX_PERSONAS} personas, delete one first`);
+                return false;
+            }
+
+            personas[name] = createPersona(persona, interaction.user.id);
+            savePersonas();
+            await reply(`✅ Persona \`${name}\` is now available to everyone in this server`);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Labels for the answers of a comparison
+const COMPARISON_LABELS = ['A', 'B', 'C', 'D'];
+
+// Function to get one answer for /compare, timing the request.
+// Failures are returned as `{ error }` so the other models' answers still count.
+async function runComparisonRequest(model, messages, apiConfig, signal) {
+    if (!modelCircuit.canRequest(model)) {
+        return { model, error: 'Model is temporarily unavailable', latencyMs: 0 };
+    }
+
+    const startedAt = Date.now();
+    try {
+        const completion = await requestCompletion(model, messages, apiConfig, null, signal);
+        modelCircuit.recordSuccess(model);
+        return {
+            model,
+            content: completion.content.replace(LEGEND_PATTERN, ''),
+            latencyMs: Date.now() - startedAt,
+            // Fall back to estimates for providers that don't report usage
+            usage: completion.usage || {
+                promptTokens: estimateMessagesTokens(messages),
+                completionTokens: estimateTokens(completion.content)
+            }
+        };
+    } catch (error) {
+        if (signal?.aborted) {
+            modelCircuit.releaseTrial(model);
+            throw error;
+        }
+
+        const errorData = await readErrorData(error);
+        logger.error('Error comparing model', { model, code: getErrorCode(error), error: error.message, providerError: getErrorMessage(errorData) });
+        if (providers.isModelUnavailable(model, errorData) || isRetryableError(error)) {
+            modelCircuit.recordFailure(model);
+        } else {
+            modelCircuit.releaseTrial(model);
+        }
+        return {
+            model,
+            error: getErrorMessage(errorData) || error.message,
+            latencyMs: Date.now() - startedAt
+        };
+    }
+}
+
+// Function to build the embed showing one answer of a comparison.
+// Answers too long for an embed are cut short and attached in full.
+function buildComparisonEmbed(result, index) {
+    const embed = new EmbedBuilder()
+        .setTitle(`${COMPARISON_LABELS[index]} · ${result.model}`.slice(0, 256));
+
+    if (result.error) {
+        return { embed: embed.setColor(0xED4245).setDescription(`❌ ${result.error}`.slice(0, 4096)), files: [] };
+    }
+
+    const files = [];
+    let description = result.content || '*(empty answer)*';
+    if (description.length > 4096) {
+        description = `${description.slice(0, 4000)}…\n\n*Full answer attached*`;
+        files.push(new AttachmentBuilder(Buffer.from(result.content, 'utf8'), { name: `answer-${COMPARISON_LABELS[index]}.md` }));
+    }
+
+    embed
+        .setColor(0x5865F2)
+        .setDescription(description)
+        .setFooter({ text: `⏱️ ${(result.latencyMs / 1000).toFixed(1)}s · 🎟️ ${formatTokens(result.usage.promptTokens)} prompt + ${formatTokens(result.usage.completionTokens)} completion tokens` });
+    return { embed, files };
+}
+
+// Function to build the vote message of a comparison, with the current vote counts
+function buildVoteMessage(id, comparison) {
+    const counts = comparisonTracker.countVotes(comparison);
+    const row = new ActionRowBuilder().addComponents(
+        comparison.models.map((model, index) => new ButtonBuilder()
+            .setCustomId(`compare-vote:${id}:${index}`)
+            .setLabel(`${COMPARISON_LABELS[index]} · ${model}`.slice(0, 80))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(Boolean(comparison.results[index]?.error)))
+    );
+    const tally = comparison.models
+        .map((model, index) => `${COMPARISON_LABELS[index]} \`${model}\`: ${counts[index]}`)
+        .join(' · ');
+
+    return { content: `🗳️ **Which answer is best?**\n${tally}`, components: [row] };
+}
+
+// Handle the /compare command: runs the prompt on every model at once and posts the answers
+async function handleCompareCommand(interaction) {
+    const userId = interaction.user.id;
+    let prompt = interaction.options.getString('prompt');
+    const models = [...new Set(['model1', 'model2', 'model3', 'model4']
+        .map(name => interaction.options.getString(name))
+        .filter(Boolean))];
+
+    if (models.length < 2) {
+        await interaction.reply({ content: '❌ Pick at least two different models', ephemeral: true });
+        return;
+    }
+
+    // Answers are posted for the whole channel, so only where the bot may answer
+    if (!interaction.channel || !isBotChannel(interaction.channel)) {
+        await interaction.reply({ content: '❌ The bot isn\'t enabled in this channel', ephemeral: true });
+        return;
+    }
+
+    const unknownModels = await findUnknownModels(models);
+    if (unknownModels.length > 0) {
+        await interaction.reply({ content: `❌ Unknown models: \`${unknownModels.join(', ')}\`. See \`/models\``, ephemeral: true });
+        return;
+    }
+
+    const requestStatus = checkRequestAllowed(userId, interaction.guildId, interaction.member);
+    if (!requestStatus.allowed) {
+        await interaction.reply({ content: requestStatus.message, ephemeral: true });
+        return;
+    }
+    if (interaction.inGuild()) {
+        const disallowedModels = models.filter(model => !isModelAllowed(getGuildSettings(interaction.guildId), model));
+        if (disallowedModels.length > 0 && !isBotAdmin(interaction)) {
+            await interaction.reply({ content: `🚫 Not available in this server: \`${disallowedModels.join(', ')}\``, ephemeral: true });
+            return;
+        }
+    }
+
+    const safetyContext = { guildId: interaction.guildId, userId, channelId: interaction.channelId };
+    const checkedPrompt = checkPromptSafety(prompt, safetyContext);
+    if (checkedPrompt.refused) {
+        await interaction.reply({ content: '🚫 Your prompt contains a term that is not allowed in this server.', ephemeral: true });
+        return;
+    }
+    prompt = checkedPrompt.text;
+
+    // Every model asked counts as a request towards the rate limit
+    recordUserRequest(userId, models.length);
+
+    await interaction.deferReply();
+
+    // Every model gets the same system prompt and parameters, and no conversation history
+    const { values: settings } = resolveRequestSettings({
+        userId,
+        guildId: interaction.guildId,
+        channelId: getSettingsChannelId(interaction.channel)
+    });
+    const apiConfig = toRequestParameters(settings);
+    const messages = [
+        { role: 'system', content: settings.systemPrompt },
+        { role: 'user', content: prompt }
+    ];
+
+    // The whole comparison takes one place in the queue, its requests run concurrently
+    let job;
+    try {
+        job = requestQueue.enqueue(userId, signal => Promise.all(
+            models.map(model => runComparisonRequest(model, messages, apiConfig, signal))
+        ), {
+            onPosition: position => interaction.editReply(`⏳ You're #${position} in the queue. Use \`/cancel\` to cancel.`).catch(() => {})
+        });
+    } catch (error) {
+        if (error.code !== 'QUEUE_FULL') throw error;
+        rejectionsMetric.inc({ reason: 'queue_full' });
+        await interaction.editReply(`⏳ ${error.message}. Please wait for them to finish, or use \`/cancel\`.`);
+        return;
+    }
+
+    let results;
+    try {
+        results = (await job.promise).map(result => {
+            if (!result.content) return result;
+            const checkedAnswer = checkAnswerSafety(result.content, safetyContext);
+            return checkedAnswer.refused
+                ? { ...result, content: null, error: 'The answer contained a term that is not allowed in this server' }
+                : { ...result, content: checkedAnswer.text };
+        });
+    } catch (error) {
+        if (!job.controller.signal.aborted) throw error;
+        await interaction.editReply('🛑 Comparison cancelled.');
+        return;
+    }
+
+    results
+        .filter(result => result.usage)
+        .forEach(result => recordTokenUsage(userId, interaction.guildId, result.model, result.usage));
+
+    // Answers can be long, so only their metadata is kept for the leaderboard
+    const id = comparisonTracker.create({
+        userId,
+        guildId: interaction.guildId,
+        prompt,
+        models,
+        results: results.map(({ content, ...result }) => result)
+    });
+
+    const quotedPrompt = prompt.length > 1500 ? `${prompt.slice(0, 1500)}…` : prompt;
+    await interaction.editReply({
+        content: `⚖️ **Comparing ${models.length} models**\n> ${quotedPrompt.replace(/\n/g, '\n> ')}`,
+        allowedMentions: { parse: [] }
+    });
+    for (let i = 0; i < results.length; i++) {
+        const { embed, files } = buildComparisonEmbed(results[i], i);
+        await interaction.followUp({ embeds: [embed], files });
+    }
+    await interaction.followUp(buildVoteMessage(id, comparisonTracker.get(id)));
+}
+
+// Handle a vote button under a comparison
+async function handleCompareVote(interaction, id, index) {
+    const comparison = comparisonTracker.vote(id, interaction.user.id, parseInt(index));
+    if (!comparison) {
+        await interaction.reply({ content: '❌ This comparison is no longer available', ephemeral: true });
+        return;
+    }
+
+    await interaction.update(buildVoteMessage(id, comparison));
+    await interaction.followUp({ 
+        content: `✅ You voted for ${COMPARISON_LABELS[index]} \`${comparison.models[index]}\``, 
+        ephemeral: true 
+    });
+}
+
+// Function to format the /compare leaderboard
+function formatLeaderboard(leaderboard) {
+    if (leaderboard.length === 0) {
+        return 'ℹ️ No comparisons yet. Try `/compare`!';
+    }
+
+    const medals = ['🥇', '🥈', '🥉'];
+    return `**Model Leaderboard**\n\n` + leaderboard
+        .slice(0, 20)
+        .map((entry, index) => `${medals[index] || '▫️'} \`${entry.model}\` - ${entry.wins} wins, ` +
+            `${entry.votes} votes in ${entry.comparisons} comparisons`)
+        .join('\n');
+}
+
+// Handle the /usage command
+async function handleUsageCommand(interaction) {
+    const targetUser = interaction.options.getUser('user');
+    const serverWide = interaction.options.getBoolean('server');
+    if ((targetUser && targetUser.id !== interaction.user.id) || serverWide) {
+        if (!interaction.inGuild() || !isBotAdmin(interaction)) {
+            await interaction.editReply({ content: '❌ Only admins can see the usage of others', ephemeral: true });
+            return;
+        }
+    }
+
+    if (serverWide) {
+        const budget = getGuildSettings(interaction.guildId).budgets.guild;
+        await interaction.editReply({
+            content: formatUsage('Server Token Usage', `guild:${interaction.guildId}`, budget),
+            ephemeral: true
+        });
+        return;
+    }
+
+    const user = targetUser || interaction.user;
+    if (!interaction.inGuild()) {
+        const { budget, subject } = getUserTokenBudget(user.id, null);
+        await interaction.editReply({
+            content: formatUsage('Your Token Usage', subject, budget),
+            ephemeral: true
+        });
+        return;
+    }
+
+    // The usage shown is the one the budget counts: everywhere for the default budget,
+    // only in this server for budgets set here
+    const member = targetUser ? interaction.options.getMember('user') : interaction.member;
+    const { budget, subject } = getUserTokenBudget(user.id, interaction.guildId, getMemberRoleIds(member));
+    const scope = subject === `user:${user.id}` ? '' : ' in this Server';
+    const title = targetUser ? `Token Usage of ${user.username}${scope}` : `Your Token Usage${scope}`;
+    await interaction.editReply({
+        content: formatUsage(title, subject, budget),
+        ephemeral: true
+    });
+}
+
+// Handle the /bot-config subcommands, returning whether the configuration changed
+async function handleBotConfigCommand(interaction) {
+    if (!interaction.inGuild()) {
+        await interaction.reply({ content: '❌ This command can only be used in a server', ephemeral: true });
+        return false;
+    }
+    if (!isBotAdmin(interaction)) {
+        await interaction.reply({ content: '❌ You need the Manage Server permission or the bot admin role to configure the bot', ephemeral: true });
+        return false;
+    }
+
+    const settings = getGuildSettings(interaction.guildId);
+    const subcommand = interaction.options.getSubcommand();
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    // Threads are configured through their parent channel
+    const channelId = getSettingsChannelId(channel);
+
+    switch (subcommand) {
+        case 'enable-channel':
+            if (!settings.enabledChannels.includes(channelId)) {
+                settings.enabledChannels.push(channelId);
+            }
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ content: `✅ I will now answer in <#${channelId}>`, ephemeral: true });
+            break;
+
+        case 'disable-channel':
+            settings.enabledChannels = settings.enabledChannels.filter(id => id !== channelId);
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ content: `✅ I will no longer answer in <#${channelId}>`, ephemeral: true });
+            break;
+
+        case 'scope':
+            settings.conversationScope = interaction.options.getString('scope');
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ content: `✅ Conversation scope set to: \`${settings.conversationScope}\``, ephemeral: true });
+            break;
+
+        case 'auto-thread':
+            settings.autoThread = interaction.options.getBoolean('enabled');
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ content: `✅ Auto threads turned ${settings.autoThread ? 'on' : 'off'}`, ephemeral: true });
+            break;
+
+        case 'defaults':
+            const defaultsChannel = interaction.options.getChannel('channel');
+            const newDefaults = pickSettings({
+                model: interaction.options.getString('model'),
+                temperature: interaction.options.getNumber('temperature'),
+                max_tokens: interaction.options.getInteger('max-tokens'),
+                memory: interaction.options.getInteger('memory'),
+                systemPrompt: interaction.options.getString('system-prompt')
+            });
+            if (newDefaults.model && (await findUnknownModels([newDefaults.model])).length > 0) {
+                await interaction.reply({ content: `❌ Unknown model: \`${newDefaults.model}\``, ephemeral: true });
+                return false;
+            }
+            if (defaultsChannel) {
+                settings.channelDefaults[defaultsChannel.id] = { ...settings.channelDefaults[defaultsChannel.id], ...newDefaults };
+            } else {
+                settings.defaults = { ...settings.defaults, ...newDefaults };
+            }
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ 
+                content: defaultsChannel
+                    ? `✅ Defaults for <#${defaultsChannel.id}>: \`${formatLayerSettings(settings.channelDefaults[defaultsChannel.id])}\``
+                    : `✅ Server defaults: \`${formatLayerSettings(settings.defaults)}\``, 
+                ephemeral: true 
+            });
+            break;
+
+        case 'fallback-models':
+            const fallbackModels = parseModelList(interaction.options.getString('models'));
+            const unknownModels = await findUnknownModels(fallbackModels);
+            if (unknownModels.length > 0) {
+                await interaction.reply({ content: `❌ Unknown models: \`${unknownModels.join(', ')}\``, ephemeral: true });
+                return false;
+            }
+            settings.fallbackModels = fallbackModels;
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ content: `✅ Server fallback models set to: \`${formatModelList(fallbackModels)}\``, ephemeral: true });
+            break;
+
+        case 'budget-user':
+        case 'budget-role':
+        case 'budget-server':
+            let budgetTarget;
+            if (subcommand === 'budget-user') {
+                const user = interaction.options.getUser('user');
+                budgetTarget = { budgets: settings.budgets.users, id: user.id, label: `<@${user.id}>` };
+            } else if (subcommand === 'budget-role') {
+                const role = interaction.options.getRole('role');
+                budgetTarget = { budgets: settings.budgets.roles, id: role.id, label: `<@&${role.id}>` };
+            } else {
+                budgetTarget = { budgets: settings.budgets, id: 'guild', label: 'this server' };
+            }
+            const budget = { ...(budgetTarget.budgets[budgetTarget.id] || { daily: null, monthly: null }) };
+
+            // Options left out keep their current value, 0 removes the limit
+            for (const period of ['daily', 'monthly']) {
+                const value = interaction.options.getInteger(period);
+                if (value !== null) {
+                    budget[period] = value || null;
+                }
+            }
+
+            if (subcommand !== 'budget-server' && !budget.daily && !budget.monthly) {
+                delete budgetTarget.budgets[budgetTarget.id];
+            } else {
+                budgetTarget.budgets[budgetTarget.id] = budget;
+            }
+            saveGuildSettings(interaction.guildId);
+            await interaction.reply({ 
+                content: `✅ Token budget for ${budgetTarget.label}: \`${formatBudget(budget)}\``, 
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            break;
+
+        case 'show':
+            await interaction.reply({ content: formatGuildSettings(settings), ephemeral: true });
+            return false;
+    }
+
+    return true;
+}
+
+// Function to resolve the fallback models of a request: the user's, else the guild's,
+// else the global ones. Returns `{ models, source }`, `source` naming the layer they come from.
+function resolveFallbackModels(userId = null, guildId = null) {
+    const userChain = userId ? getUserSettings(userId).fallbackModels : null;
+    const guildChain = guildId ? getGuildSettings(guildId).fallbackModels : null;
+    const { models, source } = userChain?.length
+        ? { models: userChain, source: 'user' }
+        : guildChain?.length ? { models: guildChain, source: 'guild' } : { models: FALLBACK_MODELS, source: 'global' };
+    // Fallbacks are chosen outside the server, so they have to respect its model restrictions
+    return {
+        models: guildId ? models.filter(model => isModelAllowed(getGuildSettings(guildId), model)) : models,
+        source
+    };
+}
+
+// Function to build the fallback chain for a request: the requested model first,
+// then the fallback models
+function getModelChain(primaryModel, userId = null, guildId = null) {
+    const { models } = resolveFallbackModels(userId, guildId);
+    return [...new Set([primaryModel, ...models].filter(Boolean))];
+}
+
+// Function to check if an error is worth retrying: timeouts, network errors, 429 and 5xx
+function isRetryableError(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+// Function to fit the conversation into a model's context window next to the new prompt.
+// Returns null when the prompt alone doesn't fit.
+function buildMessages(conversation, systemPrompt, prompt, contextSize, maxTokens, images = []) {
+    const leadingMessages = [
+        { role: "system", content: systemPrompt },
+        ...(conversation?.summary ? [formatSummaryMessage(conversation.summary)] : [])
+    ];
+    // Images go along as OpenAI-style content parts
+    const userMessage = {
+        role: "user",
+        content: images.length > 0
+            ? [
+                { type: 'text', text: prompt },
+                ...images.map(image => ({ type: 'image_url', image_url: { url: image.url } }))
+            ]
+            : prompt
+    };
+    const historyBudget = contextSize - maxTokens - estimateMessagesTokens([...leadingMessages, userMessage]);
+
+    if (historyBudget < 0) {
+        return null;
+    }
+
+    const { kept: history } = splitHistoryByBudget(conversation?.messages || [], historyBudget);
+    // Stored turns carry their model and parameters, which the API doesn't need
+    return [...leadingMessages, ...history.map(({ role, content }) => ({ role, content })), userMessage];
+}
+
+// Function to get a short code for a failed request, for the error metrics:
+// the HTTP status, else the error code of the stream or the connection
+function getErrorCode(error) {
+    return String(error.response?.status ?? error.streamError?.code ?? error.code ?? 'unknown');
+}
+
+// Function to make a single completion request. The request is aborted when no
+// data arrives for REQUEST_TIMEOUT_MS, so slow but steady streams aren't cut off,
+// or when `signal` is aborted.
+async function requestCompletion(model, messages, apiConfig, onProgress, signal = null) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    let timedOut = false;
+    let timer = null;
+    const resetTimeout = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, REQUEST_TIMEOUT_MS);
+    };
+
+    const start = Date.now();
+    resetTimeout();
+    try {
+        const completion = await providers.complete(model, messages, apiConfig, {
+            stream: STREAM_RESPONSES,
+            signal: controller.signal,
+            onRequest: debugRequest,
+            onProgress: text => {
+                resetTimeout();
+                onProgress?.(text);
+            }
+        });
+        llmRequestsMetric.inc({ model, outcome: 'success' });
+        llmLatencyMetric.observe({ model }, (Date.now() - start) / 1000);
+        return completion;
+    } catch (error) {
+        const outcome = timedOut ? 'timeout' : signal?.aborted ? 'cancelled' : 'error';
+        llmRequestsMetric.inc({ model, outcome });
+        if (outcome !== 'cancelled') {
+            llmErrorsMetric.inc({ model, code: timedOut ? 'timeout' : getErrorCode(error) });
+        }
+        if (timedOut) {
+            throw new Error(`Request to model "${model}" timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    }
+}
+
+// Function to check whether prompts are redacted of personal data in a server
+function shouldRedactPII(guildId) {
+    const redactPII = guildId ? getGuildSettings(guildId).safety.redactPII : null;
+    return redactPII ?? REDACT_PII;
+}
+
+// Function to apply a server's blocked terms to an answer, and defuse mass mentions unless they're allowed
+function filterAnswerText(text, guildId) {
+    const safety = guildId ? getGuildSettings(guildId).safety : null;
+    return filterOutput(text, safety, { defuseMentions: !ALLOWED_MENTIONS.includes('everyone') });
+}
+
+// Function to count the safety actions taken on a prompt or answer, and report blocked terms
+// that were refused or flagged to the mod channel
+function recordSafetyActions(side, result, context) {
+    if (result.redacted?.length > 0) safetyMetric.inc({ side, action: 'redact' });
+    for (const action of TERM_ACTIONS) {
+        if (result[action].length > 0) safetyMetric.inc({ side, action });
+    }
+
+    const reportedTerms = [...result.refuse, ...result.flag];
+    if (reportedTerms.length > 0) {
+        reportFlaggedContent({ ...context, side, terms: reportedTerms, text: result.text, refused: result.refuse.length > 0 });
+    }
+}
+
+// Function to run a prompt through the safety filters of its server: personal data is
+// redacted if enabled, and blocked terms are masked, flagged or refused. `quoted` prompts,
+// such as the messages of a reply chain, are only redacted and masked.
+// Returns `{ text, refused }`.
+function checkPromptSafety(text, context, { quoted = false } = {}) {
+    if (typeof text !== 'string') {
+        return { text, refused: false };
+    }
 
-// Modify getAPIResponse to use user settings
-async function getAPIResponse(channelId, prompt, retryCount = 0, customParams = null, userId = null) {
-    try {
-        const history = conversationHistory.get(channelId) || [];
-        const userSettings = userId ? getUserSettings(userId) : null;
-        
-        const messages = [
-            { role: "system", content: customParams?.systemPrompt || process.env.SYSTEM_PROMPT },
-            ...history,
-            { role: "user", content: prompt }
-        ];
-
-        const apiConfig = {
-            ...API_CONFIG,
-            temperature: customParams?.temperature ?? userSettings?.temperature ?? API_CONFIG.temperature,
-            max_tokens: customParams?.max_tokens ?? userSettings?.max_tokens ?? API_CONFIG.max_tokens
-        };
+    const safety = context.guildId ? getGuildSettings(context.guildId).safety : null;
+    const result = filterInput(text, safety, { redact: shouldRedactPII(context.guildId) });
+    if (quoted) {
+        return { text: result.text, refused: false };
+    }
 
-        const modelToUse = customParams?.model || userSettings?.model || process.env.LLM_MODEL;
+    recordSafetyActions('prompt', result, context);
+    return { text: result.text, refused: result.refuse.length > 0 };
+}
 
-        console.log(`Attempting API call for channel ${channelId}. Attempt ${retryCount + 1}/${MAX_RETRY_ATTEMPTS + 1}`);
+// Function to run an answer through the safety filters of its server. Returns `{ text, refused }`.
+function checkAnswerSafety(text, context) {
+    const result = filterAnswerText(text, context.guildId);
+    recordSafetyActions('answer', result, context);
+    return { text: result.text, refused: result.refuse.length > 0 };
+}
 
-        debugRequest(API_URL, {
-            model: modelToUse,
-            messages: messages,
-            ...apiConfig
-        }, {
-            'x-api-key': API_KEY,
-            'Content-Type': 'application/json'
-        });
-        
-        const response = await axios.post(API_URL, {
-            model: modelToUse,
-            messages: messages,
-            ...apiConfig
-        }, {
-            headers: {
-                'x-api-key': API_KEY,
-                'Content-Type': 'application/json'
-            }
+// Function to report a prompt or answer with blocked terms to the server's mod channel
+async function reportFlaggedContent({ guildId, userId, channelId, side, terms, text, refused }) {
+    logger.warn('Blocked terms found', { guildId, userId, channelId, side, terms, refused, text });
+
+    const modChannelId = guildId ? getGuildSettings(guildId).safety.modChannelId : null;
+    if (!modChannelId) return;
+
+    try {
+        const channel = await client.channels.fetch(modChannelId);
+        const excerpt = text.length > 1500 ? `${text.slice(0, 1500)}…` : text;
+        await channel.send({
+            content: `🚩 ${side === 'prompt' ? `A prompt by <@${userId}>` : `An answer to <@${userId}>`} in <#${channelId}> ` +
+                `contains \`${terms.join(', ')}\`${refused ? ' and was refused' : ''}:\n>>> ${excerpt}`,
+            allowedMentions: { parse: [] }
         });
+    } catch (error) {
+        logger.error('Error reporting to mod channel', { guildId, channelId: modChannelId, error });
+    }
+}
 
-        // Detailed response logging
-        console.log('Full API Response:', JSON.stringify(response.data, null, 2));
+// Function to get a completion for a prompt, walking the model's fallback chain.
+// Each model is retried on transient errors, honoring Retry-After on 429 responses,
+// and models whose circuit is open after repeated failures are skipped.
+// `images` are sent along to vision models; `notes` are appended to the answer for the user.
+// Aborting `signal` cancels the request, and getAPIResponse throws instead of answering.
+// `mode` is 'new' for a new turn, 'regenerate' to answer the prompt of turn `turnId` again
+// in its place, or 'continue' to have the model go on with the answer of turn `turnId`.
+// `contextMessages` (e.g. from a reply chain) are used as context instead of the stored history,
+// and `promptMessageId` links the turn to the Discord message of the prompt.
+// Once answered, `onAnswer` gets the turn id, the model and whether the answer was cut off.
+// Prompts and answers go through the server's safety filters (see the safety module).
+// `personaName` answers as that persona instead of the user's active one.
+async function getAPIResponse(conversationKey, prompt, { params = {}, userId = null, guildId = null, channelId = null, personaName = null, images = [], notes = [], mode = 'new', turnId = null, contextMessages = null, promptMessageId = null, signal = null, onProgress = null, onAnswer = null } = {}) {
+    const storedConversation = conversationHistory.get(conversationKey);
+    const previousTurn = mode === 'new' ? null : findTurn(conversationKey, { turnId });
+    if (mode !== 'new' && !previousTurn?.isLatest) {
+        return 'Sorry, only the latest answer of a conversation can be regenerated or continued.';
+    }
 
-        // Check if response has a different structure
-        let botResponse;
-        
-        // Try to find the response content in different possible locations
-        if (response.data?.choices?.[0]?.message?.content) {
-            botResponse = response.data.choices[0].message.content;
-        } else if (response.data?.response) {
-            botResponse = response.data.response;
-        } else if (response.data?.message) {
-            botResponse = response.data.message;
-        } else if (typeof response.data === 'string') {
-            botResponse = response.data;
-        } else {
-            console.error('Unexpected API response structure:', response.data);
-            throw new Error('Unexpected API response structure');
+    // Prompts go through the server's safety filters before they leave the server,
+    // and are stored the way they were sent
+    const safetyContext = { guildId, userId, channelId };
+    if (mode !== 'continue') {
+        const checkedPrompt = checkPromptSafety(prompt, safetyContext);
+        if (checkedPrompt.refused) {
+            return '🚫 Your message contains a term that is not allowed in this server.';
         }
+        prompt = checkedPrompt.text;
+    }
 
-        if (botResponse) {
-            // Create settings object with actual model used from API response
-            const actualSettings = {
-                model: response.data?.model || modelToUse,
-                temperature: apiConfig.temperature,
-                max_tokens: apiConfig.max_tokens,
-                memory: userSettings?.memory || MAX_MESSAGES
-            };
+    // A regenerated answer must not see the answer it replaces
+    let conversation = storedConversation;
+    if (contextMessages) {
+        const safeMessages = contextMessages.map(message => ({
+            ...message,
+            content: checkPromptSafety(message.content, safetyContext, { quoted: true }).text
+        }));
+        conversation = { ...storedConversation, messages: safeMessages, summary: null };
+    } else if (mode === 'regenerate') {
+        conversation = { ...storedConversation, messages: storedConversation.messages.slice(0, -2) };
+    }
+    const requestPrompt = mode === 'continue' ? CONTINUE_PROMPT : prompt;
+    const { values: settings, sources, persona } = resolveRequestSettings({ userId, guildId, channelId, params, personaName });
 
-            // Remove any existing parameter legend before adding the new one
-            botResponse = botResponse.replace(/\n\n\*\[LLMule params:.*?\]\*/g, '');
-            botResponse += formatParameterLegend(actualSettings);
+    // Shared scopes are trimmed with the memory of whoever started the conversation
+    const ownerId = conversation?.ownerId || userId;
+    const memory = ownerId === userId
+        ? settings.memory
+        : resolveRequestSettings({ userId: ownerId, guildId, channelId, personaName }).values.memory;
 
-            // Update conversation history with cleaned response (without params)
-            const historyResponse = botResponse.replace(/\n\n\*\[LLMule params:.*?\]\*/g, '');
-            updateConversationHistory(channelId, prompt, historyResponse, userId);
+    const apiConfig = toRequestParameters(settings);
 
-            return botResponse;
-        } else {
-            throw new Error('Could not extract response from API');
+    // Streamed text is filtered too, answers with refused terms don't show while they stream
+    const showProgress = onProgress && (text => {
+        const filtered = filterAnswerText(text, guildId);
+        onProgress(filtered.refuse.length > 0 ? '…' : filtered.text);
+    });
+
+    const modelToUse = settings.model;
+    const systemPrompt = settings.systemPrompt;
+
+    // Matching passages of the server's knowledge base go along with the system prompt, numbered
+    // for the answer to cite. Continued answers keep to what they started from.
+    const passages = mode === 'continue' ? [] : retrieveKnowledge(guildId, prompt);
+    const requestSystemPrompt = passages.length > 0 ? buildKnowledgeSystemPrompt(systemPrompt, passages) : systemPrompt;
+    const modelChain = getModelChain(modelToUse, userId, guildId);
+
+    // How the last model in the chain failed: 'too-long', 'unavailable' or 'error'
+    let lastFailure = null;
+    let lastError = null;
+    let tooLong = null;
+
+    for (const model of modelChain) {
+        signal?.throwIfAborted();
+
+        // The requested model was checked before, fallbacks have to be able to see the images too
+        if (images.length > 0 && model !== modelToUse && !(await modelSupportsVision(model))) {
+            logger.info('Skipping fallback model without vision support', { conversationKey, model });
+            continue;
         }
 
-    } catch (error) {
-        // Enhanced error logging with request details
-        console.error('Error communicating with API:', {
-            error: error.message,
-            status: error.response?.status,
-            statusText: error.response?.statusText,
-            responseData: error.response?.data,
-            requestData: {
-                url: API_URL,
-                model: process.env.LLM_MODEL,
-                channelId,
-                retryCount,
-                configUsed: API_CONFIG
-            },
-            headers: error.response?.headers,
-            fullError: error.toString()
-        });
-        
-        // Check for specific model not available error
-        if (error.response?.data?.error?.code === 'model_not_available' || 
-            (error.response?.data?.originalError?.code === 'NO_MODELS_AVAILABLE')) {
-            return `Sorry, the language model "${process.env.LLM_MODEL}" is currently not available. This might be a temporary issue or the model might be under maintenance. Please try again later or contact support if the issue persists.`;
+        const contextSize = await getModelContextSize(model);
+        const messages = buildMessages(conversation, requestSystemPrompt, requestPrompt, contextSize, apiConfig.max_tokens, images);
+        if (!messages) {
+            tooLong = tooLong || { model, contextSize };
+            lastFailure = lastFailure || 'too-long';
+            continue;
         }
-        
-        if (retryCount < MAX_RETRY_ATTEMPTS) {
-            console.log(`Retry attempt ${retryCount + 1}/${MAX_RETRY_ATTEMPTS}`);
-            const backoffTime = 1000 * Math.pow(2, retryCount);
-            await new Promise(resolve => setTimeout(resolve, backoffTime));
-            return getAPIResponse(channelId, prompt, retryCount + 1);
+
+        // A half-open circuit lets this request through as its trial
+        const isTrial = modelCircuit.getState(model) === 'half-open';
+        if (!modelCircuit.canRequest(model)) {
+            logger.warn('Skipping model with an open circuit', {
+                conversationKey,
+                model,
+                cooldownSeconds: Math.ceil(modelCircuit.getRemainingCooldown(model) / 1000)
+            });
+            lastFailure = 'unavailable';
+            continue;
+        }
+
+        // The trial is handed back however the attempts end. Successes and failures settle the
+        // circuit, but rate limits, client errors and cancellations say nothing about the model.
+        try {
+            for (let attempt = 0; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
+                signal?.throwIfAborted();
+                try {
+                    logger.info('Requesting completion', { conversationKey, model, attempt: attempt + 1, maxAttempts: MAX_RETRY_ATTEMPTS + 1 });
+
+                    const completion = await requestCompletion(model, messages, apiConfig, showProgress, signal);
+                    modelCircuit.recordSuccess(model);
+
+                    // Fall back to estimates for providers that don't report usage
+                    recordTokenUsage(userId, guildId, completion.model || model, completion.usage || {
+                        promptTokens: estimateMessagesTokens(messages),
+                        completionTokens: estimateTokens(completion.content)
+                    });
+
+                    logger.debug('LLM response', {
+                        conversationKey,
+                        model: completion.model || model,
+                        content: completion.content,
+                        usage: completion.usage,
+                        finishReason: completion.finishReason
+                    });
+
+                    // Remove any parameter legend the model may have imitated
+                    const checkedAnswer = checkAnswerSafety(completion.content.replace(LEGEND_PATTERN, ''), safetyContext);
+                    if (checkedAnswer.refused) {
+                        return '🚫 The answer contained a term that is not allowed in this server, so it was withheld.';
+                    }
+                    const historyResponse = checkedAnswer.text;
+
+                    // Update conversation history with cleaned response (without params)
+                    // Images aren't kept in the history, only a mention of them
+                    const answerTurnId = mode === 'continue' ? turnId : crypto.randomBytes(4).toString('hex');
+                    if (mode === 'continue') {
+                        appendToLastAnswer(conversationKey, historyResponse);
+                    } else {
+                        const historyPrompt = [prompt, ...images.map(image => `🖼️ ${image.name}`)].filter(Boolean).join('\n');
+                        updateConversationHistory(conversationKey, historyPrompt, historyResponse, userId, {
+                            turnId: answerTurnId,
+                            promptMessageId: promptMessageId || previousTurn?.promptMessageId,
+                            replaceLastTurn: mode === 'regenerate',
+                            model,
+                            parameters: pickParameters(settings),
+                            contextSize,
+                            maxTokens: apiConfig.max_tokens,
+                            systemPrompt,
+                            memory
+                        });
+                    }
+                    onAnswer?.({ turnId: answerTurnId, model, truncated: isTruncated(completion.finishReason) });
+
+                    // Create settings object with actual model used from API response
+                    const actualSettings = {
+                        model: completion.model || model,
+                        temperature: apiConfig.temperature,
+                        max_tokens: apiConfig.max_tokens,
+                        memory,
+                        persona: sources.systemPrompt === 'persona' ? persona.name : null
+                    };
+
+                    let botResponse = historyResponse;
+                    const knowledgeSources = passages.length > 0 ? formatKnowledgeSources(historyResponse, passages) : null;
+                    if (knowledgeSources) {
+                        botResponse += `\n\n${knowledgeSources}`;
+                    }
+                    if (model !== modelToUse) {
+                        botResponse += `\n\n*↪️ Answered by fallback model \`${model}\` because \`${modelToUse}\` was unavailable.*`;
+                    }
+                    if (notes.length > 0) {
+                        botResponse += '\n\n' + notes.map(note => `*${note}*`).join('\n');
+                    }
+                    return botResponse + formatParameterLegend(actualSettings);
+
+                } catch (error) {
+                    // Cancelled by the user, not a failure of the model
+                    if (signal?.aborted) {
+                        throw error;
+                    }
+
+                    lastError = error;
+                    lastFailure = 'error';
+
+                    // Streamed requests hand back the error body as a stream as well
+                    const errorData = await readErrorData(error);
+                    const status = error.response?.status;
+
+                    logger.error('Error communicating with API', {
+                        conversationKey,
+                        provider: providers.getProviderName(model),
+                        model,
+                        attempt: attempt + 1,
+                        status,
+                        code: getErrorCode(error),
+                        error: error.message,
+                        providerError: getErrorMessage(errorData),
+                        parameters: apiConfig
+                    });
+
+                    // The model is gone, move on to the next one in the chain
+                    if (providers.isModelUnavailable(model, errorData)) {
+                        lastFailure = 'unavailable';
+                        modelCircuit.recordFailure(model);
+                        break;
+                    }
+
+                    // Rate limits say nothing about the model's health, so they don't trip the circuit
+                    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+                    if (status === 429) {
+                        if (attempt < MAX_RETRY_ATTEMPTS && (retryAfter ?? 0) <= MAX_RETRY_AFTER_MS) {
+                            const waitTime = retryAfter ?? 1000 * Math.pow(2, attempt);
+                            logger.warn('Rate limited, retrying', { conversationKey, model, waitMs: waitTime });
+                            await new Promise(resolve => setTimeout(resolve, waitTime));
+                            continue;
+                        }
+                        break;
+                    }
+
+                    // Client errors like bad requests or auth failures won't get better elsewhere
+                    if (!isRetryableError(error)) {
+                        return `Sorry, I encountered an error while processing your request. Error details: ${error.message}. Please try again later or contact support if the issue persists.`;
+                    }
+
+                    modelCircuit.recordFailure(model);
+                    if (attempt < MAX_RETRY_ATTEMPTS && modelCircuit.getState(model) === 'closed') {
+                        const backoffTime = Math.min(retryAfter ?? 1000 * Math.pow(2, attempt), MAX_RETRY_AFTER_MS);
+                        logger.info('Retrying after error', { conversationKey, model, retry: attempt + 1, maxRetries: MAX_RETRY_ATTEMPTS, waitMs: backoffTime });
+                        await new Promise(resolve => setTimeout(resolve, backoffTime));
+                        continue;
+                    }
+                    break;
+                }
+            }
+        } finally {
+            if (isTrial) {
+                modelCircuit.releaseTrial(model);
+            }
         }
-        
-        return `Sorry, I encountered an error while processing your request. Error details: ${error.message}. Please try again later or contact support if the issue persists.`;
     }
+
+    if (lastFailure === 'too-long') {
+        return `Sorry, your message is too long for the model "${tooLong.model}" (about ${estimateTokens(prompt)} tokens, ` +
+               `while its context window is ${tooLong.contextSize} tokens including ${apiConfig.max_tokens} reserved for the answer). ` +
+               `Please shorten it or lower max_tokens.`;
+    }
+
+    const triedFallbacks = modelChain.length > 1
+        ? ` Fallback models tried: ${modelChain.slice(1).map(model => `"${model}"`).join(', ')}.`
+        : '';
+
+    if (lastFailure === 'unavailable') {
+        return `Sorry, the language model "${modelToUse}" is currently not available.${triedFallbacks} This might be a temporary issue or the model might be under maintenance. Please try again later or contact support if the issue persists.`;
+    }
+
+    return `Sorry, I encountered an error while processing your request. Error details: ${lastError?.message}.${triedFallbacks} Please try again later or contact support if the issue persists.`;
 }
 
-// Function to fetch available models
+// Function to fetch the available models of every provider
 async function fetchAvailableModels() {
     try {
-        const response = await axios.get(`${API_URL.replace('/chat/completions', '/models')}`, {
-            headers: {
-                'x-api-key': API_KEY,
-                'Content-Type': 'application/json'
-            }
-        });
-        return response.data.data;
+        return await providers.listModels();
     } catch (error) {
-        console.error('Error fetching models:', error);
+        logger.error('Error fetching models', { error });
         throw error;
     }
 }
@@ -601,10 +3711,7 @@ async function fetchAvailableModels() {
 // Function to format models into a Discord table
 function formatModelsTable(models) {
     // Sort models by tier
-    const sortedModels = models.sort((a, b) => {
-        const tierOrder = { small: 1, medium: 2, large: 3 };
-        return (tierOrder[b.tier] || 0) - (tierOrder[a.tier] || 0);
-    });
+    const sortedModels = models.sort((a, b) => (MODEL_TIER_ORDER[b.tier] || 0) - (MODEL_TIER_ORDER[a.tier] || 0));
 
     // Create header
     let output = '**Available Models**\n\n';
@@ -628,7 +3735,12 @@ const MODEL_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 async function getAvailableModels() {
     const now = Date.now();
     if (!availableModelsCache || now - lastModelsFetch > MODEL_CACHE_TTL) {
-        availableModelsCache = await fetchAvailableModels();
+        try {
+            availableModelsCache = await fetchAvailableModels();
+        } catch (error) {
+            // Keep using the last list until the providers answer again
+            if (!availableModelsCache) throw error;
+        }
         lastModelsFetch = now;
     }
     return availableModelsCache;
@@ -636,94 +3748,721 @@ async function getAvailableModels() {
 
 // Load settings when bot starts
 client.once(Events.ClientReady, async client => {
-    console.log('Bot started as:', client.user.tag);
+    logger.info('Bot started', { user: client.user.tag });
     loadUserSettings(); // Load existing settings
+    loadGuildSettings();
+    loadConversationHistory();
+    scheduler.start();
     await registerCommands();
 });
 
-// Update the message handler to use user rate limiting
-client.on(Events.MessageCreate, async interaction => {
-    if (!interaction.mentions.has(client.user.id) || 
-        interaction.author.bot || 
-        interaction.channel.id !== CHANNEL_ID) return;
+// Function to move long answers and large code blocks of a response into attachments
+function prepareReply(response) {
+    if (!ATTACH_LONG_RESPONSES) {
+        return { text: response, files: [] };
+    }
 
-    const channelId = interaction.channel.id;
-    const userId = interaction.author.id;
-    let content = interaction.content
-        .replace(`<@${client.user.id}>`, '')
-        .trim();
+    // Keep the parameter legend in the message rather than in the attachment
+    const legend = response.match(LEGEND_PATTERN)?.[0] || '';
+    const { text, files } = extractAttachments(response.replace(LEGEND_PATTERN, ''), {
+        maxLength: ATTACHMENT_MIN_LENGTH,
+        maxCodeLength: CODE_ATTACHMENT_MIN_LENGTH
+    });
 
-    if (!content) return;
+    return {
+        text: text + legend,
+        files: files.map(file => new AttachmentBuilder(Buffer.from(file.content, 'utf8'), { name: file.name }))
+    };
+}
 
-    if (PROCESSING.has(userId)) {
-        await interaction.reply("Please wait! I'm still processing your previous request 😅");
-        return;
+// Function to create a streamer that mirrors a growing response into Discord messages.
+// Edits are throttled to one per STREAM_EDIT_INTERVAL_MS, and text past the message limit
+// rolls over into follow-up messages. Pass a channel to answer somewhere other than the
+// message's own channel (e.g. a freshly created thread), or without a message to post there.
+function createResponseStreamer(message, channel = message.channel) {
+    const sent = [];
+    let latestText = '';
+    let timer = null;
+    let lastRender = 0;
+    let rendering = Promise.resolve();
+
+    async function render(text, files = [], components = []) {
+        const chunks = splitMessage(text, DISCORD_MESSAGE_LIMIT);
+
+        for (let i = 0; i < chunks.length; i++) {
+            // Attachments and buttons go with the last message
+            const withExtras = i === chunks.length - 1 && (files.length > 0 || components.length > 0);
+            const payload = withExtras ? { content: chunks[i], files, components } : chunks[i];
+
+            if (!sent[i]) {
+                const reply = i === 0 && message && channel === message.channel
+                    ? await message.reply(payload)
+                    : await channel.send(payload);
+                sent[i] = { message: reply, content: chunks[i] };
+            } else if (sent[i].content !== chunks[i] || withExtras) {
+                await sent[i].message.edit(payload);
+                sent[i].content = chunks[i];
+            }
+        }
+
+        // The streaming cursor can spill into a message the final text doesn't need
+        while (sent.length > chunks.length) {
+            const extra = sent.pop();
+            await extra.message.delete().catch(() => {});
+        }
+    }
+
+    function scheduleRender() {
+        timer = null;
+        lastRender = Date.now();
+        const text = latestText + STREAM_CURSOR;
+        rendering = rendering
+            .then(() => render(text))
+            .catch(error => logger.error('Error updating streamed reply', { error }));
+    }
+
+    return {
+        // Show a status line, such as the queue position, until the answer starts streaming
+        status(text) {
+            if (latestText) return;
+            rendering = rendering
+                .then(() => latestText ? null : render(text))
+                .catch(error => logger.error('Error updating reply status', { error }));
+        },
+
+        update(text) {
+            latestText = text;
+            if (timer) return;
+            const wait = Math.max(0, STREAM_EDIT_INTERVAL_MS - (Date.now() - lastRender));
+            timer = setTimeout(scheduleRender, wait);
+        },
+
+        // Ids of the messages the response was sent in
+        getMessageIds() {
+            return sent.map(entry => entry.message.id);
+        },
+
+        // Show the final text, with `components` (e.g. the reply buttons) under it
+        async finish(text, components = []) {
+            clearTimeout(timer);
+            timer = null;
+            await rendering;
+            const reply = prepareReply(text);
+            await render(reply.text, reply.files, components);
+        }
+    };
+}
+
+// Function to check if the bot should answer in a channel (or a thread under it)
+function isBotChannel(channel) {
+    if (channel.isDMBased?.()) {
+        return ALLOW_DMS;
+    }
+
+    const channelId = channel.isThread?.() ? channel.parentId : channel.id;
+    if (CHANNEL_ID && channelId === CHANNEL_ID) {
+        return true;
+    }
+    return Boolean(channel.guildId) && getGuildSettings(channel.guildId).enabledChannels.includes(channelId);
+}
+
+// Function to open a thread for a new conversation, falling back to the channel itself
+async function startConversationThread(message, content) {
+    if (!message.guild || message.channel.isThread?.() || !getGuildSettings(message.guildId).autoThread) {
+        return message.channel;
+    }
+
+    try {
+        const topic = content || 'New conversation';
+        const name = topic.length > THREAD_NAME_LENGTH
+            ? `${topic.slice(0, THREAD_NAME_LENGTH - 1)}…`
+            : topic;
+        return await message.startThread({ name, autoArchiveDuration: 60 });
+    } catch (error) {
+        logger.error('Error creating conversation thread', { channelId: message.channel.id, error });
+        return message.channel;
+    }
+}
+
+// Function to read the files attached to a message: text documents are added to the
+// prompt, images are downloaded for vision models. Everything skipped or cut short
+// is listed in `notes` so the user knows what the model didn't see.
+async function readMessageAttachments(content, documents, images, unsupported) {
+    const notes = unsupported.map(attachment => `📎 Skipped \`${attachment.name}\`, only text files and images can be read`);
+
+    const readDocuments = [];
+    for (const attachment of documents) {
+        try {
+            const document = await readTextAttachment(attachment, { maxBytes: INPUT_FILE_MAX_BYTES, maxChars: INPUT_FILE_MAX_CHARS });
+            readDocuments.push(document);
+            if (document.notice) notes.push(`📎 Note: ${document.notice}`);
+        } catch (error) {
+            logger.error('Error reading attachment', { file: attachment.name, error: error.message });
+            notes.push(`📎 Couldn't read \`${attachment.name}\``);
+        }
     }
 
-    const rateLimitStatus = isUserRateLimited(userId);
+    const imageInputs = [];
+    for (const attachment of images.slice(0, MAX_INPUT_IMAGES)) {
+        try {
+            const image = await readImageAttachment(attachment, { maxBytes: INPUT_IMAGE_MAX_BYTES });
+            if (image.url) {
+                imageInputs.push(image);
+            } else {
+                notes.push(`🖼️ Note: ${image.notice}`);
+            }
+        } catch (error) {
+            logger.error('Error reading image', { file: attachment.name, error: error.message });
+            notes.push(`🖼️ Couldn't read \`${attachment.name}\``);
+        }
+    }
+    if (images.length > MAX_INPUT_IMAGES) {
+        notes.push(`🖼️ Only the first ${MAX_INPUT_IMAGES} images were sent`);
+    }
+
+    return { prompt: buildPromptWithDocuments(content, readDocuments), imageInputs, notes };
+}
+
+// Function to check if a user may send a request now: they aren't blocked, and are
+// within their rate limit and token budget. Returns `{ allowed, message }`.
+function checkRequestAllowed(userId, guildId, member) {
+    const roleIds = getMemberRoleIds(member);
+    const guildSettings = guildId ? getGuildSettings(guildId) : null;
+    if (guildSettings) {
+        const accessStatus = checkAccess(guildSettings, userId, roleIds);
+        if (!accessStatus.allowed) {
+            rejectionsMetric.inc({ reason: 'access' });
+            return accessStatus;
+        }
+    }
+
+    const rateLimit = guildSettings ? resolveRateLimit(guildSettings, roleIds, USER_RATE_LIMIT) : USER_RATE_LIMIT;
+    const rateLimitStatus = isUserRateLimited(userId, rateLimit);
     if (rateLimitStatus.limited) {
-        await interaction.reply(`Please slow down! Try again in ${rateLimitStatus.timeUntilNext} seconds.`);
+        rejectionsMetric.inc({ reason: 'rate_limit' });
+        return { allowed: false, message: `Please slow down! Try again in ${rateLimitStatus.timeUntilNext} seconds.` };
+    }
+
+    const budgetStatus = checkTokenBudget(userId, guildId, roleIds);
+    if (!budgetStatus.allowed) {
+        rejectionsMetric.inc({ reason: 'budget' });
+    }
+    return budgetStatus;
+}
+
+// Function to count requests towards the user's rate limit
+function recordUserRequest(userId, count = 1) {
+    const queue = USER_MESSAGE_QUEUE.get(userId) || { messages: [], lastProcess: 0 };
+    queue.messages.push(...Array(count).fill(Date.now()));
+    queue.lastProcess = Date.now();
+    USER_MESSAGE_QUEUE.set(userId, queue);
+}
+
+// Function to build the buttons under an answer. Custom ids carry the id of the user who
+// asked, since the conversation key depends on it, and the turn id of the answer.
+function buildReplyButtons(userId, { turnId, truncated }) {
+    const button = (action, emoji, label, style = ButtonStyle.Secondary) => new ButtonBuilder()
+        .setCustomId(`reply-${action}:${userId}:${turnId}`)
+        .setEmoji(emoji)
+        .setStyle(style)
+        .setLabel(label);
+
+    const buttons = [
+        button('regenerate', '🔄', 'Regenerate'),
+        button('switch-model', '🔀', 'Other model')
+    ];
+    if (truncated) {
+        buttons.push(button('continue', '⏩', 'Continue', ButtonStyle.Primary));
+    }
+    buttons.push(
+        new ButtonBuilder().setCustomId(`reply-feedback:${userId}:${turnId}:up`).setEmoji('👍').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`reply-feedback:${userId}:${turnId}:down`).setEmoji('👎').setStyle(ButtonStyle.Secondary)
+    );
+    return [new ActionRowBuilder().addComponents(buttons)];
+}
+
+// Function to get the models a member may pick from for a regenerated answer, at most 25
+async function getSelectableModels(interaction) {
+    const models = (await getAvailableModels()).map(model => model.id);
+    const guildSettings = interaction.guildId ? getGuildSettings(interaction.guildId) : null;
+    const allowed = guildSettings && !isBotAdmin(interaction)
+        ? models.filter(model => isModelAllowed(guildSettings, model))
+        : models;
+    return allowed.slice(0, 25);
+}
+
+// Handle 👍/👎 under an answer: stores the rating with the prompt, model and parameters
+async function handleFeedbackButton(interaction, ownerId, turnId, rating) {
+    const conversationKey = getConversationKey(interaction.channel, ownerId);
+    const turn = findTurn(conversationKey, { turnId });
+    if (!turn) {
+        await interaction.reply({ content: '❌ This answer is no longer in the conversation history', ephemeral: true });
+        return;
+    }
+
+    feedbackTracker.record({
+        turnId,
+        userId: interaction.user.id,
+        rating,
+        prompt: turn.prompt,
+        response: turn.answer.content,
+        model: turn.answer.model,
+        parameters: pickParameters(turn.answer),
+        guildId: interaction.guildId,
+        channelId: interaction.channelId
+    });
+    await interaction.reply({ content: `${rating === 'up' ? '👍' : '👎'} Thanks for the feedback!`, ephemeral: true });
+}
+
+// Handle the Regenerate, Other model and Continue buttons, the model picked for a
+// regenerated answer, and the offer to answer an edited prompt again. Only the user
+// who asked can use them, on the latest answer.
+async function handleReplyAction(interaction, action, ownerId, turnId, replyMessageId = null) {
+    if (interaction.user.id !== ownerId) {
+        await interaction.reply({ content: `❌ Only <@${ownerId}> can do this with their answer`, ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+    }
+
+    // The offer replies to the edited prompt, whose conversation may live in a thread
+    const promptMessage = action === 'edited' ? await interaction.message.fetchReference().catch(() => null) : null;
+    const conversationKey = action === 'edited'
+        ? promptMessage && promptIndex.get(promptMessage.id)
+        : getConversationKey(interaction.channel, ownerId);
+    const turn = conversationKey ? findTurn(conversationKey, { turnId }) : null;
+    if (!turn?.isLatest) {
+        await interaction.reply({ content: '❌ Only the latest answer of a conversation can be regenerated or continued', ephemeral: true });
+        return;
+    }
+
+    // Let the user pick the model first; the menu carries the id of the answer's message
+    if (action === 'switch-model') {
+        const models = await getSelectableModels(interaction);
+        if (models.length === 0) {
+            await interaction.reply({ content: '❌ No models are available right now', ephemeral: true });
+            return;
+        }
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(`reply-model:${ownerId}:${turnId}:${interaction.message.id}`)
+            .setPlaceholder('Regenerate with...')
+            .addOptions(models.map(model => ({ label: model.slice(0, 100), value: model, default: model === turn.answer.model })));
+        await interaction.reply({ components: [new ActionRowBuilder().addComponents(menu)], ephemeral: true });
+        return;
+    }
+
+    const requestStatus = checkRequestAllowed(ownerId, interaction.guildId, interaction.member);
+    if (!requestStatus.allowed) {
+        await interaction.reply({ content: requestStatus.message, ephemeral: true });
+        return;
+    }
+
+    // The answer is replayed with the model and parameters it was generated with.
+    // An edited prompt is read again, with its tags applied on top.
+    const params = { ...pickParameters(turn.answer), model: action === 'model' ? interaction.values[0] : turn.answer.model };
+    const edited = action === 'edited' ? parseParameters(stripBotMention(promptMessage.content)) : null;
+    if (edited?.errors.length > 0) {
+        await interaction.reply({ content: `❌ Invalid parameters:\n${edited.errors.map(error => `• ${error}`).join('\n')}`, ephemeral: true });
+        return;
+    }
+    Object.assign(params, edited?.params);
+
+    const guildSettings = interaction.guildId ? getGuildSettings(interaction.guildId) : null;
+    if (guildSettings && !isModelAllowed(guildSettings, params.model) && !isBotAdmin(interaction)) {
+        await interaction.reply({ content: `🚫 \`${params.model}\` is not available in this server`, ephemeral: true });
+        return;
+    }
+
+    // Attached files and the reply chain of an edited prompt are read again too
+    let prompt = turn.prompt;
+    let images = [];
+    let notes = [];
+    let replyChain = null;
+    if (edited) {
+        await interaction.update({ content: '✏️ Answering your edited message...', components: [] });
+        editOffers.delete(promptMessage.id);
+
+        const attachments = classifyAttachments([...promptMessage.attachments.values()]);
+        const hasVision = attachments.images.length > 0 && await modelSupportsVision(params.model);
+        ({ prompt, imageInputs: images, notes } = await readMessageAttachments(edited.content, attachments.documents,
+            hasVision ? attachments.images : [], attachments.unsupported));
+        if (attachments.images.length > 0 && !hasVision) {
+            notes.push(`🖼️ Images were not sent, \`${params.model}\` can't see them`);
+        }
+        if (!prompt && images.length === 0) {
+            await interaction.followUp({ content: '❌ There is nothing I can read in the edited message', ephemeral: true });
+            return;
+        }
+
+        replyChain = await getReplyChainContext(promptMessage, conversationKey);
+        prompt = quoteRepliedMessage(prompt, replyChain?.quoted);
+    }
+
+    let replyMessage = interaction.message;
+    if (edited) {
+        replyMessage = promptMessage;
+    } else if (action === 'model') {
+        await interaction.update({ content: `🔀 Regenerating with \`${params.model}\`...`, components: [] });
+        replyMessage = await interaction.channel.messages.fetch(replyMessageId);
+    } else {
+        await interaction.deferUpdate();
+    }
+
+    const mode = action === 'continue' ? 'continue' : 'regenerate';
+    const streamer = createResponseStreamer(replyMessage);
+    let answer = null;
+    let job;
+    try {
+        job = requestQueue.enqueue(ownerId, signal => getAPIResponse(conversationKey, prompt, {
+            params,
+            userId: ownerId,
+            guildId: interaction.guildId,
+            channelId: getSettingsChannelId(replyMessage.channel),
+            images,
+            notes,
+            mode,
+            turnId,
+            contextMessages: replyChain?.messages || null,
+            signal,
+            onProgress: text => streamer.update(text),
+            onAnswer: result => answer = result
+        }), {
+            onPosition: position => streamer.status(`⏳ You're #${position} in the queue. Use \`/cancel\` to cancel.`)
+        });
+    } catch (error) {
+        if (error.code !== 'QUEUE_FULL') throw error;
+        rejectionsMetric.inc({ reason: 'queue_full' });
+        await interaction.followUp({ content: `⏳ ${error.message}. Please wait for them to finish, or use \`/cancel\`.`, ephemeral: true });
         return;
     }
+    recordUserRequest(ownerId);
+
+    // The old answer's buttons no longer apply, now that the new one is on its way
+    if (!edited) {
+        await replyMessage.edit({ components: [] }).catch(() => {});
+    }
 
     try {
-        PROCESSING.add(userId);
-        await interaction.channel.sendTyping();
+        const response = await job.promise;
+        await streamer.finish(response, answer ? buildReplyButtons(ownerId, answer) : []);
+        if (answer) {
+            recordAnswerMessages(conversationKey, answer.turnId, streamer.getMessageIds());
+        }
+    } catch (error) {
+        if (!job.controller.signal.aborted) throw error;
+        logger.info('Request cancelled', { jobId: job.id, userId: ownerId });
+        await streamer.finish('🛑 Request cancelled.');
+    }
+}
+
+// Function to remove the bot's mentions from a message
+function stripBotMention(content) {
+    return (content || '')
+        .replace(new RegExp(`<@!?${client.user.id}>`, 'g'), '')
+        .trim();
+}
+
+// Function to read the chain of messages a message replies to, up to REPLY_CHAIN_DEPTH,
+// as conversation turns. Returns null for messages that aren't replies, and for replies
+// to the latest answer, whose conversation history is the better context.
+async function getReplyChainContext(message, conversationKey) {
+    if (!message.reference?.messageId || REPLY_CHAIN_DEPTH === 0) return null;
+
+    const history = conversationHistory.get(conversationKey);
+    const latestAnswer = history?.messages[history.messages.length - 1];
+    if (latestAnswer?.messageIds?.includes(message.reference.messageId)) return null;
+
+    const chain = [];
+    let current = message;
+    while (current.reference?.messageId && chain.length < REPLY_CHAIN_DEPTH) {
+        try {
+            current = await current.fetchReference();
+        } catch (error) {
+            // Deleted or inaccessible messages end the chain
+            break;
+        }
+        chain.unshift(current);
+    }
+
+    // Other people's messages are prefixed with their name so the model can tell who said what
+    return buildReplyChainTurns(chain.map(referenced => {
+        if (referenced.author.id === client.user.id) {
+            return { role: 'assistant', content: referenced.content.replace(LEGEND_PATTERN, '') };
+        }
+        const content = stripBotMention(referenced.content);
+        return {
+            role: 'user',
+            content: referenced.author.id === message.author.id || !content
+                ? content
+                : `${referenced.member?.displayName || referenced.author.username}: ${content}`
+        };
+    }));
+}
+
+// Function to put the message a prompt replies to in front of it as a quote
+function quoteRepliedMessage(prompt, quoted) {
+    if (!quoted) return prompt;
+    return `${quoted.split('\n').map(line => `> ${line}`).join('\n')}\n\n${prompt}`;
+}
+
+// Update the message handler to use user rate limiting
+client.on(Events.MessageCreate, async interaction => {
+    // In DMs every message is for the bot, elsewhere it has to be mentioned
+    const isDM = interaction.channel.isDMBased();
+    if (interaction.author.bot || 
+        (!isDM && !interaction.mentions.has(client.user.id)) || 
+        !isBotChannel(interaction.channel)) return;
+
+    const userId = interaction.author.id;
+    let content = stripBotMention(interaction.content);
 
-        // Update user's message queue
-        const queue = USER_MESSAGE_QUEUE.get(userId) || { messages: [], lastProcess: 0 };
-        queue.messages.push(Date.now());
-        queue.lastProcess = Date.now();
-        USER_MESSAGE_QUEUE.set(userId, queue);
+    const attachments = [...interaction.attachments.values()];
+    if ((!content && attachments.length === 0) || content === '!clear-history') return;
+
+    const requestStatus = checkRequestAllowed(userId, interaction.guildId, interaction.member);
+    if (!requestStatus.allowed) {
+        await interaction.reply(requestStatus.message);
+        return;
+    }
+
+    const guildSettings = interaction.guildId ? getGuildSettings(interaction.guildId) : null;
+    let streamer = null;
+    try {
+        await interaction.channel.sendTyping();
 
         // Parse parameters from the message
-        const { content: cleanContent, params } = parseParameters(content);
+        const { content: cleanContent, params, errors } = parseParameters(content);
+        if (errors.length > 0) {
+            await interaction.reply(`❌ Invalid parameters:\n${errors.map(error => `• ${error}`).join('\n')}`);
+            return;
+        }
         
         // Log the parameters being used
-        console.log('Using parameters:', params);
+        logger.debug('Using parameters', { userId, params });
+
+        const channelId = getSettingsChannelId(interaction.channel);
+        const requestedModel = resolveRequestSettings({ userId, guildId: interaction.guildId, channelId, params }).values.model;
+        if (guildSettings && !isModelAllowed(guildSettings, requestedModel) && !isBotAdmin(interaction)) {
+            await interaction.reply(`🚫 \`${requestedModel}\` is not available in this server. Allowed models: \`${formatModelList(guildSettings.allowedModels)}\``);
+            return;
+        }
+
+        const { documents, images, unsupported } = classifyAttachments(attachments);
+        if (images.length > 0 && !(await modelSupportsVision(requestedModel))) {
+            const visionModels = await getVisionModels();
+            await interaction.reply(`🖼️ \`${requestedModel}\` can't see images. ` +
+                (visionModels.length > 0
+                    ? `Switch to a model with vision support, e.g. \`[model:${visionModels[0]}]\`. Available: \`${visionModels.join(', ')}\``
+                    : 'None of the available models support images right now.'));
+            return;
+        }
+
+        // Rejected messages don't count towards the rate limit
+        recordUserRequest(userId);
+        messagesMetric.inc();
+
+        const { prompt, imageInputs, notes } = await readMessageAttachments(cleanContent, documents, images, unsupported);
+        if (!prompt && imageInputs.length === 0) {
+            await interaction.reply(notes.join('\n') || '❌ There is nothing I can read in this message');
+            return;
+        }
+
+        // Resolve where the conversation lives, opening a thread for new ones if enabled
+        const channel = await startConversationThread(interaction, cleanContent);
+        const conversationKey = getConversationKey(channel, userId);
+
+        // A reply to anything but the latest answer takes its context from the reply chain.
+        // When it replies to someone else's message, that message is quoted in the prompt.
+        const replyChain = await getReplyChainContext(interaction, conversationKey);
+        const requestPrompt = quoteRepliedMessage(prompt, replyChain?.quoted);
 
-        const response = await getAPIResponse(channelId, cleanContent, 0, params, userId);
+        // Progressively edit the reply while the completion streams in
+        streamer = createResponseStreamer(interaction, channel);
+        let answer = null;
+        const job = requestQueue.enqueue(userId, signal => getAPIResponse(conversationKey, requestPrompt, {
+            params,
+            userId,
+            guildId: interaction.guildId,
+            channelId,
+            images: imageInputs,
+            notes,
+            contextMessages: replyChain?.messages || null,
+            promptMessageId: interaction.id,
+            signal,
+            onProgress: text => streamer.update(text),
+            onAnswer: result => answer = result
+        }), {
+            // Only shown while waiting, the answer replaces it
+            onPosition: position => streamer.status(`⏳ You're #${position} in the queue. Use \`/cancel\` to cancel.`)
+        });
 
-        if (response.length > 2000) {
-            const chunks = response.match(/.{1,2000}/g);
-            for (const chunk of chunks) {
-                await interaction.reply(chunk);
+        try {
+            const response = await job.promise;
+            await streamer.finish(response, answer ? buildReplyButtons(userId, answer) : []);
+            if (answer) {
+                recordAnswerMessages(conversationKey, answer.turnId, streamer.getMessageIds());
             }
-        } else {
-            await interaction.reply(response);
+        } catch (error) {
+            if (!job.controller.signal.aborted) throw error;
+            logger.info('Request cancelled', { jobId: job.id, userId });
+            await streamer.finish('🛑 Request cancelled.');
         }
 
     } catch (error) {
-        console.error('Error processing message:', error);
+        if (error.code === 'QUEUE_FULL') {
+            rejectionsMetric.inc({ reason: 'queue_full' });
+            await interaction.reply(`⏳ ${error.message}. Please wait for them to finish, or use \`/cancel\`.`);
+            return;
+        }
+        logger.error('Error processing message', { userId, channelId: interaction.channel.id, error });
         await interaction.reply('Sorry, an error occurred while processing your message.');
-    } finally {
-        PROCESSING.delete(userId);
     }
 });
 
+// Offer a new answer when the prompt of a conversation's latest answer is edited
+client.on(Events.MessageUpdate, async (oldMessage, newMessage) => {
+    const conversationKey = promptIndex.get(newMessage.id);
+    if (!conversationKey || editOffers.has(newMessage.id)) return;
+
+    try {
+        const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+        // Discord also sends updates when link embeds load
+        if (!oldMessage.partial && oldMessage.content === message.content) return;
+
+        const turn = findTurn(conversationKey, { promptMessageId: message.id });
+        if (!turn?.isLatest) return;
+
+        editOffers.add(message.id);
+        await message.reply({
+            content: '✏️ You edited your message. Want a new answer to it?',
+            components: [new ActionRowBuilder().addComponents(new ButtonBuilder()
+                .setCustomId(`reply-edited:${message.author.id}:${turn.answer.id}`)
+                .setEmoji('🔄')
+                .setLabel('Answer again')
+                .setStyle(ButtonStyle.Primary))],
+            allowedMentions: { repliedUser: false }
+        });
+    } catch (error) {
+        logger.error('Error handling edited message', { messageId: newMessage.id, error });
+    }
+});
+
+// Function to forget the turn of a deleted prompt
+function forgetDeletedPrompt(messageId) {
+    const conversationKey = promptIndex.get(messageId);
+    if (!conversationKey) return;
+
+    promptIndex.delete(messageId);
+    editOffers.delete(messageId);
+    if (removePromptTurn(conversationKey, messageId)) {
+        logger.info('Removed the turn of a deleted message', { messageId, conversationKey });
+    }
+}
+
+// Remove the turns of deleted prompts from the stored history
+client.on(Events.MessageDelete, message => forgetDeletedPrompt(message.id));
+client.on(Events.MessageBulkDelete, messages => messages.forEach(message => forgetDeletedPrompt(message.id)));
+
 // Error handling
 client.on(Events.Error, error => {
-    console.error('Client error:', error);
+    logger.error('Client error', { error });
 });
 
 // Command to clear conversation history
 client.on(Events.MessageCreate, async interaction => {
     if (interaction.content === '!clear-history') {
-        conversationHistory.delete(interaction.channel.id);
+        clearConversationHistory(getConversationKey(interaction.channel, interaction.author.id));
         await interaction.reply('Conversation history cleared! 🧹');
     }
 });
 
-// Add a function to refresh commands periodically
-async function refreshCommands() {
+// Register commands in servers the bot joins, when they're registered per server
+client.on(Events.GuildCreate, async guild => {
+    if (COMMAND_REGISTRATION !== 'guild') return;
+    try {
+        await commandRegistrar.registerGuild(client.user.id, guild.id, commands.map(command => command.toJSON()));
+    } catch (error) {
+        logger.error('Error registering commands for guild', { guildId: guild.id, guild: guild.name, error });
+    }
+});
+
+// Write pending changes to storage before exiting
+function shutdown(signal) {
+    logger.info('Shutting down', { signal });
     try {
-        await registerCommands();
+        storage.close();
     } catch (error) {
-        console.error('Error refreshing commands:', error);
+        logger.error('Error closing storage', { error });
+    }
+    client.destroy();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Function to run the bot in the terminal, as a simulated user in a simulated channel.
+// Typed messages and slash commands go through the same handlers as Discord events.
+async function startTerminal() {
+    // The conversation goes to stdout, the logger writes to stderr so it can be redirected with 2>bot.log
+    loadUserSettings();
+    loadGuildSettings();
+    loadConversationHistory();
+
+    const session = createTerminalSession({
+        client,
+        commands: commands.map(command => command.toJSON()),
+        username: process.env.TERMINAL_USER || os.userInfo().username,
+        channelId: CHANNEL_ID,
+        dm: process.argv.includes('--dm'),
+        streamCursor: STREAM_CURSOR,
+        logger
+    });
+    client.user = session.bot;
+    scheduler.start();
+
+    await session.start();
+    shutdown('end of input');
+}
+
+// Last check of the LLM providers, reused for HEALTH_CHECK_CACHE_MS
+let providerHealth = null;
+
+// Function to check the Discord gateway and the LLM providers for /healthz. The bot is
+// healthy when it's connected and at least one provider answers; 'degraded' means some don't.
+async function checkHealth() {
+    if (!providerHealth || Date.now() - providerHealth.checkedAt > HEALTH_CHECK_CACHE_MS) {
+        providerHealth = { checkedAt: Date.now(), providers: await providers.checkHealth() };
     }
+
+    const discord = TERMINAL_MODE
+        ? { status: 'terminal', ready: true }
+        : { status: (Status[client.ws.status] || 'unknown').toLowerCase(), ready: client.isReady(), pingMs: client.ws.ping };
+    const upProviders = providerHealth.providers.filter(provider => provider.status === 'up');
+    const healthy = discord.ready && upProviders.length > 0;
+
+    return {
+        status: !healthy ? 'down' : upProviders.length < providerHealth.providers.length ? 'degraded' : 'ok',
+        healthy,
+        uptimeSeconds: Math.round(process.uptime()),
+        discord,
+        llm: {
+            checkedAt: new Date(providerHealth.checkedAt).toISOString(),
+            providers: providerHealth.providers
+        },
+        queue: requestQueue.getStats()
+    };
 }
 
-// Set up periodic refresh of commands to update model list
-setInterval(refreshCommands, MODEL_CACHE_TTL);
+if (MONITORING_PORT) {
+    createMonitoringServer({ registry: metrics, checkHealth, logger })
+        .on('error', error => logger.error('Error starting the monitoring server', { port: MONITORING_PORT, error }))
+        .listen(MONITORING_PORT, () => logger.info('Monitoring server listening', { port: MONITORING_PORT }));
+}
 
-client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file
+if (TERMINAL_MODE) {
+    startTerminal().catch(error => {
+        logger.error('Error running the terminal session', { error });
+        process.exit(1);
+    });
+} else {
+    client.login(process.env.DISCORD_TOKEN);
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+const {
+    PARAMETER_SCHEMA,
+    PARAMETER_KEYS,
+    parseParameterValue,
+    formatParameterValue,
+    pickParameters,
+    toRequestParameters
+} = require('./parameters');
+
+// Settings that are resolved across layers
+const SETTING_KEYS = ['model', 'systemPrompt', ...PARAMETER_KEYS, 'memory'];
+
+// Settings layers, from the most to the least specific
+const LAYERS = ['message', 'persona', 'user', 'channel', 'guild', 'global'];
+
+// How each layer is named when showing where a value came from
+const LAYER_LABELS = {
+    message: 'message tag',
+    persona: 'persona',
+    user: 'your settings',
+    channel: 'channel default',
+    guild: 'server default',
+    global: 'global default'
+};
+
+// Function to check if a layer sets a value
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// Function to pick the resolvable settings a layer actually sets
+function pickSettings(values = {}) {
+    const picked = {};
+    SETTING_KEYS.forEach(key => {
+        if (isSet(values?.[key])) {
+            picked[key] = values[key];
+        }
+    });
+    return picked;
+}
+
+// Function to resolve settings across layers. For every setting the most specific
+// layer that sets it wins; `sources` records which layer that was.
+//   layers: { message, persona, user, channel, guild, global }, each optional
+function resolveSettings(layers) {
+    const values = {};
+    const sources = {};
+
+    SETTING_KEYS.forEach(key => {
+        const layer = LAYERS.find(name => isSet(layers[name]?.[key]));
+        if (layer) {
+            values[key] = layers[layer][key];
+            sources[key] = layer;
+        }
+    });
+
+    return { values, sources };
+}
+
+module.exports = {
+    PARAMETER_SCHEMA,
+    PARAMETER_KEYS,
+    parseParameterValue,
+    formatParameterValue,
+    pickParameters,
+    toRequestParameters,
+    SETTING_KEYS,
+    LAYERS,
+    LAYER_LABELS,
+    pickSettings,
+    resolveSettings
+};
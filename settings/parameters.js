@@ -0,0 +1,103 @@
+// Schema of the OpenAI-compatible sampling parameters. It validates values from
+// /set-parameter and from inline `[key:value]` tags alike.
+const PARAMETER_SCHEMA = {
+    temperature: { type: 'number', min: 0, max: 2, description: 'Randomness, 0 to 2' },
+    max_tokens: { type: 'integer', min: 1, max: 4000, description: 'Maximum length of the answer in tokens, 1 to 4000' },
+    top_p: { type: 'number', min: 0, max: 1, description: 'Nucleus sampling, 0 to 1' },
+    frequency_penalty: { type: 'number', min: -2, max: 2, description: 'Penalty for repeated tokens, -2 to 2' },
+    presence_penalty: { type: 'number', min: -2, max: 2, description: 'Penalty for tokens already present, -2 to 2' },
+    seed: { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER, description: 'Seed for reproducible sampling' },
+    stop: { type: 'stop', maxItems: 4, description: 'Up to 4 stop sequences, separated by |' },
+    response_format: { type: 'enum', values: ['text', 'json_object'], description: '`json_object` for JSON mode, or `text`' }
+};
+
+const PARAMETER_KEYS = Object.keys(PARAMETER_SCHEMA);
+
+// Values that clear a parameter so it falls back to the defaults
+const RESET_VALUES = ['default', 'none', 'reset'];
+
+// Function to parse and validate a parameter value given as text.
+// Returns `{ value }`, with null meaning "use the default", or `{ error }`.
+function parseParameterValue(key, rawValue) {
+    const schema = PARAMETER_SCHEMA[key];
+    if (!schema) {
+        return { error: `Unknown parameter \`${key}\`. Available: ${PARAMETER_KEYS.map(name => `\`${name}\``).join(', ')}` };
+    }
+
+    const text = String(rawValue ?? '').trim();
+    if (RESET_VALUES.includes(text.toLowerCase())) {
+        return { value: null };
+    }
+
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            const value = Number(text);
+            if (text === '' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                return { error: `\`${key}\` must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}, got \`${text}\`` };
+            }
+            if (value < schema.min || value > schema.max) {
+                return { error: `\`${key}\` must be between ${schema.min} and ${schema.max}, got \`${text}\`` };
+            }
+            return { value };
+        }
+
+        case 'stop': {
+            const sequences = text.split('|').filter(sequence => sequence.length > 0);
+            if (sequences.length === 0 || sequences.length > schema.maxItems) {
+                return { error: `\`${key}\` takes 1 to ${schema.maxItems} sequences separated by \`|\`` };
+            }
+            return { value: sequences };
+        }
+
+        case 'enum':
+            if (!schema.values.includes(text)) {
+                return { error: `\`${key}\` must be one of ${schema.values.map(value => `\`${value}\``).join(', ')}, got \`${text}\`` };
+            }
+            return { value: text };
+    }
+
+    return { error: `Unsupported parameter type for \`${key}\`` };
+}
+
+// Function to format a parameter value for display
+function formatParameterValue(key, value) {
+    if (value === undefined || value === null) return 'default';
+    return Array.isArray(value) ? value.join(' | ') : String(value);
+}
+
+// Function to pick the parameters that resolved settings actually set, e.g. to store with an answer
+function pickParameters(settings) {
+    const parameters = {};
+    PARAMETER_KEYS.forEach(key => {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            parameters[key] = settings[key];
+        }
+    });
+    return parameters;
+}
+
+// Function to turn resolved settings into the sampling fields of an API request.
+// Unset parameters are left out so the provider's defaults apply.
+function toRequestParameters(settings) {
+    const parameters = {};
+    PARAMETER_KEYS.forEach(key => {
+        const value = settings[key];
+        if (value === undefined || value === null) return;
+        if (key === 'response_format') {
+            parameters.response_format = { type: value };
+        } else {
+            parameters[key] = value;
+        }
+    });
+    return parameters;
+}
+
+module.exports = {
+    PARAMETER_SCHEMA,
+    PARAMETER_KEYS,
+    parseParameterValue,
+    formatParameterValue,
+    pickParameters,
+    toRequestParameters
+};
@@ -0,0 +1,42 @@
+const { createJSONStore } = require('./json-store');
+const { createSQLiteStore } = require('./sqlite-store');
+
+const DEFAULT_PATHS = {
+    json: 'data/bot-data.json',
+    sqlite: 'data/bot.db'
+};
+
+// Function to create the configured storage backend.
+// Every backend exposes the same interface:
+//   load(collection)            -> { [id]: value }
+//   set(collection, id, value)
+//   delete(collection, id)
+//   flush()                     -> Promise resolved once pending writes are on disk
+//   close()                     -> synchronously persists anything pending
+// Migrations and write errors are reported to `logger`. `legacyDefaults` are the global
+// defaults earlier releases copied into every user's settings, unset by a migration.
+function createStorage({ backend = 'json', file, legacyFiles = {}, legacyDefaults = {}, debounceMs, logger = console } = {}) {
+    switch (backend) {
+        case 'json':
+            return createJSONStore({
+                file: file || DEFAULT_PATHS.json,
+                legacyFiles,
+                legacyDefaults,
+                debounceMs,
+                logger
+            });
+        case 'sqlite':
+            return createSQLiteStore({
+                file: file || DEFAULT_PATHS.sqlite,
+                legacyFiles,
+                legacyDefaults,
+                // Switching from the JSON backend carries its data over
+                importFile: DEFAULT_PATHS.json,
+                logger
+            });
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, createEmptyData, migrate, readLegacyFiles } = require('./migrations');
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+// Collections too large to rewrite with the rest of the data on every change, like the
+// documents of knowledge bases. Each of their records is kept in its own file, in a directory
+// next to the data file, and written as soon as it changes.
+const RECORD_FILE_COLLECTIONS = ['knowledge'];
+
+let tempFileCounter = 0;
+
+function getTempFile(file) {
+    return `${file}.${process.pid}.${tempFileCounter++}.tmp`;
+}
+
+// Function to write a file atomically: write a temp file, fsync it, then rename over the target
+async function writeFileAtomic(file, contents) {
+    const tempFile = getTempFile(file);
+    const handle = await fs.promises.open(tempFile, 'w');
+    try {
+        await handle.writeFile(contents, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tempFile, file);
+}
+
+function writeFileAtomicSync(file, contents) {
+    const tempFile = getTempFile(file);
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeFileSync(fd, contents, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+}
+
+// Function to get the directory of a collection's record files, e.g. `data/bot-data.knowledge`
+function getRecordDirectory(file, collection) {
+    return path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.${collection}`);
+}
+
+function getRecordFile(file, collection, id) {
+    return path.join(getRecordDirectory(file, collection), `${encodeURIComponent(id)}.json`);
+}
+
+// Function to read the record files of a collection as `{ [id]: value }`
+function readRecordFiles(file, collection) {
+    const directory = getRecordDirectory(file, collection);
+    if (!fs.existsSync(directory)) return {};
+    return Object.fromEntries(fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json'))
+        .map(name => [
+            decodeURIComponent(name.slice(0, -'.json'.length)),
+            JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'))
+        ]));
+}
+
+function writeRecordFile(file, collection, id, value) {
+    fs.mkdirSync(getRecordDirectory(file, collection), { recursive: true });
+    writeFileAtomicSync(getRecordFile(file, collection, id), JSON.stringify(value));
+}
+
+// JSON file backend: everything is kept in memory and written out
+// in one debounced, atomic write after changes
+function createJSONStore({ file, legacyFiles = {}, legacyDefaults = {}, debounceMs = DEFAULT_DEBOUNCE_MS, logger = console }) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    let data;
+    let needsInitialWrite = true;
+    if (fs.existsSync(file)) {
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        data = migrate(stored, { logger, legacyDefaults });
+        needsInitialWrite = stored.version !== data.version;
+    } else {
+        data = readLegacyFiles(legacyFiles, { logger, legacyDefaults }) || createEmptyData();
+    }
+
+    // Records of the record file collections kept in the data file by earlier releases move out of it
+    RECORD_FILE_COLLECTIONS.forEach(collection => {
+        const records = Object.entries(data[collection]);
+        if (records.length === 0) return;
+        records.forEach(([id, value]) => writeRecordFile(file, collection, id, value));
+        data[collection] = {};
+        needsInitialWrite = true;
+    });
+
+    let timer = null;
+    let writing = Promise.resolve();
+    let dirty = false;
+
+    function serialize() {
+        return JSON.stringify(data, null, 2);
+    }
+
+    function scheduleWrite() {
+        dirty = true;
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            flush();
+        }, debounceMs);
+    }
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!dirty) return writing;
+
+        dirty = false;
+        writing = writing
+            .then(() => writeFileAtomic(file, serialize()))
+            .catch(error => logger.error('Error saving data to file', { file, error }));
+        return writing;
+    }
+
+    function assertCollection(collection) {
+        if (!COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown storage collection: ${collection}`);
+        }
+    }
+
+    // Persist right away if the data was just created or migrated
+    if (needsInitialWrite) {
+        writeFileAtomicSync(file, serialize());
+    }
+
+    return {
+        backend: 'json',
+
+        load(collection) {
+            assertCollection(collection);
+            if (RECORD_FILE_COLLECTIONS.includes(collection)) {
+                return readRecordFiles(file, collection);
+            }
+            return { ...data[collection] };
+        },
+
+        set(collection, id, value) {
+            assertCollection(collection);
+            if (RECORD_FILE_COLLECTIONS.includes(collection)) {
+                writeRecordFile(file, collection, id, value);
+                return;
+            }
+            data[collection][id] = value;
+            scheduleWrite();
+        },
+
+        delete(collection, id) {
+            assertCollection(collection);
+            if (RECORD_FILE_COLLECTIONS.includes(collection)) {
+                fs.rmSync(getRecordFile(file, collection, id), { force: true });
+                return;
+            }
+            if (!(id in data[collection])) return;
+            delete data[collection][id];
+            scheduleWrite();
+        },
+
+        flush,
+
+        close() {
+            clearTimeout(timer);
+            timer = null;
+            if (dirty) {
+                dirty = false;
+                writeFileAtomicSync(file, serialize());
+            }
+        }
+    };
+}
+
+module.exports = { RECORD_FILE_COLLECTIONS, createJSONStore, readRecordFiles };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+
+// Current schema version of the stored data
+const SCHEMA_VERSION = 2;
+
+// Collections every backend has to provide
+const COLLECTIONS = ['userSettings', 'guildSettings', 'conversations', 'usage', 'comparisons', 'feedback', 'commandRegistrations', 'schedules', 'knowledge'];
+
+// Function to create an empty data set in the current schema
+function createEmptyData() {
+    const data = { version: SCHEMA_VERSION };
+    COLLECTIONS.forEach(collection => {
+        data[collection] = {};
+    });
+    return data;
+}
+
+// Function to unset the values of user settings that equal the global defaults. Earlier
+// releases stored a full copy of the global defaults for every user, which would otherwise
+// override the channel and server defaults.
+function clearLegacyDefaults(settings, legacyDefaults = {}) {
+    const cleared = { ...settings };
+    Object.entries(legacyDefaults).forEach(([key, value]) => {
+        if (value !== undefined && cleared[key] === value) {
+            cleared[key] = null;
+        }
+    });
+    return cleared;
+}
+
+// Migration steps, indexed by the version they upgrade to. Steps also get the
+// `legacyDefaults` passed to migrate().
+const MIGRATIONS = {
+    // Version 0 is the legacy layout: a bare `{ [userId]: settings }` object
+    // as written to user_settings.json by earlier releases
+    1: legacy => ({
+        ...createEmptyData(),
+        userSettings: { ...legacy }
+    }),
+    // Version 2 unsets the copies of the global defaults in user settings
+    2: (data, { legacyDefaults }) => ({
+        ...data,
+        userSettings: Object.fromEntries(Object.entries(data.userSettings || {})
+            .map(([userId, settings]) => [userId, clearLegacyDefaults(settings, legacyDefaults)]))
+    })
+};
+
+// Function to bring data of any known version up to SCHEMA_VERSION.
+// `legacyDefaults` are the global defaults earlier releases copied into user settings.
+function migrate(data, { logger = console, legacyDefaults = {} } = {}) {
+    let version = Number.isInteger(data?.version) ? data.version : 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Stored data has schema version ${version}, but this release only supports up to ${SCHEMA_VERSION}`);
+    }
+
+    let migrated = data;
+    while (version < SCHEMA_VERSION) {
+        version++;
+        migrated = { ...MIGRATIONS[version](migrated, { legacyDefaults }), version };
+        logger.info('Migrated stored data', { version });
+    }
+
+    // Make sure collections added in later versions exist
+    COLLECTIONS.forEach(collection => {
+        migrated[collection] = migrated[collection] || {};
+    });
+    return migrated;
+}
+
+// Function to read the data written by releases without a storage layer
+function readLegacyFiles({ settingsFile, guildSettingsFile }, { logger = console, legacyDefaults = {} } = {}) {
+    const readJSON = file => {
+        if (!file || !fs.existsSync(file)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            logger.error('Error reading legacy file', { file, error });
+            return null;
+        }
+    };
+
+    const legacySettings = readJSON(settingsFile);
+    const legacyGuildSettings = readJSON(guildSettingsFile);
+    if (!legacySettings && !legacyGuildSettings) {
+        return null;
+    }
+
+    const data = migrate(legacySettings || {}, { logger, legacyDefaults });
+    data.guildSettings = { ...data.guildSettings, ...(legacyGuildSettings || {}) };
+    logger.info('Imported legacy settings files', { settingsFile, guildSettingsFile });
+    return data;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    COLLECTIONS,
+    createEmptyData,
+    clearLegacyDefaults,
+    migrate,
+    readLegacyFiles
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, COLLECTIONS, clearLegacyDefaults, migrate, readLegacyFiles } = require('./migrations');
+const { RECORD_FILE_COLLECTIONS, readRecordFiles } = require('./json-store');
+
+// Database schema changes, indexed by the schema version they upgrade to. Changes
+// also get the `legacyDefaults` passed to the store.
+const SCHEMA_MIGRATIONS = {
+    1: db => db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            id TEXT NOT NULL,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY (collection, id)
+        )
+    `),
+    // Version 2 unsets the copies of the global defaults in user settings
+    2: (db, { legacyDefaults }) => {
+        const update = db.prepare("UPDATE records SET value = ? WHERE collection = 'userSettings' AND id = ?");
+        for (const row of db.prepare("SELECT id, value FROM records WHERE collection = 'userSettings'").all()) {
+            update.run(JSON.stringify(clearLegacyDefaults(JSON.parse(row.value), legacyDefaults)), row.id);
+        }
+    }
+};
+
+// Function to load better-sqlite3 lazily so the JSON backend works without it
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The SQLite storage backend requires the "better-sqlite3" package. Install it with `npm install better-sqlite3`.');
+    }
+}
+
+// SQLite backend: every change is written through immediately, one row per record
+function createSQLiteStore({ file, legacyFiles = {}, legacyDefaults = {}, importFile = null, logger = console }) {
+    const Database = loadDriver();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+
+    let version = db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`Database has schema version ${version}, but this release only supports up to ${SCHEMA_VERSION}`);
+    }
+    const isNewDatabase = version === 0;
+    while (version < SCHEMA_VERSION) {
+        version++;
+        db.transaction(() => {
+            SCHEMA_MIGRATIONS[version](db, { legacyDefaults });
+            db.pragma(`user_version = ${version}`);
+        })();
+        logger.info('Migrated database', { version });
+    }
+
+    const statements = {
+        load: db.prepare('SELECT id, value FROM records WHERE collection = ?'),
+        upsert: db.prepare(`
+            INSERT INTO records (collection, id, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+        `),
+        delete: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?')
+    };
+
+    function assertCollection(collection) {
+        if (!COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown storage collection: ${collection}`);
+        }
+    }
+
+    // Seed a new database from the JSON store or the legacy settings files
+    if (isNewDatabase) {
+        let seed = null;
+        if (importFile && fs.existsSync(importFile)) {
+            seed = migrate(JSON.parse(fs.readFileSync(importFile, 'utf8')), { logger, legacyDefaults });
+            RECORD_FILE_COLLECTIONS.forEach(collection => {
+                seed[collection] = { ...seed[collection], ...readRecordFiles(importFile, collection) };
+            });
+            logger.info('Imported data', { file: importFile });
+        } else {
+            seed = readLegacyFiles(legacyFiles, { logger, legacyDefaults });
+        }
+
+        if (seed) {
+            const now = Date.now();
+            db.transaction(() => {
+                COLLECTIONS.forEach(collection => {
+                    Object.entries(seed[collection]).forEach(([id, value]) => {
+                        statements.upsert.run(collection, id, JSON.stringify(value), now);
+                    });
+                });
+            })();
+        }
+    }
+
+    return {
+        backend: 'sqlite',
+
+        load(collection) {
+            assertCollection(collection);
+            const entries = {};
+            for (const row of statements.load.all(collection)) {
+                entries[row.id] = JSON.parse(row.value);
+            }
+            return entries;
+        },
+
+        set(collection, id, value) {
+            assertCollection(collection);
+            statements.upsert.run(collection, id, JSON.stringify(value), Date.now());
+        },
+
+        delete(collection, id) {
+            assertCollection(collection);
+            statements.delete.run(collection, id);
+        },
+
+        flush() {
+            return Promise.resolve();
+        },
+
+        close() {
+            if (db.open) {
+                db.close();
+            }
+        }
+    };
+}
+
+module.exports = { createSQLiteStore };
@@ -0,0 +1,735 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Events, ApplicationCommandOptionType, ComponentType } = require('discord.js');
+
+// Terminal commands, next to the slash commands of the bot
+const TERMINAL_HELP = [
+    'Type a message to chat with the bot, or a slash command such as `/settings` or `/set-model model:echo`.',
+    'Options are given as `name:value`, quoted when they contain spaces. Words without a name fill the missing options in order.',
+    '',
+    '  .click <n> [values...]   click button n, or pick values in select menu n',
+    '  .reply <id> <message>    reply to message #id, to use the reply chain as context',
+    '  .edit <message>          edit your last message',
+    '  .delete                  delete your last message',
+    '  .attach <file>           attach a file to your next message',
+    '  .user <name>             talk as another user',
+    '  .admin on|off            give or take the Manage Server permission',
+    '  .help                    show this help',
+    '  .quit                    exit'
+].join('\n');
+
+// Content types of the files that can be attached, by extension. Others are sent as plain text.
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.json': 'application/json',
+    '.pdf': 'application/pdf'
+};
+
+// Function to split a line into words, keeping quoted text together. `name:"a b"` is one word.
+function splitWords(line) {
+    const words = [];
+    const pattern = /([\w-]+:)?"((?:[^"\\]|\\.)*)"|\S+/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        words.push(match[2] !== undefined ? `${match[1] || ''}${match[2].replace(/\\(.)/g, '$1')}` : match[0]);
+    }
+    return words;
+}
+
+// Function to turn a local file into a Discord-like attachment. Its content is served as a
+// data: URL, which the attachment readers download like any other URL.
+function createFileAttachment(file, id) {
+    const content = fs.readFileSync(file);
+    const name = path.basename(file);
+    const contentType = CONTENT_TYPES[path.extname(name).toLowerCase()] || 'text/plain';
+    return {
+        id,
+        name,
+        size: content.length,
+        contentType,
+        url: `data:${contentType};base64,${content.toString('base64')}`
+    };
+}
+
+// Function to normalize a message payload: a string, or `{ content, embeds, files, components, ephemeral }`
+function normalizePayload(payload) {
+    const data = typeof payload === 'string' ? { content: payload } : { ...payload };
+    const toJSON = item => typeof item?.toJSON === 'function' ? item.toJSON() : item;
+    return {
+        content: data.content ?? null,
+        embeds: (data.embeds || []).map(toJSON),
+        files: data.files || [],
+        components: (data.components || []).map(toJSON),
+        ephemeral: Boolean(data.ephemeral)
+    };
+}
+
+// Function to create a terminal session that runs the bot's own event handlers as a simulated
+// user in a simulated channel, without connecting to Discord. Messages are sent through the
+// client's MessageCreate listeners and slash commands through its InteractionCreate listeners,
+// so everything from parameter parsing to rate limiting works as it does on Discord.
+//   client        the Discord client the bot's handlers are registered on (it isn't logged in)
+//   commands      the slash command builders, used to parse and check typed commands
+//   botName       name of the simulated bot user
+//   username      name of the simulated user
+//   channelId     id of the simulated channel
+//   dm            simulate a direct message channel instead of a server channel
+//   streamCursor  cursor appended to streamed replies, hidden in the terminal
+//   input/output  streams to read commands from and print replies to
+function createTerminalSession({
+    client,
+    commands = [],
+    botName = 'LLMule',
+    username = 'user',
+    channelId = 'terminal',
+    dm = false,
+    streamCursor = '',
+    input = process.stdin,
+    output = process.stdout,
+    logger = console
+}) {
+    let sequence = 0;
+    const nextId = () => String(++sequence);
+
+    const messages = new Map();
+    const clickables = [];
+    const pendingAttachments = [];
+    let lastPrompt = null;
+    let lastPrinted = null;
+    let atLineStart = true;
+    let admin = true;
+
+    const bot = { id: 'terminal-bot', username: botName, tag: `${botName}#0000`, bot: true };
+    const guild = dm ? null : {
+        id: 'terminal-guild',
+        name: 'Terminal',
+        members: { fetch: async id => getMember(getUser(id), id === user.id && admin) }
+    };
+    const users = new Map();
+    let user = getUser(username);
+
+    // Function to get a simulated user by name, with an id derived from it
+    function getUser(name) {
+        const id = /^\d+$/.test(name) ? name : `terminal-${name.toLowerCase()}`;
+        if (!users.has(id)) {
+            users.set(id, { id, username: name, tag: `${name}#0000`, bot: false, toString: () => `<@${id}>` });
+        }
+        return users.get(id);
+    }
+
+    function getMember(target, isAdmin = false) {
+        if (!guild) return null;
+        return {
+            id: target.id,
+            user: target,
+            guild,
+            roles: { cache: new Map() },
+            permissions: { has: () => isAdmin }
+        };
+    }
+
+    const channel = {
+        id: channelId,
+        name: dm ? null : channelId,
+        guildId: guild?.id ?? null,
+        guild,
+        type: dm ? 1 : 0,
+        isDMBased: () => dm,
+        isThread: () => false,
+        isTextBased: () => true,
+        sendTyping: async () => {},
+        send: async payload => createBotMessage(payload),
+        permissionsFor: () => ({ has: () => true }),
+        messages: {
+            fetch: async id => {
+                const message = messages.get(id);
+                if (!message) {
+                    throw new Error(`Unknown message ${id}`);
+                }
+                return message;
+            }
+        },
+        toString: () => `<#${channelId}>`
+    };
+
+    // Function to get a channel named in a command option
+    function getChannel(value) {
+        const id = value.replace(/^<#|>$/g, '').replace(/^#/, '');
+        if (id === channel.id) return channel;
+        return { ...channel, id, name: id, send: async payload => print(`[#${id}]`, normalizePayload(payload)) };
+    }
+
+    // Channels the bot fetches by id, such as the audit log or the channel of a schedule, are simulated too
+    client.channels.fetch = async id => getChannel(id);
+
+    function write(text) {
+        if (!text) return;
+        output.write(text);
+        atLineStart = text.endsWith('\n');
+    }
+
+    // Function to write a line of its own, after whatever was written last
+    function writeLine(text) {
+        write(`${atLineStart ? '' : '\n'}${text}\n`);
+    }
+
+    // Function to format a message as lines: its text, embeds, attached files and clickable
+    // components, which are numbered to be clicked with `.click`
+    function formatPayload(payload, id) {
+        const lines = [];
+        if (payload.content) lines.push(payload.content);
+
+        for (const embed of payload.embeds) {
+            if (embed.title) lines.push(`┃ **${embed.title}**`);
+            if (embed.description) lines.push(...embed.description.split('\n').map(line => `┃ ${line}`));
+            for (const field of embed.fields || []) {
+                lines.push(`┃ ${field.name}: ${field.value}`);
+            }
+            if (embed.footer?.text) lines.push(`┃ ${embed.footer.text}`);
+        }
+
+        for (const file of payload.files) {
+            const name = file.name || file.attachment?.name || 'file';
+            const size = Buffer.isBuffer(file.attachment) ? ` (${file.attachment.length} bytes)` : '';
+            lines.push(`📎 ${name}${size}`);
+        }
+
+        const buttons = [];
+        for (const row of payload.components) {
+            for (const component of row.components || []) {
+                if (component.disabled) continue;
+                clickables.push({ messageId: id, component });
+                const number = clickables.length;
+                if (component.type === ComponentType.StringSelect) {
+                    const options = component.options.map(option => option.value).join(', ');
+                    buttons.push(`[${number}] ${component.placeholder || 'Select'}: ${options}`);
+                } else if (component.custom_id) {
+                    buttons.push(`[${number}] ${[component.emoji?.name, component.label].filter(Boolean).join(' ')}`);
+                }
+            }
+        }
+        if (buttons.length > 0) lines.push(buttons.join('  '));
+        return lines;
+    }
+
+    // Function to print a message after an empty line. The line is left open, so streamed
+    // text can be added to it.
+    function print(header, payload, id = null) {
+        write(`${atLineStart ? '' : '\n'}\n${header} ${formatPayload(payload, id).join('\n')}`);
+        lastPrinted = null;
+    }
+
+    // Function to print a bot message or its edit. Edits that only add text, as streamed
+    // replies do, print the new text after the old.
+    function printBotMessage(message, payload, edited) {
+        const content = (payload.content || '').endsWith(streamCursor) && streamCursor
+            ? payload.content.slice(0, -streamCursor.length)
+            : payload.content || '';
+        const header = `${payload.ephemeral ? '👁️ ' : ''}🤖 ${botName} [#${message.id}]${edited ? ' (edited)' : ''}:`;
+        const hasExtras = payload.embeds.length > 0 || payload.files.length > 0 || payload.components.length > 0;
+
+        if (edited && lastPrinted === message.id && content.startsWith(message.printed)) {
+            write(content.slice(message.printed.length));
+            if (hasExtras) {
+                write(`\n${formatPayload({ ...payload, content: null }, message.id).join('\n')}`);
+            }
+        } else if (!edited || content !== message.printed || hasExtras) {
+            print(header, { ...payload, content }, message.id);
+        }
+
+        message.printed = content;
+        if (!hasExtras) lastPrinted = message.id;
+    }
+
+    // Function to create a bot message in the simulated channel and print it
+    function createBotMessage(payload, reference = null) {
+        const data = normalizePayload(payload);
+        const message = {
+            id: nextId(),
+            content: data.content || '',
+            author: bot,
+            channel,
+            channelId: channel.id,
+            guild,
+            guildId: guild?.id ?? null,
+            reference: reference ? { messageId: reference.id } : null,
+            printed: '',
+            fetchReference: async () => reference || Promise.reject(new Error('Message has no reference')),
+            reply: async replyPayload => createBotMessage(replyPayload, message),
+            edit: async editPayload => {
+                const edit = normalizePayload(editPayload);
+                message.content = edit.content ?? message.content;
+                printBotMessage(message, { ...edit, content: message.content }, true);
+                return message;
+            },
+            delete: async () => {
+                messages.delete(message.id);
+            }
+        };
+        messages.set(message.id, message);
+        printBotMessage(message, data, false);
+        return message;
+    }
+
+    // Function to create the message of the simulated user. Outside of DMs the bot is mentioned,
+    // as messages in server channels are only answered when they mention it.
+    function createUserMessage(content, { reference = null, attachments = [] } = {}) {
+        const text = dm ? content : `<@${bot.id}> ${content}`;
+        const message = {
+            id: nextId(),
+            content: text,
+            author: user,
+            member: getMember(user, admin),
+            channel,
+            channelId: channel.id,
+            guild,
+            guildId: guild?.id ?? null,
+            attachments: new Map(attachments.map(attachment => [attachment.id, attachment])),
+            mentions: { has: id => !dm && id === bot.id },
+            reference: reference ? { messageId: reference.id } : null,
+            partial: false,
+            fetchReference: async () => reference || Promise.reject(new Error('Message has no reference')),
+            reply: async payload => createBotMessage(payload, message),
+            startThread: async () => {
+                throw new Error('Threads are not available in the terminal');
+            },
+            fetch: async () => message
+        };
+        messages.set(message.id, message);
+        return message;
+    }
+
+    // Function to create the interaction fields and reply methods shared by commands and clicks
+    function createInteraction(fields) {
+        let response = null;
+        const interaction = {
+            id: nextId(),
+            user,
+            member: getMember(user, admin),
+            memberPermissions: guild ? { has: () => admin } : null,
+            guild,
+            guildId: guild?.id ?? null,
+            channel,
+            channelId: channel.id,
+            replied: false,
+            deferred: false,
+            ephemeral: false,
+            client,
+            inGuild: () => Boolean(guild),
+            isChatInputCommand: () => false,
+            isButton: () => false,
+            isStringSelectMenu: () => false,
+            isAutocomplete: () => false,
+            isRepliable: () => true,
+            async reply(payload) {
+                const data = normalizePayload(payload);
+                interaction.replied = true;
+                interaction.ephemeral = data.ephemeral;
+                response = createBotMessage({ ...data, ephemeral: data.ephemeral });
+                return response;
+            },
+            async deferReply({ ephemeral = false } = {}) {
+                interaction.deferred = true;
+                interaction.ephemeral = ephemeral;
+            },
+            async editReply(payload) {
+                const data = normalizePayload(payload);
+                if (!response) {
+                    interaction.replied = true;
+                    response = createBotMessage({ ...data, ephemeral: interaction.ephemeral });
+                    return response;
+                }
+                return response.edit({ ...data, ephemeral: interaction.ephemeral });
+            },
+            async followUp(payload) {
+                const data = normalizePayload(payload);
+                return createBotMessage({ ...data, ephemeral: data.ephemeral });
+            },
+            async deleteReply() {
+                await response?.delete();
+            },
+            ...fields
+        };
+        return interaction;
+    }
+
+    // Function to find the definition of a command option, or of a subcommand's option
+    function findOptions(command, words) {
+        const subcommands = (command.options || []).filter(option =>
+            option.type === ApplicationCommandOptionType.Subcommand || option.type === ApplicationCommandOptionType.SubcommandGroup);
+        if (subcommands.length === 0) {
+            return { path: [], definitions: command.options || [], words };
+        }
+
+        const subcommand = subcommands.find(option => option.name === words[0]);
+        if (!subcommand) {
+            throw new Error(`Pick one of: ${subcommands.map(option => option.name).join(', ')}`);
+        }
+        const nested = findOptions(subcommand, words.slice(1));
+        return { ...nested, path: [subcommand, ...nested.path] };
+    }
+
+    // Function to convert a typed option value to the type of its definition
+    function parseOptionValue(definition, value) {
+        switch (definition.type) {
+            case ApplicationCommandOptionType.Integer:
+            case ApplicationCommandOptionType.Number: {
+                const number = definition.type === ApplicationCommandOptionType.Integer ? Number(value) : parseFloat(value);
+                if (!Number.isFinite(number) || (definition.type === ApplicationCommandOptionType.Integer && !Number.isInteger(number))) {
+                    throw new Error(`${definition.name} must be a${definition.type === ApplicationCommandOptionType.Integer ? 'n integer' : ' number'}`);
+                }
+                if ((definition.min_value !== undefined && number < definition.min_value) ||
+                    (definition.max_value !== undefined && number > definition.max_value)) {
+                    throw new Error(`${definition.name} must be between ${definition.min_value ?? '-∞'} and ${definition.max_value ?? '∞'}`);
+                }
+                return number;
+            }
+            case ApplicationCommandOptionType.Boolean:
+                if (!['true', 'false', 'yes', 'no'].includes(value.toLowerCase())) {
+                    throw new Error(`${definition.name} must be true or false`);
+                }
+                return ['true', 'yes'].includes(value.toLowerCase());
+            case ApplicationCommandOptionType.User:
+            case ApplicationCommandOptionType.Mentionable: {
+                const id = value.replace(/^<@!?|>$/g, '').replace(/^@/, '');
+                return getUser(id).id;
+            }
+            case ApplicationCommandOptionType.Role:
+                return value.replace(/^<@&|>$/g, '').replace(/^@/, '');
+            case ApplicationCommandOptionType.Channel:
+                return value.replace(/^<#|>$/g, '').replace(/^#/, '');
+            case ApplicationCommandOptionType.Attachment:
+                return createFileAttachment(path.resolve(value), nextId());
+            default:
+                if (definition.choices?.length > 0 && !definition.choices.some(choice => choice.value === value)) {
+                    throw new Error(`${definition.name} must be one of: ${definition.choices.map(choice => choice.value).join(', ')}`);
+                }
+                return value;
+        }
+    }
+
+    // Function to parse a typed slash command into the option data Discord would send
+    function parseCommand(line) {
+        const [name, ...words] = splitWords(line.slice(1));
+        const command = commands.find(candidate => candidate.name === name);
+        if (!command) {
+            throw new Error(`Unknown command /${name}. Available: ${commands.map(candidate => `/${candidate.name}`).join(' ')}`);
+        }
+
+        const { path: subcommands, definitions, words: optionWords } = findOptions(command, words);
+        const values = {};
+        const positional = [];
+        for (const word of optionWords) {
+            const separator = word.indexOf(':');
+            const optionName = separator > 0 ? word.slice(0, separator) : null;
+            if (optionName && definitions.some(definition => definition.name === optionName)) {
+                values[optionName] = word.slice(separator + 1);
+            } else {
+                positional.push(word);
+            }
+        }
+
+        // Words without an option name fill the missing options in order, required ones
+        // first. The last of them takes the rest of the text.
+        if (positional.length > 0) {
+            const missing = [...definitions]
+                .sort((a, b) => Number(Boolean(b.required)) - Number(Boolean(a.required)))
+                .filter(definition => values[definition.name] === undefined);
+            if (missing.length === 0) {
+                throw new Error(`Unexpected text: ${positional.join(' ')}`);
+            }
+            missing.slice(0, positional.length).forEach((definition, index) => {
+                values[definition.name] = index === missing.length - 1
+                    ? positional.slice(index).join(' ')
+                    : positional[index];
+            });
+        }
+
+        const data = definitions
+            .filter(definition => {
+                if (values[definition.name] !== undefined) return true;
+                if (definition.required) throw new Error(`Missing required option ${definition.name}`);
+                return false;
+            })
+            .map(definition => {
+                const value = parseOptionValue(definition, values[definition.name]);
+                // Attachment options hold the attachment's id, and the attachment itself next to it
+                return definition.type === ApplicationCommandOptionType.Attachment
+                    ? { name: definition.name, type: definition.type, value: value.id, attachment: value }
+                    : { name: definition.name, type: definition.type, value };
+            });
+
+        // Nest the options in their subcommand and subcommand group, like Discord does
+        const nested = subcommands.reduceRight((options, subcommand) => [{
+            name: subcommand.name,
+            type: subcommand.type,
+            options
+        }], data);
+
+        return {
+            commandName: command.name,
+            subcommandGroup: subcommands.find(option => option.type === ApplicationCommandOptionType.SubcommandGroup)?.name ?? null,
+            subcommand: subcommands.find(option => option.type === ApplicationCommandOptionType.Subcommand)?.name ?? null,
+            options: data,
+            data: nested
+        };
+    }
+
+    // Function to create an option resolver with the getters the bot uses
+    function createOptionResolver(parsed) {
+        const find = (name, required) => {
+            const option = parsed.options.find(candidate => candidate.name === name);
+            if (!option && required) {
+                throw new Error(`Missing required option ${name}`);
+            }
+            return option ?? null;
+        };
+        const get = (name, required = false) => find(name, required)?.value ?? null;
+
+        return {
+            data: parsed.data,
+            get: (name, required = false) => find(name, required),
+            getString: get,
+            getInteger: get,
+            getNumber: get,
+            getBoolean: get,
+            getUser: (name, required = false) => {
+                const id = get(name, required);
+                return id ? users.get(id) : null;
+            },
+            getMember: name => {
+                const id = get(name);
+                return id ? getMember(users.get(id), id === user.id && admin) : null;
+            },
+            getRole: (name, required = false) => {
+                const id = get(name, required);
+                return id ? { id, name: id, toString: () => `<@&${id}>` } : null;
+            },
+            getChannel: (name, required = false) => {
+                const id = get(name, required);
+                return id ? getChannel(id) : null;
+            },
+            getAttachment: (name, required = false) => find(name, required)?.attachment ?? null,
+            getSubcommand: (required = true) => {
+                if (!parsed.subcommand && required) throw new Error('No subcommand');
+                return parsed.subcommand;
+            },
+            getSubcommandGroup: (required = false) => {
+                if (!parsed.subcommandGroup && required) throw new Error('No subcommand group');
+                return parsed.subcommandGroup;
+            }
+        };
+    }
+
+    // Function to call every listener of a client event and wait for all of them
+    async function dispatch(event, ...args) {
+        await Promise.all(client.listeners(event).map(listener => listener(...args)));
+    }
+
+    async function runCommand(line) {
+        let parsed;
+        try {
+            parsed = parseCommand(line);
+        } catch (error) {
+            writeLine(`❌ ${error.message}`);
+            return;
+        }
+
+        const interaction = createInteraction({
+            type: 2,
+            commandName: parsed.commandName,
+            options: createOptionResolver(parsed),
+            isChatInputCommand: () => true
+        });
+        await dispatch(Events.InteractionCreate, interaction);
+    }
+
+    async function click(number, values) {
+        const clickable = clickables[number - 1];
+        if (!clickable) {
+            writeLine(`❌ There is no button ${number}`);
+            return;
+        }
+
+        const { component, messageId } = clickable;
+        const message = messages.get(messageId);
+        if (!message) {
+            writeLine('❌ That message was deleted');
+            return;
+        }
+
+        const isSelect = component.type === ComponentType.StringSelect;
+        if (isSelect && values.length === 0) {
+            writeLine(`❌ Pick a value: ${component.options.map(option => option.value).join(', ')}`);
+            return;
+        }
+
+        const interaction = createInteraction({
+            type: 3,
+            customId: component.custom_id,
+            componentType: component.type,
+            values,
+            message,
+            isButton: () => !isSelect,
+            isStringSelectMenu: () => isSelect,
+            async update(payload) {
+                interaction.replied = true;
+                return message.edit(payload);
+            },
+            async deferUpdate() {
+                interaction.deferred = true;
+                updating = true;
+            }
+        });
+        // After deferUpdate, editReply edits the clicked message rather than a new reply
+        let updating = false;
+        const { editReply } = interaction;
+        interaction.editReply = async payload => updating ? message.edit(payload) : editReply(payload);
+        await dispatch(Events.InteractionCreate, interaction);
+    }
+
+    async function sendMessage(content, reference = null) {
+        const attachments = pendingAttachments.splice(0);
+        lastPrompt = createUserMessage(content, { reference, attachments });
+        await dispatch(Events.MessageCreate, lastPrompt);
+    }
+
+    // Function to run one line typed in the terminal
+    async function handleLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+
+        if (trimmed.startsWith('/')) {
+            await runCommand(trimmed);
+            return;
+        }
+        if (!trimmed.startsWith('.')) {
+            await sendMessage(trimmed);
+            return;
+        }
+
+        const [command, ...args] = trimmed.slice(1).split(/\s+/);
+        const rest = trimmed.slice(command.length + 1).trim();
+        switch (command) {
+            case 'help':
+                writeLine(TERMINAL_HELP);
+                break;
+
+            case 'click':
+                await click(parseInt(args[0]), args.slice(1));
+                break;
+
+            case 'reply': {
+                const reference = messages.get(args[0]?.replace(/^#/, ''));
+                if (!reference) {
+                    writeLine(`❌ There is no message ${args[0] || ''}`);
+                    break;
+                }
+                await sendMessage(rest.slice(args[0].length).trim(), reference);
+                break;
+            }
+
+            case 'edit': {
+                if (!lastPrompt || !messages.has(lastPrompt.id)) {
+                    writeLine('❌ You have no message to edit');
+                    break;
+                }
+                const oldMessage = { ...lastPrompt };
+                lastPrompt.content = dm ? rest : `<@${bot.id}> ${rest}`;
+                await dispatch(Events.MessageUpdate, oldMessage, lastPrompt);
+                break;
+            }
+
+            case 'delete':
+                if (!lastPrompt || !messages.has(lastPrompt.id)) {
+                    writeLine('❌ You have no message to delete');
+                    break;
+                }
+                messages.delete(lastPrompt.id);
+                await dispatch(Events.MessageDelete, lastPrompt);
+                writeLine(`🗑️ Deleted message #${lastPrompt.id}`);
+                break;
+
+            case 'attach':
+                try {
+                    pendingAttachments.push(createFileAttachment(path.resolve(rest), nextId()));
+                    writeLine(`📎 ${path.basename(rest)} will be sent with your next message`);
+                } catch (error) {
+                    writeLine(`❌ Could not read ${rest}: ${error.message}`);
+                }
+                break;
+
+            case 'user':
+                if (!rest) {
+                    writeLine(`You are ${user.username} (${user.id})`);
+                    break;
+                }
+                user = getUser(rest);
+                writeLine(`👤 You are now ${user.username} (${user.id})`);
+                break;
+
+            case 'admin':
+                admin = rest !== 'off';
+                writeLine(`🛡️ Manage Server permission ${admin ? 'granted' : 'removed'}`);
+                break;
+
+            case 'quit':
+            case 'exit':
+                return 'quit';
+
+            default:
+                writeLine(`❌ Unknown terminal command .${command}, see .help`);
+        }
+    }
+
+    return {
+        bot,
+        handleLine,
+
+        // Read lines until the input ends or `.quit`, running them one at a time
+        start() {
+            const rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+
+            // Piped input, e.g. a test script, gets no prompts so the transcript only holds the conversation
+            function showPrompt() {
+                if (!input.isTTY) return;
+                rl.setPrompt(`${user.username}> `);
+                rl.prompt();
+            }
+
+            writeLine(`💻 Terminal mode: you are ${user.username} in ${dm ? 'a direct message' : `#${channel.name}`}. Type .help for help.`);
+
+            return new Promise(resolve => {
+                let queue = Promise.resolve();
+                let quitting = false;
+                rl.on('line', line => {
+                    queue = queue.then(async () => {
+                        if (quitting) return;
+                        try {
+                            if (await handleLine(line) === 'quit') {
+                                quitting = true;
+                                rl.close();
+                                return;
+                            }
+                        } catch (error) {
+                            logger.error('Error handling terminal input', { error });
+                            writeLine(`❌ ${error.message}`);
+                        }
+                        if (!atLineStart) write('\n');
+                        showPrompt();
+                    });
+                });
+                // Lines still queued when the input ends are run before resolving
+                rl.on('close', () => queue.then(resolve));
+                showPrompt();
+            });
+        }
+    };
+}
+
+module.exports = { createTerminalSession };
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { splitMessage, extractAttachments } = require('../formatting');
+
+// Function to count the code fence lines of a chunk
+function countFences(chunk) {
+    return chunk.split('\n').filter(line => /^```/.test(line)).length;
+}
+
+test('keeps short messages in one chunk', () => {
+    assert.deepStrictEqual(splitMessage('hello', 2000), ['hello']);
+    assert.deepStrictEqual(splitMessage('', 2000), []);
+});
+
+test('splits at paragraph breaks first', () => {
+    const paragraphs = Array.from({ length: 6 }, (_, index) => `Paragraph ${index} ${'word '.repeat(20).trim()}.`);
+    const chunks = splitMessage(paragraphs.join('\n\n'), 300);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.ok(chunk.length <= 300, `${chunk.length} characters`);
+        assert.match(chunk, /^Paragraph \d/);
+        assert.match(chunk, /\.$/);
+    });
+    assert.strictEqual(chunks.join('\n\n'), paragraphs.join('\n\n'));
+});
+
+test('closes code blocks at a break and reopens them with their language', () => {
+    const code = Array.from({ length: 40 }, (_, index) => `const value${index} = ${index};`);
+    const text = `Here you go:\n\`\`\`js\n${code.join('\n')}\n\`\`\`\nDone.`;
+    const chunks = splitMessage(text, 200);
+
+    assert.ok(chunks.length > 2);
+    chunks.forEach((chunk, index) => {
+        assert.ok(chunk.length <= 200, `${chunk.length} characters`);
+        assert.strictEqual(countFences(chunk) % 2, 0, `unbalanced fences in chunk ${index}`);
+        if (index > 0) {
+            assert.match(chunk, /^```js\n/);
+        }
+    });
+    // Every line of code makes it through, in order
+    const lines = chunks.join('\n').split('\n').filter(line => line.startsWith('const'));
+    assert.deepStrictEqual(lines, code);
+    assert.match(chunks[chunks.length - 1], /\nDone\.$/);
+});
+
+test('reopens fences with long info strings by their marker only', () => {
+    const text = `~~~python ${'x'.repeat(60)}\n${'print(1)\n'.repeat(40)}~~~`;
+    const chunks = splitMessage(text, 150);
+
+    chunks.slice(1).forEach(chunk => assert.match(chunk, /^~~~\n/));
+});
+
+test('never splits surrogate pairs', () => {
+    const chunks = splitMessage('😀'.repeat(50), 11);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.ok(chunk.length <= 11);
+        assert.doesNotMatch(chunk, /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/);
+    });
+    assert.strictEqual(chunks.join(''), '😀'.repeat(50));
+});
+
+test('attaches long answers whole, with a preview', () => {
+    const text = 'word '.repeat(1000);
+    const { text: preview, files } = extractAttachments(text, { maxLength: 3000, previewLength: 500 });
+
+    assert.deepStrictEqual(files, [{ name: 'response.md', content: text }]);
+    assert.ok(preview.length < 600);
+    assert.match(preview, /The full answer is attached as `response\.md`/);
+});
+
+test('attaches long code blocks as source files', () => {
+    const longCode = 'print("hello")\n'.repeat(20).trim();
+    const text = `Short:\n\`\`\`js\nlet a = 1;\n\`\`\`\nLong:\n\`\`\`python\n${longCode}\n\`\`\`\nOdd:\n\`\`\`brainfuck\n${longCode}\n\`\`\``;
+    const { text: output, files } = extractAttachments(text, { maxCodeLength: 100 });
+
+    assert.deepStrictEqual(files, [
+        { name: 'snippet-1.py', content: `${longCode}\n` },
+        { name: 'snippet-2.txt', content: `${longCode}\n` }
+    ]);
+    assert.strictEqual(output, 'Short:\n```js\nlet a = 1;\n```\nLong:\n📎 *Code attached as `snippet-1.py`.*\n' +
+        'Odd:\n📎 *Code attached as `snippet-2.txt`.*');
+});
+
+test('keeps unterminated code blocks as they are', () => {
+    const text = `Start\n\`\`\`js\n${'x++;\n'.repeat(50)}`;
+
+    assert.deepStrictEqual(extractAttachments(text, { maxCodeLength: 10 }), { text, files: [] });
+});
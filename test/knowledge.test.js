@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tokenize, chunkText, buildIndex, searchIndex, createKnowledgeBase } = require('../knowledge');
+
+// Function to create storage that keeps records in memory
+function createMemoryStorage() {
+    const records = {};
+    return {
+        records,
+        load: () => ({ ...records }),
+        set: (collection, id, value) => records[id] = value,
+        delete: (collection, id) => delete records[id]
+    };
+}
+
+// Function to index texts as passages of separate documents
+function indexTexts(texts) {
+    return buildIndex(texts.map((text, index) => ({ documentId: `doc${index}`, position: 0, title: null, heading: null, text })));
+}
+
+test('tokenizes without case, accents, stop words and plurals', () => {
+    assert.deepStrictEqual(tokenize('How do I reset the Passwords of Café users?'), ['reset', 'password', 'cafe', 'user']);
+    assert.deepStrictEqual(tokenize('Policies, glass and bus'), ['policy', 'glass', 'bus']);
+    assert.deepStrictEqual(tokenize('a I x'), []);
+});
+
+test('keeps headings with every passage below them', () => {
+    const text = '# Setup\n\nIntro text.\n\n## Install\n\nRun npm install.\n\n## Configure\n\nEdit the file.\n\n# Usage\n\nStart it.';
+    const chunks = chunkText(text, { maxChars: 20 });
+
+    assert.deepStrictEqual(chunks, [
+        { heading: 'Setup', text: 'Intro text.' },
+        { heading: 'Setup › Install', text: 'Run npm install.' },
+        { heading: 'Setup › Configure', text: 'Edit the file.' },
+        { heading: 'Usage', text: 'Start it.' }
+    ]);
+});
+
+test('keeps paragraphs together where they fit and splits long ones at sentences', () => {
+    assert.deepStrictEqual(chunkText('One.\n\nTwo.\r\n\r\nThree.', { maxChars: 100 }), [
+        { heading: null, text: 'One.\n\nTwo.\n\nThree.' }
+    ]);
+
+    const sentences = Array.from({ length: 10 }, (_, index) => `Sentence number ${index} is here.`);
+    const chunks = chunkText(sentences.join(' '), { maxChars: 80 });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.ok(chunk.text.length <= 80, `${chunk.text.length} characters`);
+        assert.match(chunk.text, /^Sentence number \d is here\./);
+        assert.match(chunk.text, /here\.$/);
+    });
+});
+
+test('splits sentences longer than a passage at spaces', () => {
+    const chunks = chunkText('word '.repeat(100).trim(), { maxChars: 50 });
+
+    chunks.forEach(chunk => {
+        assert.ok(chunk.text.length <= 50);
+        assert.match(chunk.text, /^word( word)*$/);
+    });
+});
+
+test('ranks passages by BM25', () => {
+    const index = indexTexts([
+        'The refund policy: refunds are paid within 14 days. Ask support for a refund.',
+        'Shipping takes 3 days.',
+        'Our office is closed on Sundays, refunds included in the FAQ among many other unrelated topics like parking, lunch, holidays and the weather.',
+        'Support is available around the clock.'
+    ]);
+
+    const results = searchIndex(index, 'How do refunds work?');
+    assert.deepStrictEqual(results.map(result => result.documentId), ['doc0', 'doc2']);
+    assert.ok(results[0].score > results[1].score);
+
+    assert.strictEqual(searchIndex(index, 'refund support', { limit: 1 }).length, 1);
+});
+
+test('leaves out passages scoring far below the best one', () => {
+    const index = indexTexts([
+        'Refund policy: refunds are paid within 14 days, and every refund needs a receipt.',
+        'The office handbook covers parking, lunch, holidays, security badges, printers, meeting rooms, ' +
+            'travel, expenses, laptops and the weather, and the policy on plants.'
+    ]);
+
+    assert.deepStrictEqual(searchIndex(index, 'refund policy').map(result => result.documentId), ['doc0']);
+    assert.deepStrictEqual(searchIndex(index, 'policy plants').map(result => result.documentId), ['doc1']);
+});
+
+test('finds nothing for empty queries, stop words or an empty index', () => {
+    const index = indexTexts(['Shipping takes 3 days.']);
+
+    assert.deepStrictEqual(searchIndex(index, ''), []);
+    assert.deepStrictEqual(searchIndex(index, 'what is the'), []);
+    assert.deepStrictEqual(searchIndex(index, 'parking'), []);
+    assert.deepStrictEqual(searchIndex(buildIndex([]), 'shipping'), []);
+});
+
+test('searches titles and headings along with the text', () => {
+    const index = buildIndex([
+        { documentId: 'a', position: 0, title: 'Holiday calendar', heading: 'Closures', text: 'We close on these dates.' },
+        { documentId: 'b', position: 0, title: 'Menu', heading: null, text: 'Pasta on Fridays.' }
+    ]);
+
+    assert.deepStrictEqual(searchIndex(index, 'closures').map(result => result.documentId), ['a']);
+    assert.deepStrictEqual(searchIndex(index, 'holiday').map(result => result.documentId), ['a']);
+});
+
+test('keeps documents per guild and replaces documents from the same source', () => {
+    const storage = createMemoryStorage();
+    const knowledgeBase = createKnowledgeBase(storage, { chunkChars: 200 });
+    const source = { type: 'file', name: 'faq.md' };
+
+    const first = knowledgeBase.add({ guildId: 'g1', title: 'FAQ', text: 'Refunds take 14 days.', source, addedBy: 'u1' });
+    assert.strictEqual(first.replaced, false);
+    knowledgeBase.add({ guildId: 'g2', title: 'Other FAQ', text: 'Refunds take 30 days.', source, addedBy: 'u2' });
+
+    const second = knowledgeBase.add({ guildId: 'g1', title: 'FAQ', text: 'Refunds take 7 days.', source, addedBy: 'u1' });
+    assert.strictEqual(second.replaced, true);
+    assert.strictEqual(second.document.id, first.document.id);
+    assert.strictEqual(knowledgeBase.list('g1').length, 1);
+
+    const results = knowledgeBase.search('g1', 'refunds');
+    assert.deepStrictEqual(results.map(result => result.text), ['Refunds take 7 days.']);
+    assert.strictEqual(results[0].title, 'FAQ');
+
+    // Documents are stored, and load again
+    const reloaded = createKnowledgeBase(storage);
+    assert.strictEqual(reloaded.list('g2')[0].title, 'Other FAQ');
+
+    assert.strictEqual(knowledgeBase.delete(first.document.id), true);
+    assert.strictEqual(knowledgeBase.delete(first.document.id), false);
+    assert.deepStrictEqual(knowledgeBase.search('g1', 'refunds'), []);
+    assert.strictEqual(Object.keys(storage.records).length, 1);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRequestQueue } = require('../queue');
+
+// Function to let started tasks and settled jobs run their callbacks
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Function to create tasks that record when they start and only finish when told to
+function createTasks() {
+    const started = [];
+    const finishers = new Map();
+    const signals = new Map();
+    return {
+        started,
+        signals,
+        task(name) {
+            return signal => {
+                started.push(name);
+                signals.set(name, signal);
+                return new Promise(resolve => finishers.set(name, resolve));
+            };
+        },
+        async finish(name) {
+            finishers.get(name)(name);
+            await tick();
+        }
+    };
+}
+
+test('runs at most `concurrency` tasks at a time', async () => {
+    const queue = createRequestQueue({ concurrency: 2 });
+    const tasks = createTasks();
+    ['a', 'b', 'c'].forEach(user => queue.enqueue(user, tasks.task(user)));
+    await tick();
+
+    assert.deepStrictEqual(tasks.started, ['a', 'b']);
+    const { running, pending, waitingUsers } = queue.getStats();
+    assert.deepStrictEqual({ running, pending, waitingUsers }, { running: 2, pending: 1, waitingUsers: 1 });
+
+    await tasks.finish('a');
+    assert.deepStrictEqual(tasks.started, ['a', 'b', 'c']);
+});
+
+test('serves waiting users round-robin and reports their positions', async () => {
+    const queue = createRequestQueue({ concurrency: 1 });
+    const tasks = createTasks();
+    const positions = {};
+    queue.enqueue('x', tasks.task('x1'));
+    for (const [user, name] of [['a', 'a1'], ['a', 'a2'], ['a', 'a3'], ['b', 'b1'], ['b', 'b2'], ['c', 'c1']]) {
+        queue.enqueue(user, tasks.task(name), { onPosition: position => positions[name] = position });
+    }
+    await tick();
+
+    assert.deepStrictEqual(positions, { a1: 1, b1: 2, c1: 3, a2: 4, b2: 5, a3: 6 });
+
+    for (const name of ['x1', 'a1', 'b1', 'c1', 'a2', 'b2']) {
+        await tasks.finish(name);
+    }
+    assert.deepStrictEqual(tasks.started, ['x1', 'a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+    assert.strictEqual(positions.a3, 1);
+});
+
+test('runs the requests of one user one after another', async () => {
+    const queue = createRequestQueue({ concurrency: 4 });
+    const tasks = createTasks();
+    const first = queue.enqueue('a', tasks.task('a1'));
+    queue.enqueue('a', tasks.task('a2'));
+    await tick();
+
+    assert.deepStrictEqual(tasks.started, ['a1']);
+    await tasks.finish('a1');
+    assert.strictEqual(await first.promise, 'a1');
+    assert.deepStrictEqual(tasks.started, ['a1', 'a2']);
+});
+
+test('refuses requests beyond `maxPendingPerUser`', async () => {
+    const queue = createRequestQueue({ concurrency: 1, maxPendingPerUser: 2 });
+    const tasks = createTasks();
+    queue.enqueue('a', tasks.task('a1'));
+    queue.enqueue('a', tasks.task('a2'));
+    queue.enqueue('a', tasks.task('a3'));
+
+    assert.throws(() => queue.enqueue('a', tasks.task('a4')), { code: 'QUEUE_FULL' });
+    // Other users still get in
+    assert.doesNotThrow(() => queue.enqueue('b', tasks.task('b1')));
+});
+
+test('cancels waiting requests and aborts the running one', async () => {
+    const queue = createRequestQueue({ concurrency: 1 });
+    const tasks = createTasks();
+    const running = queue.enqueue('a', tasks.task('a1'));
+    const waiting = queue.enqueue('a', tasks.task('a2'));
+    let otherPosition = null;
+    queue.enqueue('b', tasks.task('b1'), { onPosition: position => otherPosition = position });
+    await tick();
+    assert.strictEqual(otherPosition, 2);
+
+    assert.strictEqual(queue.cancel('a'), 2);
+    assert.strictEqual(tasks.signals.get('a1').aborted, true);
+    await assert.rejects(waiting.promise, { name: 'AbortError' });
+    assert.strictEqual(waiting.status, 'cancelled');
+    assert.strictEqual(otherPosition, 1);
+
+    // The running task decides how to end once aborted; the queue moves on after it
+    await tasks.finish('a1');
+    assert.strictEqual(await running.promise, 'a1');
+    assert.deepStrictEqual(tasks.started, ['a1', 'b1']);
+    assert.strictEqual(queue.cancel('a'), 0);
+});
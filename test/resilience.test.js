@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker, parseRetryAfter } = require('../resilience');
+
+// Function to make Date.now() return a time the test controls
+function mockClock(t, start = 1000000) {
+    const clock = { now: start };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+test('opens the circuit after `failureThreshold` consecutive failures', t => {
+    mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+
+    breaker.recordFailure('model');
+    breaker.recordFailure('model');
+    assert.strictEqual(breaker.getState('model'), 'closed');
+    assert.strictEqual(breaker.canRequest('model'), true);
+
+    breaker.recordFailure('model');
+    assert.strictEqual(breaker.getState('model'), 'open');
+    assert.strictEqual(breaker.canRequest('model'), false);
+    assert.strictEqual(breaker.getRemainingCooldown('model'), 1000);
+    // Other keys are tracked on their own
+    assert.strictEqual(breaker.canRequest('other'), true);
+});
+
+test('resets the failure count on success', t => {
+    mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+
+    breaker.recordFailure('model');
+    breaker.recordSuccess('model');
+    breaker.recordFailure('model');
+    assert.strictEqual(breaker.getState('model'), 'closed');
+});
+
+test('lets a single trial request through once the cooldown is over', t => {
+    const clock = mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure('model');
+
+    clock.now += 999;
+    assert.strictEqual(breaker.canRequest('model'), false);
+    assert.strictEqual(breaker.getRemainingCooldown('model'), 1);
+
+    clock.now += 1;
+    assert.strictEqual(breaker.getState('model'), 'half-open');
+    assert.strictEqual(breaker.canRequest('model'), true);
+    assert.strictEqual(breaker.canRequest('model'), false);
+});
+
+test('closes the circuit when the trial succeeds', t => {
+    const clock = mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure('model');
+    clock.now += 1000;
+
+    assert.strictEqual(breaker.canRequest('model'), true);
+    breaker.recordSuccess('model');
+    assert.strictEqual(breaker.getState('model'), 'closed');
+    assert.strictEqual(breaker.canRequest('model'), true);
+    assert.strictEqual(breaker.canRequest('model'), true);
+});
+
+test('reopens the circuit for another cooldown when the trial fails', t => {
+    const clock = mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    for (let failure = 0; failure < 3; failure++) {
+        breaker.recordFailure('model');
+    }
+    clock.now += 1000;
+
+    assert.strictEqual(breaker.canRequest('model'), true);
+    breaker.recordFailure('model');
+    assert.strictEqual(breaker.getState('model'), 'open');
+    assert.strictEqual(breaker.getRemainingCooldown('model'), 1000);
+
+    clock.now += 1000;
+    assert.strictEqual(breaker.canRequest('model'), true);
+});
+
+test('lets another trial through after one is released', t => {
+    const clock = mockClock(t);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure('model');
+    clock.now += 1000;
+
+    assert.strictEqual(breaker.canRequest('model'), true);
+    breaker.releaseTrial('model');
+    assert.strictEqual(breaker.getState('model'), 'half-open');
+    assert.strictEqual(breaker.canRequest('model'), true);
+    // Releasing a key without a circuit does nothing
+    assert.doesNotThrow(() => breaker.releaseTrial('unknown'));
+});
+
+test('parses Retry-After delays and dates', t => {
+    const clock = mockClock(t, Date.parse('2024-01-01T00:00:00Z'));
+
+    assert.strictEqual(parseRetryAfter('2'), 2000);
+    assert.strictEqual(parseRetryAfter('0.5'), 500);
+    assert.strictEqual(parseRetryAfter('-3'), 0);
+    assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT'), 30000);
+    clock.now += 60000;
+    assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT'), 0);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.strictEqual(parseRetryAfter(''), null);
+    assert.strictEqual(parseRetryAfter(undefined), null);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { redactPII } = require('../safety');
+
+test('redacts phone numbers', () => {
+    for (const text of [
+        'call +33 6 12 34 56 78',
+        '+1 (415) 555-2671',
+        '(415) 555-2671',
+        '415-555-2671',
+        '555.123.4567',
+        '06 12 34 56 78',
+        '020 7946 0958',
+        '+14155552671'
+    ]) {
+        assert.deepStrictEqual(redactPII(text).kinds, ['phone'], text);
+    }
+    assert.strictEqual(redactPII('ring 415-555-2671.').text, 'ring [phone].');
+});
+
+test('leaves numbers that are not phone numbers alone', () => {
+    for (const text of [
+        'what is 123456 * 2',
+        'order 10000 units',
+        'port 65535',
+        'range 1000-2000',
+        'released on 2024-01-15',
+        'host 192.168.100.200',
+        'pay 10 000 000',
+        'version 1.2.3',
+        'pi is 3.14159',
+        'x = 5+1234567'
+    ]) {
+        assert.deepStrictEqual(redactPII(text), { text, kinds: [] }, text);
+    }
+});
+
+test('redacts emails and API keys', () => {
+    const { text, kinds } = redactPII('mail me at jane.doe@example.com with sk-abcdefghijklmnopqrstuv');
+    assert.strictEqual(text, 'mail me at [email] with [api key]');
+    assert.deepStrictEqual(kinds.sort(), ['api key', 'email']);
+});
+
+test('matches long digit strings in linear time', () => {
+    for (const text of [`+1${'2'.repeat(40)}a`, `(1)${'2'.repeat(40)}a`, `+1 ${'2 '.repeat(40)}a`, `+1${'(2)2'.repeat(40)}a`]) {
+        const start = Date.now();
+        redactPII(text);
+        assert.ok(Date.now() - start < 100, `took ${Date.now() - start} ms for ${text}`);
+    }
+});
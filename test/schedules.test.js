@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidTimeZone, parseScheduleSpec, getNextRun, describeSchedule, createScheduler } = require('../schedules');
+
+const HOUR = 60 * 60 * 1000;
+
+// Function to find the next run of a cron expression after a time, as an ISO string
+function nextCronRun(expression, after, timeZone = 'UTC') {
+    const next = getNextRun({ type: 'cron', expression, timeZone }, Date.parse(after));
+    return next === null ? null : new Date(next).toISOString();
+}
+
+// Function to create storage that keeps records in memory
+function createMemoryStorage(records = {}) {
+    return {
+        records,
+        load: () => ({ ...records }),
+        set: (collection, id, value) => records[id] = value,
+        delete: (collection, id) => delete records[id]
+    };
+}
+
+test('parses intervals', () => {
+    assert.deepStrictEqual(parseScheduleSpec('every 6h'), { value: { type: 'interval', intervalMs: 6 * HOUR } });
+    assert.deepStrictEqual(parseScheduleSpec('30 minutes'), { value: { type: 'interval', intervalMs: HOUR / 2 } });
+    assert.deepStrictEqual(parseScheduleSpec('Every 2 Days'), { value: { type: 'interval', intervalMs: 48 * HOUR } });
+    assert.match(parseScheduleSpec('every 5m', { minIntervalMs: HOUR }).error, /at most every 1h/);
+});
+
+test('parses cron expressions and shortcuts', () => {
+    assert.deepStrictEqual(parseScheduleSpec('0 9 * * 1-5'), { value: { type: 'cron', expression: '0 9 * * 1-5' } });
+    assert.deepStrictEqual(parseScheduleSpec('@daily'), { value: { type: 'cron', expression: '0 0 * * *' } });
+    assert.deepStrictEqual(parseScheduleSpec('  0   9 *  * mon-fri '), { value: { type: 'cron', expression: '0 9 * * mon-fri' } });
+});
+
+test('rejects invalid cron expressions', () => {
+    assert.match(parseScheduleSpec('').error, /empty/);
+    assert.match(parseScheduleSpec('0 9 * *').error, /5 fields/);
+    assert.match(parseScheduleSpec('60 * * * *').error, /Invalid minute field/);
+    assert.match(parseScheduleSpec('0 5-2 * * *').error, /Invalid hour field/);
+    assert.match(parseScheduleSpec('0 0 * foo *').error, /Invalid month field/);
+    assert.match(parseScheduleSpec('*/0 * * * *').error, /Invalid minute field/);
+    assert.match(parseScheduleSpec('0 0 31 2 *').error, /never runs/);
+    assert.match(parseScheduleSpec('*/5 * * * *', { minIntervalMs: HOUR }).error, /at most every 1h/);
+});
+
+test('finds the next run of cron expressions', () => {
+    // 2024-01-05 is a Friday
+    assert.strictEqual(nextCronRun('0 9 * * 1-5', '2024-01-05T10:00:00Z'), '2024-01-08T09:00:00.000Z');
+    assert.strictEqual(nextCronRun('0 9 * * 1-5', '2024-01-05T08:59:30Z'), '2024-01-05T09:00:00.000Z');
+    assert.strictEqual(nextCronRun('*/15 * * * *', '2024-01-05T10:16:00Z'), '2024-01-05T10:30:00.000Z');
+    assert.strictEqual(nextCronRun('0 12 1 jan,jul *', '2024-02-01T00:00:00Z'), '2024-07-01T12:00:00.000Z');
+    // Sunday is both 0 and 7
+    assert.strictEqual(nextCronRun('0 0 * * 7', '2024-01-05T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+    // When both days are restricted, either one matches
+    assert.strictEqual(nextCronRun('0 0 13 * 5', '2024-01-06T00:00:00Z'), '2024-01-12T00:00:00.000Z');
+    assert.strictEqual(nextCronRun('0 0 31 2 *', '2024-01-01T00:00:00Z'), null);
+});
+
+test('runs cron expressions on the wall clock of their time zone', () => {
+    assert.strictEqual(nextCronRun('0 9 * * *', '2024-01-10T00:00:00Z', 'Europe/Paris'), '2024-01-10T08:00:00.000Z');
+    assert.strictEqual(nextCronRun('0 9 * * *', '2024-07-10T00:00:00Z', 'Europe/Paris'), '2024-07-10T07:00:00.000Z');
+    assert.strictEqual(isValidTimeZone('Europe/Paris'), true);
+    assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('counts intervals from the creation of the schedule', () => {
+    const schedule = { type: 'interval', intervalMs: 6 * HOUR, createdAt: '2024-01-01T00:00:00Z' };
+
+    assert.strictEqual(getNextRun(schedule, Date.parse('2024-01-01T07:00:00Z')), Date.parse('2024-01-01T12:00:00Z'));
+    assert.strictEqual(getNextRun(schedule, Date.parse('2024-01-01T12:00:00Z')), Date.parse('2024-01-01T18:00:00Z'));
+    assert.strictEqual(describeSchedule(schedule), 'every 6h');
+    assert.strictEqual(describeSchedule({ type: 'cron', expression: '0 9 * * 1-5', timeZone: 'UTC' }), '0 9 * * 1-5 (UTC)');
+});
+
+test('skips runs missed long ago on start, and pauses schedules that keep failing', async () => {
+    const now = Date.now();
+    const stored = {
+        type: 'interval',
+        intervalMs: HOUR,
+        paused: false,
+        failures: 0,
+        createdAt: new Date(now - 10 * HOUR).toISOString()
+    };
+    const storage = createMemoryStorage({
+        missed: { ...stored, nextRunAt: new Date(now - 2 * HOUR).toISOString() },
+        late: { ...stored, nextRunAt: new Date(now - 60 * 1000).toISOString() },
+        failing: { ...stored, nextRunAt: new Date(now - 60 * 1000).toISOString(), failures: 4 }
+    });
+    const runs = [];
+    const scheduler = createScheduler({
+        storage,
+        logger: { error() {}, warn() {} },
+        onRun: async schedule => {
+            runs.push(schedule.id);
+            if (schedule.id === 'failing') throw new Error('Model unavailable');
+        }
+    });
+
+    scheduler.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    scheduler.stop();
+
+    assert.deepStrictEqual(runs.sort(), ['failing', 'late']);
+    assert.ok(Date.parse(storage.records.missed.nextRunAt) > now);
+    assert.strictEqual(storage.records.missed.lastRunAt, undefined);
+    assert.strictEqual(storage.records.failing.paused, true);
+    assert.strictEqual(storage.records.failing.lastError, 'Model unavailable');
+    assert.strictEqual(storage.records.late.paused, false);
+});
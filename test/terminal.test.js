@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockLLMServer } = require('../mock-llm');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const SYSTEM_PROMPT = 'You are a test assistant.';
+
+let mockServer;
+let endpoint;
+let requests = [];
+let workDir;
+
+before(async () => {
+    mockServer = createMockLLMServer({ delayMs: 0, onRequest: body => requests.push(body) });
+    await new Promise(resolve => mockServer.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${mockServer.address().port}/v1/chat/completions`;
+    // Runs start in an empty directory, so a developer's .env and data aren't picked up
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-bot-test-'));
+});
+
+after(() => {
+    mockServer.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Function to run the bot in terminal mode with a script on stdin, resolving with the transcript
+function runTerminal(script, { args = [], env = {} } = {}) {
+    requests = [];
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [SERVER, '--terminal', ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                LLM_API_ENDPOINT: endpoint,
+                LLM_MODEL: 'echo',
+                SYSTEM_PROMPT,
+                STORAGE_PATH: path.join(workDir, `data-${Date.now()}.json`),
+                STREAM_EDIT_INTERVAL_MS: '0',
+                USER_COOLDOWN_MS: '1',
+                ...env
+            },
+            timeout: 30000
+        });
+
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => stdout += chunk);
+        child.stderr.on('data', chunk => stderr += chunk);
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`The bot exited with code ${code}:\n${stderr}`));
+                return;
+            }
+            resolve(stdout);
+        });
+        child.stdin.end(script.map(line => `${line}\n`).join(''));
+    });
+}
+
+test('answers messages with the configured system prompt and parameters', async () => {
+    const transcript = await runTerminal(['hello there [temperature:0.2]']);
+
+    assert.match(transcript, /Echo: hello there/);
+    assert.match(transcript, /model=echo, temp=0\.2/);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].messages[0].content, SYSTEM_PROMPT);
+    assert.strictEqual(requests[0].temperature, 0.2);
+});
+
+test('keeps the conversation history between messages', async () => {
+    await runTerminal(['first message', 'second message']);
+
+    const lastMessages = requests[1].messages.map(message => message.content);
+    assert.ok(lastMessages.includes('first message'));
+    assert.ok(lastMessages.includes('Echo: first message'));
+});
+
+test('runs slash commands', async () => {
+    const transcript = await runTerminal(['/set-model model:canned', 'hi']);
+
+    assert.match(transcript, /Model set to: `canned`/);
+    assert.strictEqual(requests[0].model, 'canned');
+});
+
+test('falls back to another model when the requested one is unavailable', async () => {
+    const transcript = await runTerminal(['hi [model:unavailable]'], { env: { FALLBACK_MODELS: 'echo' } });
+
+    assert.match(transcript, /Echo: hi/);
+    assert.match(transcript, /Answered by fallback model `echo`/);
+});
+
+test('reports errors of the model', async () => {
+    const transcript = await runTerminal(['hi [model:error]']);
+
+    assert.match(transcript, /Sorry, I encountered an error/);
+});
+
+test('counts the default token budget across servers and DMs', async () => {
+    const env = { USER_DAILY_TOKEN_BUDGET: '1', STORAGE_PATH: path.join(workDir, 'budget.json') };
+    const inDM = await runTerminal(['hi'], { args: ['--dm'], env });
+    assert.match(inDM, /Echo: hi/);
+
+    const inServer = await runTerminal(['hi again'], { env });
+    assert.match(inServer, /used up the daily token budget/);
+    assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,145 @@
+// Identifies files written by /export so they can be recognized on import
+const EXPORT_FORMAT = 'llmule-conversation';
+const EXPORT_VERSION = 1;
+
+// Maximum number of messages an imported conversation may have
+const MAX_IMPORT_MESSAGES = 500;
+
+// Function to describe the parameters an assistant turn was generated with
+function formatTurnParameters(message) {
+    const parameters = [
+        message.model && `model=${message.model}`,
+        message.temperature !== undefined && message.temperature !== null && `temp=${message.temperature}`,
+        message.max_tokens && `max_tokens=${message.max_tokens}`
+    ].filter(Boolean);
+    return parameters.join(', ');
+}
+
+// Function to turn a stored conversation into a downloadable file.
+// `format` is 'markdown', 'json' or 'text'; returns `{ name, content }`.
+function exportConversation(history, format, { title = 'Conversation', exportedAt = new Date() } = {}) {
+    const stamp = exportedAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const messages = history?.messages || [];
+    const summary = history?.summary || null;
+
+    switch (format) {
+        case 'json':
+            return {
+                name: `conversation-${stamp}.json`,
+                content: JSON.stringify({
+                    format: EXPORT_FORMAT,
+                    version: EXPORT_VERSION,
+                    title,
+                    exportedAt: exportedAt.toISOString(),
+                    summary,
+                    messages
+                }, null, 2)
+            };
+
+        case 'text': {
+            const lines = [`${title} (exported ${exportedAt.toISOString()})`, ''];
+            if (summary) {
+                lines.push(`Summary of earlier messages: ${summary}`, '');
+            }
+            messages.forEach(message => {
+                const parameters = message.role === 'assistant' ? formatTurnParameters(message) : '';
+                lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}${parameters ? ` (${parameters})` : ''}:`);
+                lines.push(message.content, '');
+            });
+            return { name: `conversation-${stamp}.txt`, content: lines.join('\n') };
+        }
+
+        default: {
+            const sections = [`# ${title}`, `*Exported ${exportedAt.toISOString()}*`];
+            if (summary) {
+                sections.push(`> **Summary of earlier messages:** ${summary.replace(/\n/g, '\n> ')}`);
+            }
+            messages.forEach(message => {
+                const parameters = message.role === 'assistant' ? formatTurnParameters(message) : '';
+                sections.push(`## ${message.role === 'user' ? '🧑 User' : '🤖 Assistant'}` +
+                    (parameters ? `\n*${parameters}*` : '') +
+                    `\n\n${message.content}`);
+            });
+            return { name: `conversation-${stamp}.md`, content: sections.join('\n\n') + '\n' };
+        }
+    }
+}
+
+// Function to get the text of a message whose content may be OpenAI-style content parts
+function getMessageText(content) {
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part?.type === 'text' || typeof part === 'string')
+            .map(part => typeof part === 'string' ? part : part.text)
+            .join('\n');
+    }
+    return typeof content === 'string' ? content : '';
+}
+
+// Function to parse an imported conversation: a file written by /export, an
+// OpenAI-style messages array, or an object with a `messages` array.
+// Returns `{ messages, summary, skipped }` with the messages as alternating
+// user/assistant turns, or throws an Error explaining what is wrong.
+function parseConversationImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    const rawMessages = Array.isArray(data) ? data : data?.messages;
+    if (!Array.isArray(rawMessages)) {
+        throw new Error('Expected an exported conversation or an array of `{ role, content }` messages');
+    }
+    if (rawMessages.length > MAX_IMPORT_MESSAGES) {
+        throw new Error(`Conversations can have at most ${MAX_IMPORT_MESSAGES} messages`);
+    }
+
+    // Merge consecutive messages of the same role so the history is made of whole turns.
+    // System and tool messages have no place in the history and are skipped.
+    const messages = [];
+    let skipped = 0;
+    rawMessages.forEach(message => {
+        const content = getMessageText(message?.content).trim();
+        if (!['user', 'assistant'].includes(message?.role) || !content) {
+            skipped++;
+            return;
+        }
+
+        const previous = messages[messages.length - 1];
+        if (previous?.role === message.role) {
+            previous.content += `\n\n${content}`;
+            return;
+        }
+
+        const imported = { role: message.role, content };
+        if (message.role === 'assistant') {
+            ['model', 'temperature', 'max_tokens'].forEach(key => {
+                if (message[key] !== undefined) imported[key] = message[key];
+            });
+        }
+        messages.push(imported);
+    });
+
+    // A turn starts with the user and ends with the assistant
+    if (messages[0]?.role === 'assistant') {
+        messages.shift();
+        skipped++;
+    }
+    if (messages[messages.length - 1]?.role === 'user') {
+        messages.pop();
+        skipped++;
+    }
+    if (messages.length === 0) {
+        throw new Error('The file contains no user/assistant exchanges');
+    }
+
+    const summary = typeof data?.summary === 'string' && data.summary.trim() ? data.summary.trim() : null;
+    return { messages, summary, skipped };
+}
+
+module.exports = {
+    exportConversation,
+    parseConversationImport
+};
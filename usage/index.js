@@ -0,0 +1,105 @@
+// Function to get the UTC day key (YYYY-MM-DD) for a timestamp
+function getDayKey(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Function to get the UTC month key (YYYY-MM) for a timestamp
+function getMonthKey(time = Date.now()) {
+    return getDayKey(time).slice(0, 7);
+}
+
+function emptyTotals() {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0, requests: 0 };
+}
+
+function addTotals(target, source) {
+    target.promptTokens += source.promptTokens;
+    target.completionTokens += source.completionTokens;
+    target.totalTokens += source.totalTokens;
+    target.requests += source.requests;
+    return target;
+}
+
+// Function to create a token usage tracker backed by the storage 'usage' collection.
+// Usage is recorded per subject (e.g. `user:<id>` or `guild:<id>`), per UTC day and per model:
+//   { days: { 'YYYY-MM-DD': { [model]: { promptTokens, completionTokens, totalTokens, requests } } } }
+function createUsageTracker(storage, { retentionDays = 90 } = {}) {
+    const records = new Map(Object.entries(storage.load('usage')));
+
+    // Function to drop days that are past the retention period
+    function prune(record) {
+        const oldestKept = getDayKey(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        Object.keys(record.days)
+            .filter(day => day < oldestKept)
+            .forEach(day => delete record.days[day]);
+    }
+
+    function getDays(subject) {
+        return records.get(subject)?.days || {};
+    }
+
+    return {
+        // Record the tokens used by one request for each of the subjects
+        record(subjects, model, usage) {
+            const day = getDayKey();
+            for (const subject of subjects) {
+                if (!records.has(subject)) {
+                    records.set(subject, { days: {} });
+                }
+                const record = records.get(subject);
+                record.days[day] = record.days[day] || {};
+                record.days[day][model] = addTotals(record.days[day][model] || emptyTotals(), {
+                    promptTokens: usage.promptTokens,
+                    completionTokens: usage.completionTokens,
+                    totalTokens: usage.promptTokens + usage.completionTokens,
+                    requests: 1
+                });
+                prune(record);
+                storage.set('usage', subject, record);
+            }
+        },
+
+        // Total tokens used by a subject on the current day
+        getDailyTotal(subject) {
+            return Object.values(getDays(subject)[getDayKey()] || {})
+                .reduce((total, totals) => total + totals.totalTokens, 0);
+        },
+
+        // Total tokens used by a subject in the current month
+        getMonthlyTotal(subject) {
+            const month = getMonthKey();
+            return Object.entries(getDays(subject))
+                .filter(([day]) => day.startsWith(month))
+                .reduce((total, [, models]) => total + Object.values(models)
+                    .reduce((sum, totals) => sum + totals.totalTokens, 0), 0);
+        },
+
+        // Usage over the last `days` days, newest first, plus per-model totals for that period
+        getBreakdown(subject, days = 7) {
+            const allDays = getDays(subject);
+            const byDay = [];
+            const byModel = {};
+
+            for (let i = 0; i < days; i++) {
+                const day = getDayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+                const models = allDays[day];
+                if (!models) continue;
+
+                const dayTotals = emptyTotals();
+                Object.entries(models).forEach(([model, totals]) => {
+                    addTotals(dayTotals, totals);
+                    byModel[model] = addTotals(byModel[model] || emptyTotals(), totals);
+                });
+                byDay.push({ day, ...dayTotals });
+            }
+
+            return { byDay, byModel };
+        }
+    };
+}
+
+module.exports = {
+    createUsageTracker,
+    getDayKey,
+    getMonthKey
+};